@@ -3,6 +3,7 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync, spawnSync } = require('child_process');
+const crypto = require('crypto');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 
@@ -15,20 +16,69 @@ const showHelp = args.includes('--help') || args.includes('-h');
 const generateCommand = args.includes('--generate-command') || args.includes('-g');
 const useClipboard = args.includes('--clipboard') || args.includes('-c');
 const editMode = args.includes('--edit') || args.includes('-e') || args[0] === 'edit';
-const useGemini = args.includes('--gemini') || args.includes('--g');
-const useOpenCode = args.includes('--opencode') || args.includes('--oc');
+const importDesktopMode = args.includes('--import-desktop') || args[0] === 'import-desktop';
+const wrapRemote = args.includes('--wrap-remote');
 const checkMode = args.includes('--check') || args.includes('--validate');
 const setupMode = args.includes('--setup') || args[0] === 'setup';
+const listMode = args[0] === 'list';
+const removeMode = args[0] === 'remove';
+const renameMode = args[0] === 'rename';
+const enableMode = args[0] === 'enable';
+const disableMode = args[0] === 'disable';
+const copyMode = args[0] === 'copy';
+const syncMode = args[0] === 'sync';
+const planMode = args[0] === 'plan';
+const applyMode = args[0] === 'apply';
+const updateMode = args[0] === 'update';
+const pruneCommandMode = args[0] === 'prune';
+const relocateMode = args[0] === 'relocate';
+const backupsMode = args[0] === 'backups';
+const restoreBackupMode = args[0] === 'restore';
+const historyMode = args[0] === 'history';
+const undoMode = args[0] === 'undo';
+const allClientsMode = args.includes('--all-clients');
 
 // Input mode detection
 const jsonFlagIndex = args.findIndex(arg => arg === '--json' || arg === '-j');
 const jsonFileFlagIndex = args.findIndex(arg => arg === '--json-file' || arg === '-jf');
 const jsonInput = jsonFlagIndex !== -1 && args[jsonFlagIndex + 1] ? args[jsonFlagIndex + 1] : null;
 const jsonFileInput = jsonFileFlagIndex !== -1 && args[jsonFileFlagIndex + 1] ? args[jsonFileFlagIndex + 1] : null;
+const timeoutFlagIndex = args.findIndex(arg => arg === '--timeout');
+const startupTimeoutSec = timeoutFlagIndex !== -1 && parseInt(args[timeoutFlagIndex + 1], 10) > 0 ? parseInt(args[timeoutFlagIndex + 1], 10) : null;
+const alwaysAllowFlagIndex = args.findIndex(arg => arg === '--always-allow');
+const alwaysAllowTools = alwaysAllowFlagIndex !== -1 && args[alwaysAllowFlagIndex + 1]
+    ? args[alwaysAllowFlagIndex + 1].split(',').map(tool => tool.trim()).filter(Boolean)
+    : [];
+const startDisabled = args.includes('--disabled');
+const targetsFlagIndex = args.findIndex(arg => arg === '--targets');
+const targetIdsInput = targetsFlagIndex !== -1 && args[targetsFlagIndex + 1] ? args[targetsFlagIndex + 1] : null;
+const allInstalledMode = args.includes('--all-installed');
+const clientFlagIndex = args.findIndex(arg => arg === '--client');
+const clientFilter = clientFlagIndex !== -1 && args[clientFlagIndex + 1] ? args[clientFlagIndex + 1] : null;
+const scopeFlagIndex = args.findIndex(arg => arg === '--scope');
+const scopeFilter = scopeFlagIndex !== -1 && args[scopeFlagIndex + 1] ? args[scopeFlagIndex + 1] : null;
+const nameFlagIndex = args.findIndex(arg => arg === '--name');
+const nameFilter = nameFlagIndex !== -1 && args[nameFlagIndex + 1] ? args[nameFlagIndex + 1] : null;
+const fromFlagIndex = args.findIndex(arg => arg === '--from');
+const fromClientInput = fromFlagIndex !== -1 && args[fromFlagIndex + 1] ? args[fromFlagIndex + 1] : null;
+const toFlagIndex = args.findIndex(arg => arg === '--to');
+const toClientsInput = toFlagIndex !== -1 && args[toFlagIndex + 1] ? args[toFlagIndex + 1] : null;
+const copyAllMode = args.includes('--all');
+const sourceFlagIndex = args.findIndex(arg => arg === '--source');
+const sourceClientInput = sourceFlagIndex !== -1 && args[sourceFlagIndex + 1] ? args[sourceFlagIndex + 1] : null;
+const pruneMode = args.includes('--prune');
+const allowSecretsMode = args.includes('--allow-secrets');
+const manifestFlagIndex = args.findIndex(arg => arg === '--manifest');
+const manifestInput = manifestFlagIndex !== -1 && args[manifestFlagIndex + 1] ? args[manifestFlagIndex + 1] : null;
+// Output format for list; --json is taken by the config input, so list has its own flag
+const formatFlagIndex = args.findIndex(arg => arg === '--format');
+const outputFormat = formatFlagIndex !== -1 && args[formatFlagIndex + 1] ? args[formatFlagIndex + 1] : null;
+// Machine-readable output (list --format json) keeps stdout free of log lines
+const jsonOutput = listMode && outputFormat === 'json';
 const autoDetectMode = args.includes('.');
 
-// Show help and exit if requested
-if (showHelp) {
+// Function to print the --help text
+function printHelp() {
     console.log(`
 ${chalk.cyan.bold('🚀 MCP Auto-Add')} - Automatically detect and add MCP servers to Claude Code or Gemini CLI
 
@@ -36,6 +86,21 @@ ${chalk.yellow.bold('USAGE:')}
     mcp-auto-add [OPTIONS]                        Interactive mode with menu
     mcp-auto-add . [OPTIONS]                      Auto-detect from current folder
     mcp-auto-add edit                             Edit MCP servers (interactive)
+    mcp-auto-add list [--format json]             List servers across all clients
+                      [--client <id>] [--scope <scope>] [--name <glob>]
+    mcp-auto-add remove <name> [--all-clients]    Remove a server from one or more clients
+    mcp-auto-add rename <old> <new> [--client <id>]  Rename a server, keeping its config
+    mcp-auto-add disable <name> / enable <name>   Turn a server off or on without deleting it
+    mcp-auto-add copy <name> --from <id> --to <ids>  Copy a server between clients (--all for every server)
+    mcp-auto-add sync --source <id> --to <ids>    Make clients match a source client [--prune]
+    mcp-auto-add plan / apply [--manifest <path>] [--allow-secrets]
+                                                  Diff or apply the project's mcp-servers.json/.yaml
+    mcp-auto-add update <name> [--client <id>]    Re-detect a project server and update it everywhere
+    mcp-auto-add prune [--client <id>]            Find and remove servers whose files are gone
+    mcp-auto-add relocate <old-dir> <new-dir>     Rewrite paths after a project folder moves
+    mcp-auto-add backups / restore <id>           List config snapshots / roll a file back to one
+    mcp-auto-add history [n] / undo [n]           Show recent changes / reverse the last n of them
+    mcp-auto-add import-desktop [TARGET]          Import servers from Claude Desktop
     mcp-auto-add setup                            Run first-time setup wizard
     mcp-auto-add --check                          Validate environment & show paths
     mcp-auto-add --clipboard [OPTIONS]            Read JSON from clipboard
@@ -45,13 +110,31 @@ ${chalk.yellow.bold('USAGE:')}
 ${chalk.yellow.bold('OPTIONS:')}
     ${chalk.green('-f, --force')}                  Skip confirmation prompts, use defaults
     ${chalk.green('-v, --verbose')}                Show detailed verbose output
-    ${chalk.green('-d, --dry-run')}                Preview actions without executing
+    ${chalk.green('-d, --dry-run')}                Preview actions and config diffs without writing
     ${chalk.green('-j, --json <config>')}          Provide JSON configuration directly
     ${chalk.green('-jf, --json-file <path>')}      Read JSON from file
     ${chalk.green('-c, --clipboard')}              Read JSON from system clipboard
     ${chalk.green('-g, --generate-command')}       Generate CLI command, copy to clipboard
     ${chalk.green('--gemini')}                     Use Gemini CLI instead of Claude Code
     ${chalk.green('--opencode, --oc')}             Use OpenCode instead of Claude Code
+    ${chalk.green('--vscode')}                     Use VS Code (mcp.json) instead of Claude Code
+    ${chalk.green('--cursor')}                     Use Cursor (mcp.json) instead of Claude Code
+    ${chalk.green('--claude-desktop')}             Use Claude Desktop instead of Claude Code
+    ${chalk.green('--windsurf')}                   Use Windsurf instead of Claude Code
+    ${chalk.green('--zed')}                        Use Zed (context_servers) instead of Claude Code
+    ${chalk.green('--codex')}                      Use OpenAI Codex CLI (config.toml) instead of Claude Code
+    ${chalk.green('--goose')}                      Use Goose (config.yaml extensions) instead of Claude Code
+    ${chalk.green('--continue')}                   Use Continue (mcpServers/<name>.yaml blocks) instead of Claude Code
+    ${chalk.green('--cline')}                      Use Cline (VS Code extension) instead of Claude Code
+    ${chalk.green('--roo, --roo-code')}            Use Roo Code (VS Code extension) instead of Claude Code
+    ${chalk.green('--target <id>')}                Use any registered target by id, including plugin targets
+    ${chalk.green('--targets <a,b,c>')}            Add the server to several targets in one run
+    ${chalk.green('--all-installed')}              Add the server to every client that looks installed
+    ${chalk.green('--timeout <seconds>')}          Server timeout (Codex startup_timeout_sec, Goose/Cline/Roo timeout)
+    ${chalk.green('--always-allow <tools>')}       Comma-separated tools to auto-approve (Cline, Roo Code)
+    ${chalk.green('--disabled')}                   Add the server disabled (Cline, Roo Code)
+    ${chalk.green('--wrap-remote')}                Wrap URL servers with mcp-remote (Claude Desktop)
+    ${chalk.green('--import-desktop')}             Import all Claude Desktop servers into the target
     ${chalk.green('-e, --edit')}                   Edit existing MCP configuration
     ${chalk.green('--check, --validate')}          Check environment & installed tools
     ${chalk.green('--setup')}                      Run interactive setup wizard
@@ -61,11 +144,31 @@ ${chalk.yellow.bold('PLATFORM SELECTION:')}
     ${chalk.cyan('Claude Code (default)')}         Works out of the box
     ${chalk.cyan('Gemini CLI (--gemini)')}         Add --gemini flag to any command
     ${chalk.cyan('OpenCode (--opencode)')}         Add --opencode flag to any command
+    ${chalk.cyan('VS Code (--vscode)')}            Add --vscode flag to any command
+    ${chalk.cyan('Cursor (--cursor)')}             Add --cursor flag to any command
+    ${chalk.cyan('Claude Desktop')}                Add --claude-desktop flag (stdio servers only)
+    ${chalk.cyan('Windsurf (--windsurf)')}         Add --windsurf flag to any command
+    ${chalk.cyan('Zed (--zed)')}                   Add --zed flag to any command
+    ${chalk.cyan('Codex (--codex)')}               Add --codex flag to any command
+    ${chalk.cyan('Goose (--goose)')}               Add --goose flag to any command
+    ${chalk.cyan('Continue (--continue)')}         Add --continue flag to any command
+    ${chalk.cyan('Cline / Roo Code')}              Add --cline or --roo flag to any command
+    ${chalk.cyan('Plugin targets')}                Drop a module into ~/.mcp-auto-add/targets/ and use --<id> or --target <id>
 
     Examples:
         mcp-auto-add .                     # Add to Claude Code
         mcp-auto-add . --gemini            # Add to Gemini CLI
         mcp-auto-add . --opencode          # Add to OpenCode
+        mcp-auto-add . --vscode            # Add to VS Code
+        mcp-auto-add . --cursor            # Add to Cursor
+        mcp-auto-add . --claude-desktop    # Add to Claude Desktop
+        mcp-auto-add . --zed               # Add to Zed
+        mcp-auto-add . --codex             # Add to Codex CLI
+        mcp-auto-add . --goose             # Add to Goose
+        mcp-auto-add . --continue          # Add to Continue
+        mcp-auto-add . --cline --always-allow read_file,search
+        mcp-auto-add . --targets claude,gemini,opencode  # Add to three clients at once
+        mcp-auto-add import-desktop --gemini  # Copy Claude Desktop servers to Gemini
         mcp-auto-add --clipboard --gemini  # Clipboard mode for Gemini
         mcp-auto-add --clipboard --opencode # Clipboard mode for OpenCode
 
@@ -153,6 +256,44 @@ ${chalk.yellow.bold('CONFIG FILE LOCATIONS:')}
         User:    ~/.config/opencode/opencode.json
         Project: ./opencode.json (in project root)
 
+    ${chalk.cyan('VS Code:')}
+        User:    ~/.config/Code/User/mcp.json (Linux)
+                 ~/Library/Application Support/Code/User/mcp.json (macOS)
+                 %APPDATA%\\Code\\User\\mcp.json (Windows)
+        Project: .vscode/mcp.json (workspace)
+
+    ${chalk.cyan('Cursor:')}
+        User:    ~/.cursor/mcp.json
+        Project: .cursor/mcp.json
+
+    ${chalk.cyan('Claude Desktop:')}
+        User:    ~/.config/Claude/claude_desktop_config.json (Linux)
+                 ~/Library/Application Support/Claude/claude_desktop_config.json (macOS)
+                 %APPDATA%\\Claude\\claude_desktop_config.json (Windows)
+
+    ${chalk.cyan('Windsurf:')}
+        User:    ~/.codeium/windsurf/mcp_config.json
+
+    ${chalk.cyan('Zed:')}
+        User:    ~/.config/zed/settings.json (Linux, macOS)
+                 %APPDATA%\\Zed\\settings.json (Windows)
+        Project: .zed/settings.json
+
+    ${chalk.cyan('Codex:')}
+        User:    ~/.codex/config.toml (or $CODEX_HOME/config.toml)
+
+    ${chalk.cyan('Goose:')}
+        User:    ~/.config/goose/config.yaml (Linux, macOS)
+                 %APPDATA%\\Block\\goose\\config\\config.yaml (Windows)
+
+    ${chalk.cyan('Continue:')}
+        User:    ~/.continue/mcpServers/<name>.yaml
+        Project: .continue/mcpServers/<name>.yaml
+
+    ${chalk.cyan('Cline / Roo Code:')}
+        User:    <VS Code user dir>/globalStorage/saoudrizwan.claude-dev/settings/cline_mcp_settings.json
+                 <VS Code user dir>/globalStorage/rooveterinaryinc.roo-cline/settings/mcp_settings.json
+
 ${chalk.yellow.bold('COMMAND DIFFERENCES:')}
     ${chalk.cyan('Claude Code:')}
         claude mcp add-json <name> '<json>' -s <scope>
@@ -171,6 +312,45 @@ ${chalk.yellow.bold('COMMAND DIFFERENCES:')}
         User config:    ~/.config/opencode/opencode.json
         Project config: ./opencode.json
 
+    ${chalk.cyan('VS Code:')}
+        (No CLI - writes directly to mcp.json files)
+        User config:    <user profile>/mcp.json
+        Project config: .vscode/mcp.json
+
+    ${chalk.cyan('Cursor:')}
+        (No CLI - merges into mcp.json "mcpServers", keeping other servers)
+        User config:    ~/.cursor/mcp.json
+        Project config: .cursor/mcp.json
+
+    ${chalk.cyan('Claude Desktop:')}
+        (No CLI - writes claude_desktop_config.json, stdio servers only)
+        Commands are resolved to absolute paths (the app does not inherit your PATH)
+        URL servers are rejected unless wrapped: npx -y mcp-remote <url> (--wrap-remote)
+
+    ${chalk.cyan('Windsurf:')}
+        (No CLI - writes ~/.codeium/windsurf/mcp_config.json)
+        Remote servers use "serverUrl" instead of "url"
+
+    ${chalk.cyan('Zed:')}
+        (No CLI - merges "context_servers" into settings.json)
+        Comments and all other settings in the file are left untouched
+
+    ${chalk.cyan('Codex:')}
+        (No CLI needed - writes [mcp_servers.<name>] tables into ~/.codex/config.toml)
+        Set the startup timeout with --timeout <seconds>
+
+    ${chalk.cyan('Goose:')}
+        (No CLI needed - merges extensions.<name> into ~/.config/goose/config.yaml)
+        stdio servers use cmd/args/envs, remote servers use type sse or streamable_http with uri
+
+    ${chalk.cyan('Continue:')}
+        (No CLI needed - writes one block file per server into .continue/mcpServers/)
+        Each file has a name/version/schema header and a single mcpServers item
+
+    ${chalk.cyan('Cline / Roo Code:')}
+        (No CLI needed - merges "mcpServers" in the extension's settings file)
+        Entries also get disabled (--disabled), alwaysAllow (--always-allow) and timeout (--timeout)
+
 ${chalk.yellow.bold('OPENCODE CONFIG FORMAT:')}
     OpenCode uses a different JSON structure in its config files:
 
@@ -204,6 +384,27 @@ ${chalk.yellow.bold('OPENCODE CONFIG FORMAT:')}
         • Has "enabled" field for toggling servers
         • Uses "environment" instead of "env"
 
+${chalk.yellow.bold('VS CODE CONFIG FORMAT:')}
+    VS Code uses a top-level "servers" key and prompts for secrets via "inputs":
+
+        {
+          "servers": {
+            "my-server": {
+              "type": "stdio",
+              "command": "npx",
+              "args": ["-y", "@example/server"],
+              "env": { "API_KEY": "\${input:my-server-api-key}" }
+            },
+            "remote-server": { "type": "http", "url": "https://mcp.example.com/mcp" }
+          },
+          "inputs": [
+            { "type": "promptString", "id": "my-server-api-key", "description": "API_KEY for my-server", "password": true }
+          ]
+        }
+
+    Env values whose names look like secrets (KEY, TOKEN, SECRET, PASSWORD...)
+    are replaced with \${input:...} references instead of being written inline.
+
 ${chalk.yellow.bold('TRANSPORT TYPES:')}
     ${chalk.green('stdio')}   Default for local servers (stdin/stdout)
     ${chalk.green('sse')}     Server-Sent Events ${chalk.dim('(Claude default for remote)')}
@@ -253,7 +454,6 @@ ${chalk.yellow.bold('MORE INFORMATION:')}
     MCP Protocol:   https://modelcontextprotocol.io
     Report Issues:  https://github.com/gyasis/mcp-auto-add/issues
 `);
-    process.exit(0);
 }
 
 // Colors for output
@@ -277,6 +477,20 @@ function logVerbose(message) {
     }
 }
 
+// Function to print rows as an aligned table (cells may contain chalk colors)
+function printTable(headers, rows) {
+    const visibleLength = text => String(text).replace(/\x1b\[[0-9;]*m/g, '').length;
+    const pad = (text, width) => String(text) + ' '.repeat(Math.max(0, width - visibleLength(text)));
+    const widths = headers.map((header, column) =>
+        Math.max(visibleLength(header), ...rows.map(row => visibleLength(row[column] ?? ''))));
+
+    console.log(('  ' + headers.map((header, column) => pad(chalk.bold(header), widths[column])).join('  ')).trimEnd());
+    console.log('  ' + widths.map(width => chalk.dim('─'.repeat(width))).join('  '));
+    rows.forEach(row => {
+        console.log(('  ' + row.map((cell, column) => pad(cell ?? '', widths[column])).join('  ')).trimEnd());
+    });
+}
+
 // ==========================================
 // SECURITY: Input Validation Functions
 // ==========================================
@@ -933,13 +1147,300 @@ function markSetupComplete() {
 const cwd = process.cwd();
 const projectName = path.basename(cwd);
 
-const cliTarget = useOpenCode ? 'OpenCode' : (useGemini ? 'Gemini CLI' : 'Claude Code');
-log(`🚀 MCP Auto-Add - Automatically adding MCP server to ${cliTarget}`, 'title');
-log(`📁 Working directory: ${cwd}`, 'info');
-log(`📦 Project name: ${projectName}`, 'info');
+// ============================================================================
+// TARGET REGISTRY
+// ============================================================================
+//
+// A target describes one MCP client. Members (only id, name and execute are required):
+//   id, name            Identifier (used by --target <id>) and display name
+//   flags               CLI flags that select the target (default: --<id>)
+//   cli                 Name of the client's CLI when it is driven through one, otherwise null
+//   scopes              Supported scopes, e.g. ['user', 'project']
+//   transports          Remote transports, default first in prompts (defaultTransport)
+//   projectConfigFile   File to commit for project scope
+//   restartMessage      How to make the client pick up changes
+//   notes               Lines shown under the target banner
+//   detect()            Whether the client looks installed
+//   configPath(scope)   Config file written for a scope
+//   configKeyPath(serverName, scope)     Where a CLI target's entry sits in configPath(scope), for diff previews
+//   envReference(variable)               How the client's config refers to an environment variable it expands itself
+//   convert(config, serverName)          Standard config -> client entry
+//   normalize(entry, serverName)         Client entry -> standard config (default: mcpServers-style entries)
+//   execute(config, serverName, scope)   Add the server, resolves to true/false
+//   list()              [{ name, scope, configPath, config }]
+//   remove(serverName, scope)            Remove the server, resolves to true/false
+//   rename(oldName, newName, scope)      Rename the server keeping its config, resolves to true/false
+//   setEnabled(serverName, scope, enabled)   Flip the client's own on/off switch; null when it has none
+//   restore(serverName, scope, entry)    Write a raw entry as-is (enable of parked servers, relocate)
+//   command(config, serverName, scope)   CLI command for --generate-command (CLI targets)
+//   snippet(config, serverName)          { text, hint } for --generate-command (direct-write targets)
+
+// Registered targets (built-in first, then plugins), in registration order
+const targetRegistry = new Map();
+
+// Directory mcp-auto-add keeps its own state in (plugins, parked servers)
+const MCP_AUTO_ADD_DIR = path.join(process.env.HOME || process.env.USERPROFILE || '', '.mcp-auto-add');
+
+// Function to create a directory under MCP_AUTO_ADD_DIR that only the user can read
+// Snapshots, the journal and parked entries hold full server configs, env values included
+function ensurePrivateDirectory(dirPath) {
+    fs.mkdirSync(dirPath, { recursive: true, mode: 0o700 });
+    for (let dir = dirPath; dir.startsWith(MCP_AUTO_ADD_DIR); dir = path.dirname(dir)) {
+        fs.chmodSync(dir, 0o700); // Directories from older versions were created with the default mode
+    }
+}
+
+// Directory external target plugins are loaded from
+const TARGET_PLUGIN_DIR = path.join(MCP_AUTO_ADD_DIR, 'targets');
+
+// Function to register a target, filling in defaults for the optional members
+function registerTarget(definition, source = 'built-in') {
+    if (!definition || typeof definition !== 'object') {
+        throw new Error('Target definition must be an object');
+    }
+    if (!definition.id || !/^[a-z0-9][a-z0-9-]*$/.test(definition.id)) {
+        throw new Error('Target needs a lowercase "id" (letters, numbers, hyphens)');
+    }
+    if (!definition.name) {
+        throw new Error(`Target "${definition.id}" needs a "name"`);
+    }
+    if (typeof definition.execute !== 'function') {
+        throw new Error(`Target "${definition.id}" needs an execute(config, serverName, scope) function`);
+    }
+    if (targetRegistry.has(definition.id)) {
+        throw new Error(`Target "${definition.id}" is already registered`);
+    }
+
+    const registered = {
+        flags: [`--${definition.id}`],
+        cli: null,
+        color: 'cyan',
+        scopes: ['user'],
+        transports: ['http', 'sse'],
+        projectConfigFile: null,
+        restartMessage: `Restart ${definition.name}`,
+        notes: [],
+        detect: () => false,
+        configPath: () => null,
+        convert: config => config,
+        normalize: (entry, serverName) => normalizeMCPServersEntry(entry, serverName),
+        list: () => [],
+        remove: async () => false,
+        rename: null,
+        setEnabled: null,
+        restore: null,
+        ...definition,
+        source
+    };
+    registered.defaultTransport = definition.defaultTransport || registered.transports[0];
+    journalTarget(registered);
+    targetRegistry.set(registered.id, registered);
+    return registered;
+}
+
+// Function to look up a registered target by id (plugins are loaded the first time an id is not built in)
+function getTarget(id) {
+    if (!targetRegistry.has(id)) {
+        loadTargetPlugins();
+    }
+    return targetRegistry.get(id);
+}
+
+// Function to get every registered target
+function getAllTargets() {
+    loadTargetPlugins();
+    return [...targetRegistry.values()];
+}
+
+// Helpers handed to plugin factories so they can reuse the built-in file handling
+function getPluginAPI() {
+    return {
+        cwd,
+        isDryRun,
+        isForce,
+        log,
+        logVerbose,
+        validateServerName,
+        readJSONConfigFile,
+        writeJSONConfigFile,
+        saveJSONConfigFile,
+        addServerToConfigFile,
+        writeConfigFile,
+        confirmConfigWrite,
+        confirmServerOverwrite,
+        parseJSONC,
+        modifyJSONC,
+        parseTOML,
+        setTOMLTable,
+        parseYAML,
+        formatYAML,
+        setYAMLValue,
+        listServersFromFile,
+        removeServerFromFile,
+        renameServerInFile,
+        renameJSONCMember,
+        updateConfigFile,
+        toStandardConfig,
+        normalizeTransport
+    };
+}
+
+// Set once the plugin folder has been loaded - commands that never look up a target do not load it at all
+let targetPluginsLoaded = false;
+
+// Function to load external targets from ~/.mcp-auto-add/targets/*.js
+// A plugin module exports a target object, an array of them, or a factory (api) => target(s)
+function loadTargetPlugins() {
+    if (targetPluginsLoaded) {
+        return;
+    }
+    targetPluginsLoaded = true;
+    if (!fs.existsSync(TARGET_PLUGIN_DIR)) {
+        return;
+    }
+
+    const pluginFiles = fs.readdirSync(TARGET_PLUGIN_DIR).filter(file => file.endsWith('.js')).sort();
+    for (const file of pluginFiles) {
+        const pluginPath = path.join(TARGET_PLUGIN_DIR, file);
+        try {
+            let exported = require(pluginPath);
+            if (typeof exported === 'function') {
+                exported = exported(getPluginAPI());
+            }
+            for (const definition of Array.isArray(exported) ? exported : [exported]) {
+                registerTarget(definition, pluginPath);
+                logVerbose(`Loaded target "${definition.id}" from ${pluginPath}`);
+            }
+        } catch (error) {
+            log(`⚠️  Skipping target plugin ${pluginPath}: ${error.message}`, 'warning');
+        }
+    }
+}
+
+// Function to pick the target from --target <id> or a target flag (Claude Code by default)
+function selectTarget() {
+    const targetFlagIndex = args.findIndex(arg => arg === '--target');
+    if (targetFlagIndex !== -1) {
+        const id = args[targetFlagIndex + 1];
+        if (!getTarget(id)) {
+            console.error(chalk.red(`❌ Unknown target "${id}". Available targets: ${getAllTargets().map(candidate => candidate.id).join(', ')}`));
+            process.exit(1);
+        }
+        return getTarget(id);
+    }
+
+    return getAllTargets().find(candidate => candidate.flags.some(flag => args.includes(flag))) || getTarget('claude');
+}
+
+// Function to resolve --targets a,b,c or --all-installed to a list of targets
+function selectTargets() {
+    if (targetIdsInput) {
+        const ids = targetIdsInput.split(',').map(id => id.trim()).filter(Boolean);
+        const unknown = ids.filter(id => !getTarget(id));
+        if (unknown.length > 0 || ids.length === 0) {
+            console.error(chalk.red(`❌ Unknown target(s) "${unknown.join(', ')}". Available targets: ${getAllTargets().map(candidate => candidate.id).join(', ')}`));
+            process.exit(1);
+        }
+        return [...new Set(ids)].map(id => getTarget(id));
+    }
+
+    if (allInstalledMode) {
+        const installed = getAllTargets().filter(candidate => {
+            try {
+                return candidate.detect();
+            } catch (error) {
+                logVerbose(`Could not detect ${candidate.name}: ${error.message}`);
+                return false;
+            }
+        });
+        if (installed.length === 0) {
+            console.error(chalk.red('❌ --all-installed found no installed MCP clients'));
+            process.exit(1);
+        }
+        return installed;
+    }
+
+    return [selectTarget()];
+}
+
+// Function to map a scope onto the nearest one a target supports (e.g. local -> project for Gemini)
+function resolveTargetScope(selected, scope) {
+    const nearestScopes = {
+        user: ['user', 'local', 'project'],
+        local: ['local', 'project', 'user'],
+        project: ['project', 'local', 'user']
+    };
+    return (nearestScopes[scope] || [scope]).find(candidate => selected.scopes.includes(candidate)) || selected.scopes[0];
+}
+
+// Function to build the scope prompt choices for a target
+function getScopeChoices(selected = target) {
+    if (selected.scopes.length === 1) {
+        return [
+            { name: `${selected.scopes[0]} - ${selected.name} only has a ${selected.scopes[0]}-wide config`, value: selected.scopes[0] }
+        ];
+    }
+
+    const descriptions = {
+        user: 'Available to you across all projects (recommended)',
+        local: 'Available only in this project',
+        project: `Shared with everyone in the project (requires ${selected.projectConfigFile})`
+    };
+    return selected.scopes.map(scope => ({ name: `${scope} - ${descriptions[scope] || scope}`, value: scope }));
+}
+
+// Function to build the transport prompt choices for a target
+function getTransportChoices(selected = target) {
+    const labels = { sse: 'SSE (Server-Sent Events)', http: 'HTTP' };
+    return selected.transports.map(transport => ({
+        name: transport === selected.defaultTransport
+            ? `${labels[transport] || transport} - recommended for ${selected.name}`
+            : (labels[transport] || transport),
+        value: transport
+    }));
+}
+
+registerBuiltinTargets();
+
+// backups, restore and history only read mcp-auto-add's own files, so they do not need plugin targets
+const targetlessMode = backupsMode || restoreBackupMode || historyMode;
+
+// Targets selected on the command line: several with --targets / --all-installed, otherwise one
+// Set by initializeCLI() when main() runs, so require()-ing the module only defines the helpers
+let selectedTargets = [];
+let multiTargetMode = false;
+
+// Primary target (the only one outside multi-target mode)
+let target = null;
+
+// Targets that are configured by writing their config files directly (no CLI)
+let usesDirectWrite = false;
+
+// Function to handle --help, select the command line's targets and print the banner
+function initializeCLI() {
+    if (showHelp) {
+        printHelp();
+        process.exit(0);
+    }
+
+    selectedTargets = targetlessMode ? [getTarget('claude')] : selectTargets();
+    multiTargetMode = Boolean(targetIdsInput) || allInstalledMode;
+    target = selectedTargets[0];
+    usesDirectWrite = !target.cli;
+
+    if (!jsonOutput) {
+        log(`🚀 MCP Auto-Add - Automatically adding MCP server to ${target.name}`, 'title');
+        log(`📁 Working directory: ${cwd}`, 'info');
+        log(`📦 Project name: ${projectName}`, 'info');
+    }
+}
+
+// ============================================================================
+// END TARGET REGISTRY
+// ============================================================================
 
 // Function to detect project type
-function detectProjectType() {
+function detectProjectType(projectDir = cwd) {
     logVerbose('🔍 Detecting project type...');
     
     // Check for explicit PROJECT_TYPE environment variable
@@ -949,13 +1450,13 @@ function detectProjectType() {
     }
     
     // Auto-detect based on files
-    if (fs.existsSync(path.join(cwd, 'pyproject.toml')) || 
-        fs.existsSync(path.join(cwd, 'requirements.txt')) || 
-        fs.existsSync(path.join(cwd, 'setup.py'))) {
+    if (fs.existsSync(path.join(projectDir, 'pyproject.toml')) || 
+        fs.existsSync(path.join(projectDir, 'requirements.txt')) || 
+        fs.existsSync(path.join(projectDir, 'setup.py'))) {
         logVerbose('Detected Python project');
         return 'python';
-    } else if (fs.existsSync(path.join(cwd, 'package.json'))) {
-        if (fs.existsSync(path.join(cwd, 'tsconfig.json'))) {
+    } else if (fs.existsSync(path.join(projectDir, 'package.json'))) {
+        if (fs.existsSync(path.join(projectDir, 'tsconfig.json'))) {
             logVerbose('Detected TypeScript project');
             return 'typescript';
         } else {
@@ -1157,14 +1658,24 @@ function findMCPConfigPath(scope = 'user') {
     return path.join(home, '.cursor', 'mcp.json');
 }
 
+// Function to find the file Claude Code itself keeps servers in (what its CLI edits)
+// User scope is the top level of ~/.claude.json and local scope its projects[<dir>] entry; project scope is .mcp.json
+function findClaudeConfigPath(scope = 'user') {
+    if (scope === 'project') {
+        return path.join(cwd, '.mcp.json');
+    }
+    const home = process.env.HOME || process.env.USERPROFILE || '';
+    return path.join(home, '.claude.json');
+}
+
 // Function to check if package is installed globally
-function isGlobalPackage(pkgName) {
+function isGlobalPackage(pkgName, projectDir = cwd) {
     logVerbose(`🔍 Checking if ${pkgName} is a global package...`);
     
     // Check if we're in the package's own directory
-    if (fs.existsSync(path.join(cwd, 'package.json'))) {
+    if (fs.existsSync(path.join(projectDir, 'package.json'))) {
         try {
-            const packageJson = JSON.parse(fs.readFileSync(path.join(cwd, 'package.json'), 'utf8'));
+            const packageJson = JSON.parse(fs.readFileSync(path.join(projectDir, 'package.json'), 'utf8'));
             if (packageJson.name === pkgName) {
                 logVerbose(`${pkgName} is not a global package (we're in its directory)`);
                 return false;
@@ -1185,10 +1696,10 @@ function isGlobalPackage(pkgName) {
 }
 
 // Function to read environment variables from .env file
-function readEnvFile() {
+function readEnvFile(projectDir = cwd) {
     logVerbose('🔍 Reading environment variables from .env file...');
     
-    const envPath = path.join(cwd, '.env');
+    const envPath = path.join(projectDir, '.env');
     if (!fs.existsSync(envPath)) {
         logVerbose('No .env file found');
         return {};
@@ -1209,25 +1720,25 @@ function readEnvFile() {
 }
 
 // Function to build TypeScript project
-function buildTypeScriptProject() {
+function buildTypeScriptProject(projectDir = cwd) {
     logVerbose('🔨 Building TypeScript project...');
     
-    if (!fs.existsSync(path.join(cwd, 'package.json'))) {
+    if (!fs.existsSync(path.join(projectDir, 'package.json'))) {
         log('No package.json found, skipping build', 'warning');
         return false;
     }
     
     try {
         const currentDir = process.cwd();
-        process.chdir(cwd);
+        process.chdir(projectDir);
         
         let buildCommand = 'npm run build';
         
-        if (fs.existsSync(path.join(cwd, 'bun.lockb'))) {
+        if (fs.existsSync(path.join(projectDir, 'bun.lockb'))) {
             buildCommand = 'bun run build';
-        } else if (fs.existsSync(path.join(cwd, 'pnpm-lock.yaml'))) {
+        } else if (fs.existsSync(path.join(projectDir, 'pnpm-lock.yaml'))) {
             buildCommand = 'pnpm build';
-        } else if (fs.existsSync(path.join(cwd, 'yarn.lock'))) {
+        } else if (fs.existsSync(path.join(projectDir, 'yarn.lock'))) {
             buildCommand = 'yarn build';
         }
         
@@ -1292,8 +1803,8 @@ function parseJSONConfig(jsonStr, serverName = null) {
         // Handle URL-based configuration (like gitmcp)
         if (parsed.url) {
             log('📌 Detected URL-based MCP configuration', 'info');
-            // Default transport: http for Gemini, sse for Claude
-            const defaultTransport = useGemini ? 'http' : 'sse';
+            // Default transport: sse for Claude Code, http for everything else
+            const defaultTransport = target.defaultTransport;
             const config = {
                 url: parsed.url,
                 description: parsed.description || `URL-based MCP server: ${parsed.url}`,
@@ -1467,11 +1978,11 @@ function generateMCPConfigFromJSON(jsonStr, serverName = null) {
 }
 
 // Function to generate MCP configuration
-function generateMCPConfig() {
+function generateMCPConfig(projectDir = cwd) {
     log('🔧 Generating MCP configuration...', 'info');
     
     // Detect project type
-    const projectType = detectProjectType();
+    const projectType = detectProjectType(projectDir);
     if (!projectType) {
         throw new Error('Could not detect project type. Please specify with PROJECT_TYPE environment variable.');
     }
@@ -1495,8 +2006,8 @@ function generateMCPConfig() {
         }
         
         // Define absolute paths
-        const pythonExec = path.join(cwd, '.venv', 'bin', 'python');
-        const serverScript = path.join(cwd, 'server.py');
+        const pythonExec = path.join(projectDir, '.venv', 'bin', 'python');
+        const serverScript = path.join(projectDir, 'server.py');
         
         // Check if the virtual environment's Python executable exists
         if (!fs.existsSync(pythonExec)) {
@@ -1516,9 +2027,9 @@ function generateMCPConfig() {
         description = projectType === 'typescript' ? 'TypeScript MCP server' : 'Node.js MCP server';
         
         // Check if this is a global package
-        if (isGlobalPackage(projectName)) {
+        if (isGlobalPackage(path.basename(projectDir), projectDir)) {
             // Global package - use the command directly
-            command = projectName;
+            command = path.basename(projectDir);
             args = [];
         } else {
             // Local project - find node executable
@@ -1529,14 +2040,14 @@ function generateMCPConfig() {
             
             // Build TypeScript if needed
             if (projectType === 'typescript' && !isDryRun) {
-                if (!buildTypeScriptProject()) {
+                if (!buildTypeScriptProject(projectDir)) {
                     throw new Error('TypeScript build failed. Please fix build issues before continuing.');
                 }
             }
             
             // Check if entry file exists
             const entryFile = 'build/index.js';
-            const entryPath = path.join(cwd, entryFile);
+            const entryPath = path.join(projectDir, entryFile);
             if (!fs.existsSync(entryPath)) {
                 if (projectType === 'typescript') {
                     throw new Error(`Entry file not found at ${entryPath}. Make sure to build the project first with 'npm run build' or similar.`);
@@ -1551,9 +2062,9 @@ function generateMCPConfig() {
     }
     
     // Read description from package.json if available
-    if (fs.existsSync(path.join(cwd, 'package.json')) && projectType !== 'python') {
+    if (fs.existsSync(path.join(projectDir, 'package.json')) && projectType !== 'python') {
         try {
-            const packageJson = JSON.parse(fs.readFileSync(path.join(cwd, 'package.json'), 'utf8'));
+            const packageJson = JSON.parse(fs.readFileSync(path.join(projectDir, 'package.json'), 'utf8'));
             if (packageJson.description) {
                 description = packageJson.description;
             }
@@ -1563,7 +2074,7 @@ function generateMCPConfig() {
     }
     
     // Read environment variables
-    envVars = readEnvFile();
+    envVars = readEnvFile(projectDir);
     
     // Generate the configuration JSON
     const config = {
@@ -1699,6 +2210,10 @@ async function executeClaudeMCPAddURL(config, serverName, scope = 'user') {
     
     logVerbose(`Full command: ${command}`);
     
+    if (!(await confirmCLIConfigChanges(getTarget('claude'), scope, [{ name: serverName, entry: convertToMCPServersFormat(config) }]))) {
+        return false;
+    }
+    
     if (isDryRun) {
         log('🔍 DRY RUN - Command would be executed:', 'warning');
         log(command, 'info');
@@ -1734,6 +2249,7 @@ async function executeClaudeMCPAddURL(config, serverName, scope = 'user') {
     
     try {
         log(`📤 Adding URL-based MCP server "${serverName}" with ${transport.toUpperCase()} transport...`, 'info');
+        snapshotClientConfigs('claude', `add "${serverName}"`);
         const result = execSync(command, { stdio: 'pipe', encoding: 'utf8' });
         
         // Parse result for success/error indicators
@@ -1801,6 +2317,10 @@ async function executeClaudeMCPAdd(config, serverName, scope = 'user') {
     
     logVerbose(`Full command: ${command}`);
     
+    if (!(await confirmCLIConfigChanges(getTarget('claude'), scope, [{ name: serverName, entry: JSON.parse(configJson) }]))) {
+        return false;
+    }
+    
     if (isDryRun) {
         log('🔍 DRY RUN - Command would be executed:', 'warning');
         log(command, 'info');
@@ -1833,6 +2353,7 @@ async function executeClaudeMCPAdd(config, serverName, scope = 'user') {
     
     try {
         log(`📤 Adding MCP server "${serverName}" with scope "${scope}"...`, 'info');
+        snapshotClientConfigs('claude', `add "${serverName}"`);
         const result = execSync(command, { stdio: 'pipe', encoding: 'utf8' });
         
         // Parse result for success/error indicators
@@ -2060,6 +2581,11 @@ async function executeGeminiMCPAddURL(config, serverName, scope = 'user') {
     const displayCommand = `gemini mcp add --transport ${validatedTransport} --scope ${validatedScope} --trust ${shellEscape(validatedName)} ${shellEscape(validatedURL)}`;
     logVerbose(`Full command: ${displayCommand}`);
 
+    const geminiTarget = getTarget('gemini');
+    if (!(await confirmCLIConfigChanges(geminiTarget, validatedScope, [{ name: validatedName, entry: geminiTarget.convert({ ...config, transport: validatedTransport }) }]))) {
+        return false;
+    }
+
     if (isDryRun) {
         log('🔍 DRY RUN - Command would be executed:', 'warning');
         log(displayCommand, 'info');
@@ -2099,6 +2625,7 @@ async function executeGeminiMCPAddURL(config, serverName, scope = 'user') {
     log(`📤 Adding URL-based MCP server "${validatedName}" to Gemini CLI with ${validatedTransport.toUpperCase()} transport...`, 'info');
 
     // Execute using spawnSync (SECURE: shell: false is default)
+    snapshotClientConfigs('gemini', `add "${validatedName}"`);
     const result = spawnSync('gemini', args, {
         encoding: 'utf8',
         stdio: ['pipe', 'pipe', 'pipe']
@@ -2161,6 +2688,11 @@ async function executeGeminiMCPAdd(config, serverName, scope = 'user') {
     const validatedName = validateServerName(serverName);
     const validatedScope = validateScope(scope);
 
+    const geminiTarget = getTarget('gemini');
+    if (!(await confirmCLIConfigChanges(geminiTarget, validatedScope, [{ name: validatedName, entry: geminiTarget.convert(config) }]))) {
+        return false;
+    }
+
     if (isDryRun) {
         log('🔍 DRY RUN - Command would be executed:', 'warning');
         log(displayCommand, 'info');
@@ -2195,6 +2727,7 @@ async function executeGeminiMCPAdd(config, serverName, scope = 'user') {
     log(`📤 Adding MCP server "${validatedName}" to Gemini CLI...`, 'info');
 
     // Execute using spawnSync (SECURE: shell: false is default)
+    snapshotClientConfigs('gemini', `add "${validatedName}"`);
     const result = spawnSync('gemini', args, {
         encoding: 'utf8',
         stdio: ['pipe', 'pipe', 'pipe']
@@ -2240,585 +2773,6152 @@ async function executeGeminiMCPAdd(config, serverName, scope = 'user') {
 // ============================================================================
 
 // ============================================================================
-// OPENCODE FUNCTIONS
+// CONFIG SNAPSHOTS
 // ============================================================================
 
-// Function to detect OpenCode MCP config file location based on scope
-function findOpenCodeMCPConfigPath(scope = 'user') {
-    logVerbose(`🔍 Finding OpenCode MCP config file for scope: ${scope}...`);
-
-    const home = process.env.HOME || process.env.USERPROFILE || '';
+// Snapshots of client config files, taken before mcp-auto-add changes them
+// Each lives in ~/.mcp-auto-add/backups/<id>/ as a copy of the file plus snapshot.json
+const BACKUP_DIR = path.join(MCP_AUTO_ADD_DIR, 'backups');
+const MAX_SNAPSHOTS_PER_FILE = 20;
 
-    if (scope === 'user') {
-        // User scope: ~/.config/opencode/opencode.json
-        const configDir = path.join(home, '.config', 'opencode');
-        const configPath = path.join(configDir, 'opencode.json');
-        logVerbose(`OpenCode user MCP config will be at: ${configPath}`);
-        return configPath;
-    } else if (scope === 'project') {
-        // Project scope: ./opencode.json in project root
-        const projectPath = path.join(cwd, 'opencode.json');
-        logVerbose(`OpenCode project MCP config will be at: ${projectPath}`);
-        return projectPath;
-    }
+// Files already snapshotted by this run - one snapshot covers every change a command makes
+const snapshottedFiles = new Set();
 
-    // Default to user scope
-    return path.join(home, '.config', 'opencode', 'opencode.json');
+// Function to build a sortable, collision-safe snapshot id (20261019-185829123-1a2b3c4d5e6f)
+function createSnapshotId() {
+    const stamp = new Date().toISOString().replace(/[-:.]/g, '').replace('T', '-').slice(0, 18);
+    return `${stamp}-${crypto.randomBytes(6).toString('hex')}`;
 }
 
-// Function to convert standard MCP config to OpenCode format
-function convertToOpenCodeFormat(config, serverName) {
-    // OpenCode format:
-    // {
-    //   "$schema": "https://opencode.ai/config.json",
-    //   "mcp": {
-    //     "server-name": {
-    //       "type": "local" or "remote",
-    //       "command": ["cmd", "arg1", "arg2"],  // for local
-    //       "url": "https://...",                 // for remote
-    //       "enabled": true,
-    //       "environment": {}
-    //     }
-    //   }
-    // }
-
-    const serverConfig = {
-        enabled: true
-    };
+// Function to list snapshots, newest first: [{ id, file, createdAt, reason, snapshotPath }]
+function listSnapshots() {
+    if (!fs.existsSync(BACKUP_DIR)) {
+        return [];
+    }
 
-    if (config.url) {
-        // Remote server
-        serverConfig.type = 'remote';
-        serverConfig.url = config.url;
-    } else {
-        // Local server
-        serverConfig.type = 'local';
-        // OpenCode uses 'command' as an array including args
-        const commandArray = [config.command];
-        if (config.args && config.args.length > 0) {
-            commandArray.push(...config.args);
+    const snapshots = [];
+    for (const id of fs.readdirSync(BACKUP_DIR)) {
+        try {
+            const meta = JSON.parse(fs.readFileSync(path.join(BACKUP_DIR, id, 'snapshot.json'), 'utf8'));
+            snapshots.push({ ...meta, id, snapshotPath: path.join(BACKUP_DIR, id, path.basename(meta.file)) });
+        } catch (error) {
+            logVerbose(`Skipping unreadable snapshot ${id}: ${error.message}`);
         }
-        serverConfig.command = commandArray;
     }
+    return snapshots.sort((a, b) => b.id.localeCompare(a.id));
+}
 
-    // Add environment variables if present
-    if (config.env && Object.keys(config.env).length > 0) {
-        serverConfig.environment = config.env;
+// Function to copy a config file into the snapshot store before it is changed
+// Missing files have nothing to roll back to; dry runs write nothing
+function snapshotConfigFile(filePath, reason = 'write') {
+    if (isDryRun || !filePath || snapshottedFiles.has(filePath) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        return null;
     }
+    snapshottedFiles.add(filePath);
 
-    return serverConfig;
+    try {
+        const id = createSnapshotId();
+        const snapshotDir = path.join(BACKUP_DIR, id);
+        // Snapshots are full copies of configs with API keys in them; an existing directory is never reused
+        ensurePrivateDirectory(BACKUP_DIR);
+        fs.mkdirSync(snapshotDir, { mode: 0o700 });
+        fs.writeFileSync(path.join(snapshotDir, path.basename(filePath)), fs.readFileSync(filePath), { mode: 0o600, flag: 'wx' });
+        fs.writeFileSync(path.join(snapshotDir, 'snapshot.json'), JSON.stringify({
+            file: filePath,
+            createdAt: new Date().toISOString(),
+            reason
+        }, null, 2) + '\n', { encoding: 'utf8', mode: 0o600, flag: 'wx' });
+        logVerbose(`📸 Snapshot ${id} of ${filePath}`);
+
+        // Keep the newest snapshots of each file
+        listSnapshots()
+            .filter(snapshot => snapshot.file === filePath)
+            .slice(MAX_SNAPSHOTS_PER_FILE)
+            .forEach(snapshot => fs.rmSync(path.join(BACKUP_DIR, snapshot.id), { recursive: true, force: true }));
+        return id;
+    } catch (error) {
+        log(`⚠️  Could not snapshot ${filePath}: ${error.message}`, 'warning');
+        return null;
+    }
 }
 
-// Function to execute OpenCode MCP add (writes directly to config file)
-async function executeOpenCodeMCPAdd(config, serverName, scope = 'user') {
-    const validatedName = validateServerName(serverName);
-    const validatedScope = validateScope(scope, false); // OpenCode supports user, local, project but we'll use user/project
-
-    const configPath = findOpenCodeMCPConfigPath(validatedScope);
-    const configDir = path.dirname(configPath);
-
-    // Convert config to OpenCode format
-    const openCodeServerConfig = convertToOpenCodeFormat(config, validatedName);
-
-    log(`📤 Adding MCP server "${validatedName}" to OpenCode (scope: ${validatedScope})...`, 'info');
-    log(`📂 Config file: ${configPath}`, 'info');
-    logVerbose(`Server config: ${JSON.stringify(openCodeServerConfig, null, 2)}`);
+// Function to snapshot every config file a CLI-managed client may rewrite (all of its scopes)
+function snapshotClientConfigs(cli, reason) {
+    const selected = getTarget(cli);
+    if (!selected) {
+        return;
+    }
+    selected.scopes.forEach(scope => snapshotConfigFile(selected.configPath(scope), reason));
+}
 
-    if (isDryRun) {
-        log('🔍 DRY RUN - Would write to OpenCode config:', 'info');
-        log(`   File: ${configPath}`, 'info');
-        log(`   Server: ${validatedName}`, 'info');
-        log(`   Config: ${JSON.stringify(openCodeServerConfig, null, 2)}`, 'info');
-        return true;
+// Function to diff two lists of lines: [{ type: ' ' | '-' | '+', line }]
+// Common leading and trailing lines are matched first, so large files with small edits stay cheap
+function diffLines(beforeLines, afterLines) {
+    let start = 0;
+    while (start < beforeLines.length && start < afterLines.length && beforeLines[start] === afterLines[start]) {
+        start++;
+    }
+    let beforeEnd = beforeLines.length;
+    let afterEnd = afterLines.length;
+    while (beforeEnd > start && afterEnd > start && beforeLines[beforeEnd - 1] === afterLines[afterEnd - 1]) {
+        beforeEnd--;
+        afterEnd--;
     }
 
-    try {
-        // Ensure directory exists
-        if (!fs.existsSync(configDir)) {
-            logVerbose(`Creating directory: ${configDir}`);
-            fs.mkdirSync(configDir, { recursive: true });
-        }
+    const removed = beforeLines.slice(start, beforeEnd);
+    const added = afterLines.slice(start, afterEnd);
+    const middle = [];
 
-        // Read existing config or create new one
-        let existingConfig = {};
-        if (fs.existsSync(configPath)) {
-            const content = fs.readFileSync(configPath, 'utf8');
-            try {
-                existingConfig = JSON.parse(content);
-                logVerbose(`Loaded existing config from ${configPath}`);
-            } catch (e) {
-                log(`⚠️  Existing config file has invalid JSON, creating backup...`, 'warning');
-                const backupPath = `${configPath}.backup.${Date.now()}`;
-                fs.copyFileSync(configPath, backupPath);
-                log(`   Backup saved to: ${backupPath}`, 'info');
-                existingConfig = {};
+    if (removed.length * added.length > 4000000) {
+        // Too large for a line-by-line match - show the block as replaced
+        removed.forEach(line => middle.push({ type: '-', line }));
+        added.forEach(line => middle.push({ type: '+', line }));
+    } else {
+        // Longest common subsequence table, walked from the top
+        const lengths = Array.from({ length: removed.length + 1 }, () => new Array(added.length + 1).fill(0));
+        for (let i = removed.length - 1; i >= 0; i--) {
+            for (let j = added.length - 1; j >= 0; j--) {
+                lengths[i][j] = removed[i] === added[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
             }
         }
-
-        // Ensure proper structure
-        if (!existingConfig['$schema']) {
-            existingConfig['$schema'] = 'https://opencode.ai/config.json';
-        }
-        if (!existingConfig.mcp) {
-            existingConfig.mcp = {};
+        let i = 0;
+        let j = 0;
+        while (i < removed.length || j < added.length) {
+            if (i < removed.length && j < added.length && removed[i] === added[j]) {
+                middle.push({ type: ' ', line: removed[i] });
+                i++;
+                j++;
+            } else if (i < removed.length && (j === added.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+                middle.push({ type: '-', line: removed[i++] });
+            } else {
+                middle.push({ type: '+', line: added[j++] });
+            }
         }
+    }
 
-        // Check if server already exists
-        if (existingConfig.mcp[validatedName]) {
-            log(`⚠️  Server "${validatedName}" already exists in config`, 'warning');
-            const { overwrite } = await inquirer.prompt([
-                {
-                    type: 'confirm',
-                    name: 'overwrite',
-                    message: `Overwrite existing "${validatedName}" configuration?`,
-                    default: false
-                }
-            ]);
+    return [
+        ...beforeLines.slice(0, start).map(line => ({ type: ' ', line })),
+        ...middle,
+        ...beforeLines.slice(beforeEnd).map(line => ({ type: ' ', line }))
+    ];
+}
 
-            if (!overwrite) {
-                log('❌ Cancelled - server not overwritten', 'error');
-                return false;
-            }
-        }
+// Function to format a colored unified diff of two file contents ('' when they are the same)
+function formatUnifiedDiff(before, after, beforeLabel, afterLabel = beforeLabel, context = 3) {
+    if (before === after) {
+        return '';
+    }
 
-        // Add or update the server
-        existingConfig.mcp[validatedName] = openCodeServerConfig;
+    const splitLines = text => (text === '' ? [] : text.replace(/\n$/, '').split('\n'));
+    const operations = diffLines(splitLines(before), splitLines(after));
 
-        // Write the config file
-        const configJson = JSON.stringify(existingConfig, null, 2);
-        fs.writeFileSync(configPath, configJson, 'utf8');
+    // Group changes that are close together into hunks with surrounding context
+    const hunks = [];
+    operations.forEach((operation, index) => {
+        if (operation.type === ' ') return;
+        const last = hunks[hunks.length - 1];
+        if (last && index - last.end <= context * 2) {
+            last.end = index + 1;
+        } else {
+            hunks.push({ start: index, end: index + 1 });
+        }
+    });
 
-        log(`✅ Successfully added MCP server "${validatedName}" to OpenCode!`, 'success');
-        log(`📂 Config saved to: ${configPath}`, 'info');
-        log('🔄 Restart OpenCode to load the new server', 'info');
+    const output = [chalk.bold(`--- ${beforeLabel}`), chalk.bold(`+++ ${afterLabel}`)];
+    for (const hunk of hunks) {
+        const from = Math.max(0, hunk.start - context);
+        const to = Math.min(operations.length, hunk.end + context);
+        const lineNumbers = operations.slice(0, from).reduce((counts, operation) => ({
+            before: counts.before + (operation.type !== '+' ? 1 : 0),
+            after: counts.after + (operation.type !== '-' ? 1 : 0)
+        }), { before: 1, after: 1 });
+        const slice = operations.slice(from, to);
+        const beforeCount = slice.filter(operation => operation.type !== '+').length;
+        const afterCount = slice.filter(operation => operation.type !== '-').length;
+
+        output.push(chalk.cyan(`@@ -${beforeCount ? lineNumbers.before : lineNumbers.before - 1},${beforeCount} +${afterCount ? lineNumbers.after : lineNumbers.after - 1},${afterCount} @@`));
+        slice.forEach(operation => {
+            const text = `${operation.type}${operation.line}`;
+            output.push(operation.type === '-' ? chalk.red(text) : operation.type === '+' ? chalk.green(text) : text);
+        });
+    }
+    return output.join('\n');
+}
 
+// Function to write a snapshot back over its file
+// The current state gets its own snapshot first, so a restore can be rolled back too
+async function restoreSnapshotFile(snapshot) {
+    if (isDryRun) {
+        log(`🔍 DRY RUN - Would restore ${snapshot.file} from snapshot ${snapshot.id}`, 'info');
         return true;
-    } catch (error) {
-        log(`❌ Failed to add MCP server to OpenCode: ${error.message}`, 'error');
-        log('💡 Troubleshooting tips:', 'info');
-        log('  1. Check write permissions for config directory', 'info');
-        log('  2. Verify the config path is accessible', 'info');
-        log(`  3. Manual path: ${configPath}`, 'info');
-        return false;
     }
+    snapshotConfigFile(snapshot.file, `restore ${snapshot.id}`);
+    await writeConfigFile(snapshot.file, fs.readFileSync(snapshot.snapshotPath, 'utf8'));
+    log(`✅ Restored ${snapshot.file}`, 'success');
+    return true;
 }
 
-// Function to execute OpenCode MCP add for URL-based servers
-async function executeOpenCodeMCPAddURL(config, serverName, scope = 'user') {
-    // For URL-based servers, use the same function - config will have url property
-    return executeOpenCodeMCPAdd(config, serverName, scope);
+// Function to find a snapshot by id or a unique id prefix
+function findSnapshot(id) {
+    const matches = listSnapshots().filter(snapshot => snapshot.id === id || snapshot.id.startsWith(id));
+    if (matches.length === 0) {
+        throw new Error(`No snapshot "${id}" - run "mcp-auto-add backups" to see them`);
+    }
+    if (matches.length > 1 && !matches.some(snapshot => snapshot.id === id)) {
+        throw new Error(`"${id}" matches ${matches.length} snapshots - use more of the id`);
+    }
+    return matches.find(snapshot => snapshot.id === id) || matches[0];
 }
 
-// ============================================================================
-// END OPENCODE FUNCTIONS
-// ============================================================================
+// Function to handle the backups command: snapshots grouped by file
+async function handleBackupsMode() {
+    log('📸 Config snapshots', 'title');
 
-// Function to test executable path
-async function testExecutablePath(command) {
-    logVerbose(`🧪 Testing executable path: ${command}`);
+    const snapshots = listSnapshots()
+        .filter(snapshot => !nameFilter || globToRegExp(nameFilter).test(path.basename(snapshot.file)));
+    if (snapshots.length === 0) {
+        log(`ℹ️  No snapshots yet - they are taken in ${BACKUP_DIR} before each config change`, 'info');
+        return true;
+    }
+
+    const files = [...new Set(snapshots.map(snapshot => snapshot.file))];
+    for (const file of files) {
+        console.log('');
+        console.log(chalk.bold(file));
+        printTable(['ID', 'Taken', 'Before'], snapshots.filter(snapshot => snapshot.file === file).map(snapshot => [
+            chalk.cyan(snapshot.id),
+            new Date(snapshot.createdAt).toLocaleString(),
+            snapshot.reason
+        ]));
+    }
+    console.log('');
+    log('💡 Roll back with "mcp-auto-add restore <id>"', 'info');
+    return true;
+}
+
+// Function to handle restore <id>: show the diff, then put the snapshot back
+async function handleRestoreBackupMode() {
+    log('⏪ Restore config snapshot', 'title');
+
+    let snapshot;
+    try {
+        if (!args[1]) {
+            throw new Error('A snapshot id is required');
+        }
+        snapshot = findSnapshot(args[1]);
+    } catch (error) {
+        log(`❌ ${error.message}`, 'error');
+        log('💡 Usage: mcp-auto-add restore <id> [--force] [--dry-run]', 'info');
+        process.exit(1);
+    }
+
+    const current = fs.existsSync(snapshot.file) ? fs.readFileSync(snapshot.file, 'utf8') : '';
+    const saved = fs.readFileSync(snapshot.snapshotPath, 'utf8');
+    log(`📂 ${snapshot.file}`, 'info');
+    log(`📸 Snapshot ${snapshot.id} taken ${new Date(snapshot.createdAt).toLocaleString()} (before ${snapshot.reason})`, 'info');
+
+    const diff = formatUnifiedDiff(current, saved, `${snapshot.file} (current)`, `${snapshot.file} (snapshot ${snapshot.id})`);
+    if (!diff) {
+        log('✅ The file already matches this snapshot', 'success');
+        return true;
+    }
+    console.log('');
+    console.log(diff);
+    console.log('');
+
+    if (isDryRun) {
+        log('🔍 DRY RUN - No changes made', 'warning');
+        return true;
+    }
+
+    if (!isForce) {
+        const { proceed } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'proceed',
+                message: `Restore ${path.basename(snapshot.file)} from this snapshot?`,
+                default: false
+            }
+        ]);
+        if (!proceed) {
+            log('❌ Restore cancelled - no changes made', 'warning');
+            return true;
+        }
+    }
+
+    await restoreSnapshotFile(snapshot);
+    return true;
+}
+
+// ============================================================================
+// END CONFIG SNAPSHOTS
+// ============================================================================
+
+// ============================================================================
+// OPERATION JOURNAL
+// ============================================================================
+
+// Append-only record of every change made through a target, one JSON object per line:
+// { id, timestamp, operation, client, scope, name, before, after } plus newName / enabled / snapshot
+// "undo" records mark an earlier operation as reversed
+const JOURNAL_PATH = path.join(MCP_AUTO_ADD_DIR, 'journal.jsonl');
+
+// Nesting depth of journaled calls - only the outermost call is recorded (a rename that adds and removes is one operation)
+let journalDepth = 0;
+
+// Function to read the journal (unreadable lines are skipped)
+function readJournal() {
+    if (!fs.existsSync(JOURNAL_PATH)) {
+        return [];
+    }
+    return fs.readFileSync(JOURNAL_PATH, 'utf8').split('\n').filter(line => line.trim()).flatMap(line => {
+        try {
+            return [JSON.parse(line)];
+        } catch (error) {
+            logVerbose(`Skipping unreadable journal line: ${line.slice(0, 60)}`);
+            return [];
+        }
+    });
+}
+
+// Function to append one record to the journal
+function appendJournal(record) {
+    try {
+        // Entries carry full before/after configs (env values included), so keep the journal private to the user
+        ensurePrivateDirectory(MCP_AUTO_ADD_DIR);
+        const entry = { id: createSnapshotId(), timestamp: new Date().toISOString(), ...record };
+        fs.appendFileSync(JOURNAL_PATH, JSON.stringify(entry) + '\n', { encoding: 'utf8', mode: 0o600 });
+        fs.chmodSync(JOURNAL_PATH, 0o600);
+        return entry;
+    } catch (error) {
+        log(`⚠️  Could not write to the journal: ${error.message}`, 'warning');
+        return null;
+    }
+}
+
+// Function to read a target's raw entry for a server (null when it has none)
+function readRawServerEntry(selected, serverName, scope) {
+    try {
+        const entry = selected.list().find(server => server.name === serverName && server.scope === scope);
+        return entry ? entry.config : null;
+    } catch (error) {
+        logVerbose(`Could not read ${serverName} from ${selected.name}: ${error.message}`);
+        return null;
+    }
+}
+
+// Function to record a target's changes in the journal by wrapping its execute/remove/rename/setEnabled/restore
+function journalTarget(selected) {
+    const methods = {
+        execute: { operation: 'add', name: methodArgs => methodArgs[1], scope: methodArgs => methodArgs[2] || 'user' },
+        remove: { operation: 'remove', name: methodArgs => methodArgs[0], scope: methodArgs => methodArgs[1] || 'user' },
+        rename: { operation: 'rename', name: methodArgs => methodArgs[0], scope: methodArgs => methodArgs[2] || 'user' },
+        setEnabled: { operation: 'toggle', name: methodArgs => methodArgs[0], scope: methodArgs => methodArgs[1] || 'user' },
+        restore: { operation: 'restore', name: methodArgs => methodArgs[0], scope: methodArgs => methodArgs[1] || 'user' }
+    };
+
+    for (const [method, describe] of Object.entries(methods)) {
+        const original = selected[method];
+        if (typeof original !== 'function') continue;
+
+        selected[method] = async function (...methodArgs) {
+            if (journalDepth > 0 || isDryRun) {
+                return original.apply(this, methodArgs);
+            }
+
+            const serverName = describe.name(methodArgs);
+            const scope = describe.scope(methodArgs);
+            const before = readRawServerEntry(selected, serverName, scope);
+            journalDepth++;
+            let result;
+            try {
+                result = await original.apply(this, methodArgs);
+            } finally {
+                journalDepth--;
+            }
+            if (!result) {
+                return result;
+            }
+
+            const record = { operation: describe.operation, client: selected.id, scope, name: serverName, before };
+            if (method === 'rename') {
+                record.newName = methodArgs[1];
+                record.after = readRawServerEntry(selected, methodArgs[1], scope);
+            } else {
+                record.after = readRawServerEntry(selected, serverName, scope);
+            }
+            if (method === 'setEnabled') {
+                record.operation = methodArgs[2] ? 'enable' : 'disable';
+            }
+            appendJournal(record);
+            return result;
+        };
+    }
+}
+
+// Function to list operations that can still be undone, newest first
+function getUndoableOperations() {
+    const journal = readJournal();
+    const undone = new Set(journal.filter(record => record.operation === 'undo').map(record => record.undoes));
+    return journal.filter(record => record.operation !== 'undo' && !undone.has(record.id)).reverse();
+}
+
+// Function to put a raw entry back, removing the current one first for CLI-managed clients
+async function putBackServerEntry(selected, serverName, scope, entry) {
+    if (selected.restore) {
+        const current = readRawServerEntry(selected, serverName, scope);
+        return current ? rewriteServerEntry(selected, serverName, scope, entry, current) : selected.restore(serverName, scope, entry);
+    }
+    // Without restore the entry goes through the normal add path (client-specific extras are lost)
+    if (readRawServerEntry(selected, serverName, scope) && !await selected.remove(serverName, scope)) {
+        return false;
+    }
+    return selected.execute(selected.normalize(entry, serverName), serverName, scope);
+}
+
+// Function to reverse one journaled operation with the matching client mechanism
+async function reverseOperation(record) {
+    const selected = getTarget(record.client);
+    if (!selected) {
+        throw new Error(`client "${record.client}" is not available`);
+    }
+
+    switch (record.operation) {
+        case 'add':
+        case 'restore':
+            // A fresh add is removed; an overwrite gets the previous entry back
+            return record.before
+                ? putBackServerEntry(selected, record.name, record.scope, record.before)
+                : selected.remove(record.name, record.scope);
+        case 'remove':
+            if (!record.before) {
+                throw new Error('the journal has no copy of the removed entry');
+            }
+            return putBackServerEntry(selected, record.name, record.scope, record.before);
+        case 'relocate':
+            // Entries get their old paths back where they are now, then the projects move back to their old keys
+            return writeClaudeProjects(findClaudeConfigPath('user'),
+                record.entries.map(entry => ({ projectDir: entry.projectDir, name: entry.name, config: entry.before })),
+                record.moves.map(move => ({ from: move.to, to: move.from })),
+                `undo relocate of ${record.name}`);
+        case 'rename':
+            if (!selected.rename) {
+                throw new Error(`${selected.name} does not support rename`);
+            }
+            return selected.rename(record.newName, record.name, record.scope);
+        case 'enable':
+        case 'disable':
+            // Parked toggles move the entry between the config and the store instead of flipping a switch
+            if (record.parked && record.operation === 'disable') {
+                if (!await putBackServerEntry(selected, record.name, record.scope, record.before)) {
+                    return false;
+                }
+                unparkServerEntry(selected, record.scope, record.name);
+                return true;
+            }
+            if (record.parked) {
+                const current = readRawServerEntry(selected, record.name, record.scope) || record.after;
+                const disabled = await disableServerEntry({ client: selected, scope: record.scope, name: record.name, config: current, configPath: selected.configPath(record.scope) });
+                return disabled.outcome === true;
+            }
+            return Boolean(await selected.setEnabled(record.name, record.scope, record.operation === 'disable'));
+        case 'edit': {
+            const snapshot = record.snapshot && listSnapshots().find(candidate => candidate.id === record.snapshot);
+            if (snapshot) {
+                return restoreSnapshotFile(snapshot);
+            }
+            if (!record.before) {
+                throw new Error('the snapshot taken before the edit is gone');
+            }
+            return putBackServerEntry(selected, record.name, record.scope, record.before);
+        }
+        default:
+            throw new Error(`unknown operation "${record.operation}"`);
+    }
+}
+
+// Function to describe a journal record in one line
+function describeOperation(record) {
+    const client = getTarget(record.client);
+    const where = `${client ? client.name : record.client} (${record.scope})`;
+    if (record.operation === 'rename') {
+        return `rename ${record.name} → ${record.newName} in ${where}`;
+    }
+    if (record.operation === 'relocate') {
+        return `relocate projects ${record.name} → ${record.newName} in ${client ? client.name : record.client}`;
+    }
+    return `${record.operation} ${record.name} in ${where}`;
+}
+
+// Function to handle the history command
+async function handleHistoryMode() {
+    log('🕘 Operation history', 'title');
+
+    const limit = parseInt(args[1], 10) > 0 ? parseInt(args[1], 10) : 20;
+    const journal = readJournal();
+    const undone = new Set(journal.filter(record => record.operation === 'undo').map(record => record.undoes));
+    const operations = journal.filter(record => record.operation !== 'undo')
+        .filter(record => !clientFilter || record.client === clientFilter)
+        .filter(record => !nameFilter || globToRegExp(nameFilter).test(record.name))
+        .reverse()
+        .slice(0, limit);
+
+    if (operations.length === 0) {
+        log(`ℹ️  Nothing recorded yet - changes are journaled in ${JOURNAL_PATH}`, 'info');
+        return true;
+    }
+
+    console.log('');
+    printTable(['When', 'Operation', 'Name', 'Client', 'Scope', 'Status'], operations.map(record => [
+        new Date(record.timestamp).toLocaleString(),
+        record.operation,
+        chalk.cyan(record.newName ? `${record.name} → ${record.newName}` : record.name),
+        (getTarget(record.client) || { name: record.client }).name,
+        record.scope,
+        undone.has(record.id) ? chalk.gray('undone') : ''
+    ]));
+    console.log('');
+
+    if (isVerbose) {
+        operations.forEach(record => {
+            console.log(chalk.bold(describeOperation(record)));
+            console.log(`  before: ${record.before ? JSON.stringify(record.before) : chalk.gray('(none)')}`);
+            console.log(`  after:  ${record.after ? JSON.stringify(record.after) : chalk.gray('(none)')}`);
+        });
+        console.log('');
+    }
+    log('💡 Reverse the latest changes with "mcp-auto-add undo [n]"', 'info');
+    return true;
+}
+
+// Function to handle undo [n]: reverse the last n operations, newest first
+async function handleUndoMode() {
+    log('↩️  Undo', 'title');
+
+    const count = args[1] === undefined || args[1].startsWith('-') ? 1 : parseInt(args[1], 10);
+    if (!(count > 0)) {
+        log('❌ Usage: mcp-auto-add undo [n] [--force] [--dry-run]', 'error');
+        process.exit(1);
+    }
+
+    const operations = getUndoableOperations().slice(0, count);
+    if (operations.length === 0) {
+        log('ℹ️  Nothing to undo', 'info');
+        return true;
+    }
+
+    log(`Reversing ${operations.length} operation${operations.length !== 1 ? 's' : ''}:`, 'info');
+    operations.forEach(record => {
+        console.log(`  ${chalk.yellow('↩')} ${describeOperation(record)} ${chalk.gray(new Date(record.timestamp).toLocaleString())}`);
+    });
+    console.log('');
+
+    if (!isForce && !isDryRun) {
+        const { proceed } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'proceed',
+                message: 'Undo these changes?',
+                default: false
+            }
+        ]);
+        if (!proceed) {
+            log('❌ Undo cancelled - no changes made', 'warning');
+            return true;
+        }
+    }
+    configWritesConfirmed = true;
+
+    // The reversing calls are not journaled themselves - the undo record stands for them
+    const results = [];
+    for (const record of operations) {
+        let outcome;
+        journalDepth++;
+        try {
+            outcome = await reverseOperation(record) ? true : 'failed';
+        } catch (error) {
+            outcome = error.message;
+        } finally {
+            journalDepth--;
+        }
+        if (outcome === true && !isDryRun) {
+            appendJournal({ operation: 'undo', undoes: record.id });
+        }
+        results.push({ record, outcome });
+        if (outcome !== true) {
+            // Older operations may depend on this one - stop here
+            break;
+        }
+    }
+
+    console.log('');
+    printTable(['Operation', 'Result'], results.map(({ record, outcome }) => [
+        describeOperation(record),
+        outcome === true ? chalk.green(isDryRun ? '🔍 would undo' : '✅ undone') : chalk.red(`❌ ${outcome}`)
+    ]));
+    console.log('');
+    return results.length === operations.length && results.every(result => result.outcome === true);
+}
+
+// ============================================================================
+// END OPERATION JOURNAL
+// ============================================================================
+
+// ============================================================================
+// CONFIG FILE WRITES
+// ============================================================================
+
+// A <file>.lock older than this was left behind by a run that died and is taken over
+const CONFIG_LOCK_STALE_MS = 30000;
+
+// How long to wait for another mcp-auto-add run to release a lock before giving up
+const CONFIG_LOCK_TIMEOUT_MS = 10000;
+
+// Content of each config file as it was when read, so a write can tell if the file changed since
+const configFileReads = new Map();
+
+// Function to block for a short while without spinning (lock retries)
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// Function to check whether the run that wrote a lock file is still alive (a lock without a readable PID counts as dead)
+function isLockHolderAlive(lockContent) {
+    const pid = parseInt(lockContent, 10);
+    if (!(pid > 0)) {
+        return false;
+    }
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+// Function to take the advisory lock next to a config file, returns the function that releases it
+// Only other mcp-auto-add runs honour it - changes made by the clients are caught by the re-read in writeConfigFile
+function acquireConfigLock(configPath) {
+    const lockPath = `${configPath}.lock`;
+    const deadline = Date.now() + CONFIG_LOCK_TIMEOUT_MS;
+
+    while (true) {
+        try {
+            const fd = fs.openSync(lockPath, 'wx');
+            fs.writeSync(fd, `${process.pid}\n`);
+            fs.closeSync(fd);
+            return () => fs.rmSync(lockPath, { force: true });
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        let lockAge = 0;
+        let lockContent = '';
+        try {
+            lockAge = Date.now() - fs.statSync(lockPath).mtimeMs;
+            lockContent = fs.readFileSync(lockPath, 'utf8');
+        } catch (error) {
+            continue; // Released between the open and the stat
+        }
+        // Age alone is not enough - a live run on a slow or network disk can hold the lock past CONFIG_LOCK_STALE_MS
+        if (lockAge > CONFIG_LOCK_STALE_MS && !isLockHolderAlive(lockContent)) {
+            // Move the lock aside under a name only this run uses before deleting it. If another waiting run took over
+            // first, what was moved is its fresh lock - put that back instead of deleting it
+            const stalePath = `${lockPath}.${process.pid}.${Date.now()}.stale`;
+            try {
+                fs.renameSync(lockPath, stalePath);
+            } catch (error) {
+                continue;
+            }
+            if (fs.readFileSync(stalePath, 'utf8') === lockContent) {
+                log(`⚠️  Removing stale lock ${lockPath}`, 'warning');
+            } else {
+                try {
+                    fs.linkSync(stalePath, lockPath);
+                } catch (error) {
+                    logVerbose(`Could not put back lock ${lockPath}: ${error.message}`);
+                }
+            }
+            fs.rmSync(stalePath, { force: true });
+            continue;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`${configPath} is locked by another mcp-auto-add run (remove ${lockPath} if none is running)`);
+        }
+        logVerbose(`Waiting for lock ${lockPath}...`);
+        sleepSync(100);
+    }
+}
+
+// Function to replace a file atomically: write a temp file in the same folder, fsync it, rename it over
+// the original. The original's permissions are kept (so a 600 file with tokens stays 600) unless fileMode is given
+function writeFileAtomic(filePath, content, fileMode = null) {
+    const mode = fileMode !== null ? fileMode : (fs.existsSync(filePath) ? fs.statSync(filePath).mode & 0o7777 : null);
+    const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+
+    try {
+        const fd = fs.openSync(tempPath, 'wx', mode === null ? 0o666 : mode);
+        try {
+            fs.writeSync(fd, content);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        if (mode !== null) {
+            fs.chmodSync(tempPath, mode); // The umask may have masked bits off at creation
+        }
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+
+    // Persist the rename itself; not every platform can open a directory for fsync
+    try {
+        const dirFd = fs.openSync(path.dirname(filePath), 'r');
+        try {
+            fs.fsyncSync(dirFd);
+        } finally {
+            fs.closeSync(dirFd);
+        }
+    } catch (error) {
+        logVerbose(`Could not fsync ${path.dirname(filePath)}: ${error.message}`);
+    }
+}
+
+// Function to write a client config file through the shared write layer (lock, re-read, atomic replace)
+// base is the content the change was computed from. When the file no longer matches it, merge(current)
+// re-applies the change to what is there now, so edits made in the meantime are not lost. The merged result was
+// never previewed, so its diff is shown and confirmed again (unless --force); resolves to null when declined
+// The lock is not held while that prompt waits: the file is re-read under a new lock once it is answered, and
+// asked about again if it changed once more. Without a merge nothing is awaited, so the file is written before
+// the returned promise is
+async function writeConfigFile(configPath, content, base = null, merge = null) {
+    fs.mkdirSync(path.dirname(configPath), { recursive: true });
+    // Write through symlinked dotfiles instead of replacing the link
+    const filePath = fs.existsSync(configPath) ? fs.realpathSync(configPath) : configPath;
+
+    let confirmedCurrent = null;
+    while (true) {
+        let current;
+        const release = acquireConfigLock(filePath);
+        try {
+            current = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+            if (base !== null && merge && current !== base) {
+                if (current !== confirmedCurrent) {
+                    log(`🔀 ${configPath} changed since it was read - merging the change into the new contents`, 'warning');
+                }
+                content = merge(current);
+            }
+            if (base === null || !merge || current === base || isForce || current === confirmedCurrent) {
+                writeFileAtomic(filePath, content);
+                break;
+            }
+        } finally {
+            release();
+        }
+
+        if (!(await confirmMergedWrite(configPath, current, content))) {
+            return null;
+        }
+        confirmedCurrent = current;
+    }
+
+    configFileReads.set(configPath, content);
+    return content;
+}
+
+// Function to delete a client config file through the shared write layer (lock, re-read)
+// base is the content the deletion was decided on. When the file changed since, what deleting it now would drop
+// is shown and confirmed again (unless --force, and without holding the lock); resolves to false when declined
+async function deleteConfigFile(configPath, base) {
+    const filePath = fs.existsSync(configPath) ? fs.realpathSync(configPath) : configPath;
+
+    let confirmedCurrent = base;
+    while (true) {
+        let current;
+        const release = acquireConfigLock(filePath);
+        try {
+            if (!fs.existsSync(filePath)) {
+                break;
+            }
+            current = fs.readFileSync(filePath, 'utf8');
+            if (isForce || current === confirmedCurrent) {
+                fs.unlinkSync(configPath); // A symlinked block is unlinked, not the file it points to
+                break;
+            }
+        } finally {
+            release();
+        }
+
+        log(`🔀 ${configPath} changed since it was read`, 'warning');
+        if (!(await confirmMergedWrite(configPath, current, '', 'delete it anyway'))) {
+            return false;
+        }
+        confirmedCurrent = current;
+    }
+
+    configFileReads.delete(configPath);
+    return true;
+}
+
+// Function to show what a merged write changes in the file as it is now and ask again before writing it
+async function confirmMergedWrite(configPath, current, merged, question = 'write the merged result above') {
+    const diff = formatUnifiedDiff(current, merged, configPath, configPath);
+    if (!diff) {
+        return true;
+    }
+    console.log('');
+    console.log(diff);
+    console.log('');
+
+    const { write } = await inquirer.prompt([
+        {
+            type: 'confirm',
+            name: 'write',
+            message: `${configPath} changed since it was read - ${question}?`,
+            default: true
+        }
+    ]);
+    if (!write) {
+        log('❌ Cancelled - config not written', 'warning');
+    }
+    return write;
+}
+
+// ============================================================================
+// END CONFIG FILE WRITES
+// ============================================================================
+
+// ============================================================================
+// DIRECT-WRITE CONFIG HELPERS
+// ============================================================================
+
+// Function to read a JSON config file; comments and trailing commas are fine (VS Code and Cursor allow them)
+// A file that still cannot be parsed is an error - replacing it would drop every other server in it
+function readJSONConfigFile(configPath) {
+    if (!fs.existsSync(configPath)) {
+        configFileReads.set(configPath, '');
+        return {};
+    }
+
+    const content = fs.readFileSync(configPath, 'utf8');
+    let existingConfig;
+    try {
+        existingConfig = parseJSONC(content);
+    } catch (error) {
+        throw new Error(`${configPath} is not valid JSON (${error.message}) - fix it and try again, it was not changed`);
+    }
+    if (!existingConfig || typeof existingConfig !== 'object' || Array.isArray(existingConfig)) {
+        throw new Error(`${configPath} does not hold a JSON object - fix it and try again, it was not changed`);
+    }
+
+    configFileReads.set(configPath, content);
+    logVerbose(`Loaded existing config from ${configPath}`);
+    return existingConfig;
+}
+
+// Function to splice the differences between two JSON values into JSONC text one member at a time,
+// so comments, formatting and members that did not change stay exactly as they were
+function spliceJSONChanges(text, before, after, keyPath = []) {
+    const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (JSON.stringify(before[key]) === JSON.stringify(after[key])) {
+            continue;
+        }
+        text = isObject(before[key]) && isObject(after[key])
+            ? spliceJSONChanges(text, before[key], after[key], [...keyPath, key])
+            : modifyJSONC(text, [...keyPath, key], after[key]);
+    }
+    return text;
+}
+
+// Function to render a config object as the text to write: the file as readJSONConfigFile() read it,
+// with only the changed members spliced in (a new file is plain formatted JSON)
+function renderJSONConfigFile(configPath, config) {
+    const base = configFileReads.get(configPath);
+    if (!base || base.trim() === '') {
+        return JSON.stringify(config, null, 2);
+    }
+    return spliceJSONChanges(base, parseJSONC(base), config);
+}
+
+// Function to write a JSON config file, creating its directory if needed (reason is recorded with the snapshot)
+// If the file changed since readJSONConfigFile() loaded it, our changes are spliced into its new contents
+// (resolves to null when that merged result is declined)
+async function writeJSONConfigFile(configPath, config, reason = 'write') {
+    snapshotConfigFile(configPath, reason);
+
+    const base = configFileReads.has(configPath) ? configFileReads.get(configPath) : null;
+    return writeConfigFile(configPath, renderJSONConfigFile(configPath, config), base,
+        current => spliceJSONChanges(current, parseJSONC(base || ''), config));
+}
+
+// Set once a command has confirmed its whole plan - its writes still show their diff but do not ask again
+let configWritesConfirmed = false;
+
+// Function to show the unified diff a config change makes and ask before writing it
+// Resolves to true when the caller should write; false when declined or in dry-run (the diff is the preview)
+async function confirmConfigWrite(configPath, before, after, afterPath = configPath) {
+    const diff = formatUnifiedDiff(before, after, configPath, afterPath);
+    if (diff) {
+        console.log('');
+        console.log(diff);
+        console.log('');
+    }
+
+    if (isDryRun) {
+        log(`🔍 DRY RUN - ${configPath} not written`, 'warning');
+        return false;
+    }
+    if (!diff || isForce || configWritesConfirmed) {
+        return true;
+    }
+
+    const { write } = await inquirer.prompt([
+        {
+            type: 'confirm',
+            name: 'write',
+            message: `Write these changes to ${configPath}?`,
+            default: true
+        }
+    ]);
+    if (!write) {
+        log('❌ Cancelled - config not written', 'warning');
+    }
+    return write;
+}
+
+// Function to write a JSON config file once its diff is confirmed (false when declined or in dry-run)
+async function saveJSONConfigFile(configPath, config, reason) {
+    const before = configFileReads.has(configPath)
+        ? configFileReads.get(configPath)
+        : (fs.existsSync(configPath) ? fs.readFileSync(configPath, 'utf8') : '');
+    if (!(await confirmConfigWrite(configPath, before, renderJSONConfigFile(configPath, config)))) {
+        return false;
+    }
+    return await writeJSONConfigFile(configPath, config, reason) !== null;
+}
+
+// Function to preview what a CLI target will do to its config file and ask before running the CLI
+// changes: [{ name, entry }] with entry undefined for a removal. In dry-run the CLI call logs its command instead
+async function confirmCLIConfigChanges(selected, scope, changes) {
+    const configPath = selected.configPath(scope);
+    if (!selected.configKeyPath || !configPath) {
+        return true;
+    }
+
+    const content = fs.existsSync(configPath) ? fs.readFileSync(configPath, 'utf8') : '';
+    let updatedContent;
+    try {
+        updatedContent = changes.reduce((text, change) =>
+            modifyJSONC(text, selected.configKeyPath(change.name, scope), change.entry), content);
+    } catch (error) {
+        logVerbose(`Could not preview changes to ${configPath}: ${error.message}`);
+        return true;
+    }
+
+    log(`📝 Expected changes from the ${selected.name} CLI:`, 'info');
+    return (await confirmConfigWrite(configPath, content, updatedContent)) || isDryRun;
+}
+
+// Config file formats that mcp-auto-add edits in place: parse(content) reads the file,
+// set(text, keyPath, value) splices one value in and keeps the rest of the text
+const CONFIG_FILE_FORMATS = {
+    json: {
+        parse(content) {
+            const data = parseJSONC(content);
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                throw new Error('the file does not hold a JSON object');
+            }
+            return data;
+        },
+        set: (text, keyPath, value) => modifyJSONC(text, keyPath, value)
+    },
+    toml: { parse: content => parseTOML(content), set: (text, keyPath, value) => setTOMLTable(text, keyPath, value) },
+    yaml: { parse: content => parseYAML(content) || {}, set: (text, keyPath, value) => setYAMLValue(text, keyPath, value) }
+};
+
+// Function to add a server entry to a config file that mcp-auto-add writes itself (every client without a CLI)
+// keyPath is where the entry goes, e.g. ['mcpServers', name]. A file that cannot be parsed is never replaced, an
+// existing entry is only overwritten once confirmed, and the write goes through the shared write layer.
+// The callers print the target's restartMessage once the whole command is done
+// options: format ('json', 'toml' or 'yaml'), edit(text) when the change is more than setting the entry,
+// notes logged after a successful add
+async function addServerToConfigFile(selected, serverName, scope, configPath, keyPath, entry, options = {}) {
+    const format = CONFIG_FILE_FORMATS[options.format || 'json'];
+    if (!selected.scopes.includes(scope)) {
+        log(`⚠️  ${selected.name} has no "${scope}" scope - using its user-wide config`, 'warning');
+    }
+
+    const scopeLabel = selected.scopes.length > 1 ? ` (scope: ${scope})` : '';
+    log(`📤 Adding MCP server "${serverName}" to ${selected.name}${scopeLabel}...`, 'info');
+    log(`📂 Config file: ${configPath}`, 'info');
+    logVerbose(`Server config: ${JSON.stringify(entry, null, 2)}`);
+
+    try {
+        const content = fs.existsSync(configPath) ? fs.readFileSync(configPath, 'utf8') : '';
+
+        // The file may hold other servers and settings, so never replace one that cannot be read
+        let existingConfig;
+        try {
+            existingConfig = content.trim() === '' ? {} : format.parse(content);
+        } catch (error) {
+            log(`❌ Could not parse ${configPath}: ${error.message}`, 'error');
+            log('💡 Fix the syntax error and try again - the file was not changed', 'info');
+            return false;
+        }
+
+        // Check if server already exists
+        const existing = keyPath.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), existingConfig);
+        if (existing !== undefined && !(await confirmServerOverwrite(serverName))) {
+            return false;
+        }
+
+        const editText = options.edit || (text => format.set(text, keyPath, entry));
+        const updatedContent = editText(content);
+        if (!(await confirmConfigWrite(configPath, content, updatedContent))) {
+            return isDryRun;
+        }
+
+        snapshotConfigFile(configPath, `add "${serverName}"`);
+        if (await writeConfigFile(configPath, updatedContent, content, editText) === null) {
+            return false;
+        }
+
+        log(`✅ Successfully added MCP server "${serverName}" to ${selected.name}!`, 'success');
+        log(`📂 Config saved to: ${configPath}`, 'info');
+        (options.notes || []).forEach(note => log(note, 'info'));
+
+        return true;
+    } catch (error) {
+        log(`❌ Failed to add MCP server to ${selected.name}: ${error.message}`, 'error');
+        log('💡 Troubleshooting tips:', 'info');
+        log('  1. Check write permissions for config directory', 'info');
+        log('  2. Verify the config path is accessible', 'info');
+        log(`  3. Manual path: ${configPath}`, 'info');
+        return false;
+    }
+}
+
+// Function to ask before replacing a server that already exists in a config file
+async function confirmServerOverwrite(serverName) {
+    log(`⚠️  Server "${serverName}" already exists in config`, 'warning');
+    if (isDryRun) {
+        return true;
+    }
+    const { overwrite } = await inquirer.prompt([
+        {
+            type: 'confirm',
+            name: 'overwrite',
+            message: `Overwrite existing "${serverName}" configuration?`,
+            default: false
+        }
+    ]);
+
+    if (!overwrite) {
+        log('❌ Cancelled - server not overwritten', 'error');
+    }
+    return overwrite;
+}
+
+// Function to build the standard config (the shape parseJSONConfig produces) from a client entry's fields
+function toStandardConfig(fields, serverName) {
+    if (fields.url) {
+        const config = {
+            url: fields.url,
+            description: `URL-based MCP server: ${fields.url}`,
+            name: serverName,
+            isUrlBased: true,
+            transport: fields.transport
+        };
+        if (!config.transport) {
+            delete config.transport;
+        }
+        return config;
+    }
+
+    const config = {
+        command: fields.command,
+        args: fields.args || [],
+        env: fields.env || {},
+        description: `MCP server "${serverName}"`,
+        cwd: fields.cwd
+    };
+    if (config.cwd === undefined) {
+        delete config.cwd;
+    }
+    return config;
+}
+
+// Function to map a client's remote "type" onto the standard transports (undefined when it does not say)
+function normalizeTransport(type) {
+    const normalized = String(type || '').toLowerCase().replace(/[-_]/g, '');
+    if (normalized === 'sse') return 'sse';
+    if (normalized === 'http' || normalized === 'streamablehttp') return 'http';
+    return undefined;
+}
+
+// Function to convert an mcpServers-style entry back to standard config
+// (Claude Code, VS Code, Cursor, Windsurf, Continue, Cline and Roo Code all use command/args/env or type/url)
+function normalizeMCPServersEntry(entry, serverName) {
+    const url = entry.url || entry.serverUrl;
+    if (url) {
+        return toStandardConfig({ url, transport: normalizeTransport(entry.type) }, serverName);
+    }
+    return toStandardConfig({ command: entry.command, args: entry.args, env: entry.env, cwd: entry.cwd }, serverName);
+}
+
+// ============================================================================
+// END DIRECT-WRITE CONFIG HELPERS
+// ============================================================================
+
+// ============================================================================
+// JSONC HELPERS
+// ============================================================================
+
+// Function to skip whitespace and comments in JSONC text, returning the next offset
+function skipJSONCTrivia(text, pos) {
+    while (pos < text.length) {
+        if (/\s/.test(text[pos])) {
+            pos++;
+        } else if (text[pos] === '/' && text[pos + 1] === '/') {
+            while (pos < text.length && text[pos] !== '\n') pos++;
+        } else if (text[pos] === '/' && text[pos + 1] === '*') {
+            const end = text.indexOf('*/', pos + 2);
+            pos = end === -1 ? text.length : end + 2;
+        } else {
+            break;
+        }
+    }
+    return pos;
+}
+
+// Function to find the end offset of the JSON string starting at pos
+function findJSONCStringEnd(text, pos) {
+    let i = pos + 1;
+    while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\') i++;
+        i++;
+    }
+    return i + 1;
+}
+
+// Function to parse JSON with comments and trailing commas (Zed settings, VS Code settings)
+function parseJSONC(text) {
+    let stripped = '';
+    let pos = 0;
+
+    while (pos < text.length) {
+        const ch = text[pos];
+        if (ch === '"') {
+            const end = findJSONCStringEnd(text, pos);
+            stripped += text.slice(pos, end);
+            pos = end;
+        } else if (ch === '/' && (text[pos + 1] === '/' || text[pos + 1] === '*')) {
+            pos = skipJSONCTrivia(text, pos);
+            stripped += ' ';
+        } else if (ch === ',') {
+            // Drop trailing commas before a closing brace or bracket
+            const next = text[skipJSONCTrivia(text, pos + 1)];
+            if (next !== '}' && next !== ']') {
+                stripped += ch;
+            }
+            pos++;
+        } else {
+            stripped += ch;
+            pos++;
+        }
+    }
+
+    return stripped.trim() === '' ? {} : JSON.parse(stripped);
+}
+
+// Function to build a JSONC syntax tree with source offsets (used for in-place edits)
+function parseJSONCTree(text) {
+    let pos = 0;
+
+    function parseString() {
+        if (text[pos] !== '"') {
+            throw new Error(`Expected string at offset ${pos}`);
+        }
+        const end = findJSONCStringEnd(text, pos);
+        const value = JSON.parse(text.slice(pos, end));
+        pos = end;
+        return value;
+    }
+
+    function parseValue() {
+        pos = skipJSONCTrivia(text, pos);
+        const start = pos;
+
+        if (text[pos] === '{' || text[pos] === '[') {
+            const isObject = text[pos] === '{';
+            const close = isObject ? '}' : ']';
+            const members = [];
+            pos++;
+            pos = skipJSONCTrivia(text, pos);
+
+            while (text[pos] !== close) {
+                if (pos >= text.length) {
+                    throw new Error('Unexpected end of input');
+                }
+                if (isObject) {
+                    const keyStart = pos;
+                    const key = parseString();
+                    pos = skipJSONCTrivia(text, pos);
+                    if (text[pos] !== ':') {
+                        throw new Error(`Expected ":" at offset ${pos}`);
+                    }
+                    pos++;
+                    members.push({ key, keyStart, value: parseValue() });
+                } else {
+                    parseValue();
+                }
+
+                pos = skipJSONCTrivia(text, pos);
+                if (text[pos] === ',') {
+                    pos++;
+                    pos = skipJSONCTrivia(text, pos);
+                } else if (text[pos] !== close) {
+                    throw new Error(`Expected "," or "${close}" at offset ${pos}`);
+                }
+            }
+
+            pos++;
+            return { type: isObject ? 'object' : 'array', start, end: pos, members };
+        }
+
+        if (text[pos] === '"') {
+            parseString();
+            return { type: 'value', start, end: pos };
+        }
+
+        const literal = /^(?:-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/.exec(text.slice(pos, pos + 64));
+        if (!literal) {
+            throw new Error(`Unexpected character at offset ${pos}`);
+        }
+        pos += literal[0].length;
+        return { type: 'value', start, end: pos };
+    }
+
+    const root = parseValue();
+    if (skipJSONCTrivia(text, pos) < text.length) {
+        throw new Error(`Unexpected content at offset ${pos}`);
+    }
+    return root;
+}
+
+// Function to detect the indentation unit used by a JSONC document
+function detectJSONCIndent(text) {
+    const match = /^([ \t]+)\S/m.exec(text);
+    return match ? match[1] : '  ';
+}
+
+// Function to format a value for insertion at the given nesting depth
+function formatJSONCValue(value, depth, indent) {
+    return JSON.stringify(value, null, indent).split('\n').join('\n' + indent.repeat(depth));
+}
+
+// Function to insert a new member at the end of a JSONC object node
+function insertJSONCMember(text, objectNode, key, value, depth, indent) {
+    const memberText = `${JSON.stringify(key)}: ${formatJSONCValue(value, depth, indent)}`;
+
+    if (objectNode.members.length === 0) {
+        // Empty object - keep any comments it contains after the new member
+        const inner = text.slice(objectNode.start + 1, objectNode.end - 1).trim();
+        return text.slice(0, objectNode.start) +
+            `{\n${indent.repeat(depth)}${memberText}${inner ? ' ' + inner : ''}\n${indent.repeat(depth - 1)}}` +
+            text.slice(objectNode.end);
+    }
+
+    const last = objectNode.members[objectNode.members.length - 1];
+    let afterComma = skipJSONCTrivia(text, last.value.end);
+    if (text[afterComma] === ',') {
+        afterComma++;
+    } else {
+        text = text.slice(0, last.value.end) + ',' + text.slice(last.value.end);
+        afterComma = last.value.end + 1;
+    }
+
+    // Multi-line objects get the member on its own line, after any trailing line comment
+    const lineEnd = text.indexOf('\n', afterComma);
+    const restOfLine = lineEnd === -1 ? text.slice(afterComma) : text.slice(afterComma, lineEnd);
+    if (lineEnd !== -1 && (restOfLine.trim() === '' || restOfLine.trim().startsWith('//'))) {
+        return text.slice(0, lineEnd) + `\n${indent.repeat(depth)}${memberText}` + text.slice(lineEnd);
+    }
+    return text.slice(0, afterComma) + ` ${memberText}` + text.slice(afterComma);
+}
+
+// Function to remove a member (and its separator) from a JSONC object node
+function removeJSONCMember(text, objectNode, member) {
+    const index = objectNode.members.indexOf(member);
+
+    // Removing the only member of an object that holds nothing else (no comments) leaves "{}"
+    if (objectNode.members.length === 1) {
+        const before = text.slice(objectNode.start + 1, member.keyStart);
+        const after = text.slice(member.value.end, objectNode.end - 1).replace(/^\s*,/, '');
+        if (before.trim() === '' && after.trim() === '') {
+            return text.slice(0, objectNode.start) + '{}' + text.slice(objectNode.end);
+        }
+    }
+    let start = member.keyStart;
+    let end = member.value.end;
+    let previousComma = -1;
+
+    const afterValue = skipJSONCTrivia(text, end);
+    if (text[afterValue] === ',') {
+        end = afterValue + 1;
+    } else if (index > 0) {
+        // Removing the last member - drop the comma after the previous one instead
+        const commaPos = skipJSONCTrivia(text, objectNode.members[index - 1].value.end);
+        if (text[commaPos] === ',') {
+            previousComma = commaPos;
+        }
+    }
+
+    // Remove whole lines (including a trailing line comment) when the member sits on its own lines
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    if (text.slice(lineStart, start).trim() === '') {
+        const lineEnd = text.indexOf('\n', end);
+        const restOfLine = lineEnd === -1 ? '' : text.slice(end, lineEnd).trim();
+        if (lineEnd !== -1 && (restOfLine === '' || restOfLine.startsWith('//'))) {
+            start = lineStart;
+            end = lineEnd + 1;
+        }
+    }
+
+    let result = text.slice(0, start) + text.slice(end);
+    if (previousComma !== -1) {
+        result = result.slice(0, previousComma) + result.slice(previousComma + 1);
+    }
+    return result;
+}
+
+// Function to set (or remove, when value is undefined) a key path in JSONC text,
+// leaving comments, formatting and every other setting untouched
+function modifyJSONC(text, keyPath, value) {
+    if (text.trim() === '') {
+        if (value === undefined) return text;
+        text = '{}\n';
+    }
+
+    const indent = detectJSONCIndent(text);
+    let node = parseJSONCTree(text);
+    if (node.type !== 'object') {
+        throw new Error('Top-level value is not an object');
+    }
+
+    // Wrap the value in the objects still missing below the given depth
+    const nestValue = depth => keyPath.slice(depth + 1).reduceRight((nested, key) => ({ [key]: nested }), value);
+
+    for (let depth = 0; depth < keyPath.length; depth++) {
+        const member = node.members.find(m => m.key === keyPath[depth]);
+
+        if (!member) {
+            if (value === undefined) return text;
+            return insertJSONCMember(text, node, keyPath[depth], nestValue(depth), depth + 1, indent);
+        }
+
+        if (depth === keyPath.length - 1 || member.value.type !== 'object') {
+            if (value === undefined) {
+                return depth === keyPath.length - 1 ? removeJSONCMember(text, node, member) : text;
+            }
+            return text.slice(0, member.value.start) +
+                formatJSONCValue(nestValue(depth), depth + 1, indent) +
+                text.slice(member.value.end);
+        }
+
+        node = member.value;
+    }
+
+    return text;
+}
+
+// Function to rename the member at keyPath in place, keeping its value, position and comments
+function renameJSONCMember(text, keyPath, newKey) {
+    let node = parseJSONCTree(text);
+    for (let depth = 0; depth < keyPath.length; depth++) {
+        const member = node.type === 'object' ? node.members.find(m => m.key === keyPath[depth]) : null;
+        if (!member) {
+            return text;
+        }
+        if (depth === keyPath.length - 1) {
+            const keyEnd = findJSONCStringEnd(text, member.keyStart);
+            return text.slice(0, member.keyStart) + JSON.stringify(newKey) + text.slice(keyEnd);
+        }
+        node = member.value;
+    }
+    return text;
+}
+
+// ============================================================================
+// END JSONC HELPERS
+// ============================================================================
+
+// ============================================================================
+// TOML HELPERS
+// ============================================================================
+
+// Function to parse a TOML document, also recording where each [table] header starts
+// Supports the subset used by CLI config files: tables, arrays of tables, dotted keys,
+// strings (basic, literal, multi-line), numbers, booleans, arrays and inline tables.
+// Dates are kept as strings.
+function parseTOMLDocument(text) {
+    const data = {};
+    const tables = [];
+    let current = data;
+    let pos = 0;
+
+    const fail = message => {
+        const line = text.slice(0, pos).split('\n').length;
+        throw new Error(`${message} (line ${line})`);
+    };
+
+    function skipSpaces() {
+        while (text[pos] === ' ' || text[pos] === '\t') pos++;
+    }
+
+    function skipTrivia() {
+        while (pos < text.length) {
+            if (/\s/.test(text[pos])) {
+                pos++;
+            } else if (text[pos] === '#') {
+                while (pos < text.length && text[pos] !== '\n') pos++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    function expectEndOfLine() {
+        skipSpaces();
+        if (text[pos] === '#') {
+            while (pos < text.length && text[pos] !== '\n') pos++;
+        }
+        if (text[pos] === '\r') pos++;
+        if (pos < text.length && text[pos] !== '\n') fail('Expected end of line');
+    }
+
+    function parseBasicString(multiline) {
+        const quote = multiline ? '"""' : '"';
+        pos += quote.length;
+        if (multiline && text[pos] === '\n') pos++;
+        else if (multiline && text.startsWith('\r\n', pos)) pos += 2;
+
+        let value = '';
+        while (!text.startsWith(quote, pos)) {
+            if (pos >= text.length || (!multiline && text[pos] === '\n')) fail('Unterminated string');
+            if (text[pos] === '\\') {
+                const escape = text[pos + 1];
+                const simple = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+                if (escape in simple) {
+                    value += simple[escape];
+                    pos += 2;
+                } else if (escape === 'u' || escape === 'U') {
+                    const length = escape === 'u' ? 4 : 8;
+                    value += String.fromCodePoint(parseInt(text.substr(pos + 2, length), 16));
+                    pos += 2 + length;
+                } else if (multiline && /\s/.test(escape)) {
+                    // Line-ending backslash trims the following whitespace
+                    pos++;
+                    while (/\s/.test(text[pos])) pos++;
+                } else {
+                    fail(`Invalid escape "\\${escape}"`);
+                }
+            } else {
+                value += text[pos++];
+            }
+        }
+        pos += quote.length;
+        return value;
+    }
+
+    function parseLiteralString(multiline) {
+        const quote = multiline ? "'''" : "'";
+        pos += quote.length;
+        if (multiline && text[pos] === '\n') pos++;
+        else if (multiline && text.startsWith('\r\n', pos)) pos += 2;
+
+        const end = text.indexOf(quote, pos);
+        if (end === -1 || (!multiline && text.slice(pos, end).includes('\n'))) fail('Unterminated string');
+        const value = text.slice(pos, end);
+        pos = end + quote.length;
+        return value;
+    }
+
+    function parseKey() {
+        const keyPath = [];
+        while (true) {
+            skipSpaces();
+            if (text[pos] === '"') {
+                keyPath.push(parseBasicString(false));
+            } else if (text[pos] === "'") {
+                keyPath.push(parseLiteralString(false));
+            } else {
+                const match = /^[A-Za-z0-9_-]+/.exec(text.slice(pos, pos + 256));
+                if (!match) fail('Invalid key');
+                keyPath.push(match[0]);
+                pos += match[0].length;
+            }
+            skipSpaces();
+            if (text[pos] !== '.') return keyPath;
+            pos++;
+        }
+    }
+
+    function parseValue() {
+        skipSpaces();
+        if (text.startsWith('"""', pos)) return parseBasicString(true);
+        if (text.startsWith("'''", pos)) return parseLiteralString(true);
+        if (text[pos] === '"') return parseBasicString(false);
+        if (text[pos] === "'") return parseLiteralString(false);
+
+        if (text[pos] === '[') {
+            const items = [];
+            pos++;
+            skipTrivia();
+            while (text[pos] !== ']') {
+                if (pos >= text.length) fail('Unterminated array');
+                items.push(parseValue());
+                skipTrivia();
+                if (text[pos] === ',') {
+                    pos++;
+                    skipTrivia();
+                } else if (text[pos] !== ']') {
+                    fail('Expected "," or "]" in array');
+                }
+            }
+            pos++;
+            return items;
+        }
+
+        if (text[pos] === '{') {
+            const table = {};
+            pos++;
+            skipTrivia();
+            while (text[pos] !== '}') {
+                if (pos >= text.length) fail('Unterminated inline table');
+                const keyPath = parseKey();
+                if (text[pos] !== '=') fail('Expected "=" in inline table');
+                pos++;
+                setTOMLKey(table, keyPath, parseValue());
+                skipTrivia();
+                if (text[pos] === ',') {
+                    pos++;
+                    skipTrivia();
+                } else if (text[pos] !== '}') {
+                    fail('Expected "," or "}" in inline table');
+                }
+            }
+            pos++;
+            return table;
+        }
+
+        const match = /^[^\s,\]}#]+/.exec(text.slice(pos, pos + 256));
+        if (!match) fail('Missing value');
+        pos += match[0].length;
+        const raw = match[0];
+        if (raw === 'true') return true;
+        if (raw === 'false') return false;
+        if (/^[+-]?(inf|nan)$/.test(raw)) return raw.endsWith('nan') ? NaN : (raw.startsWith('-') ? -Infinity : Infinity);
+        if (/^0x[0-9A-Fa-f_]+$/.test(raw)) return parseInt(raw.slice(2).replace(/_/g, ''), 16);
+        if (/^0o[0-7_]+$/.test(raw)) return parseInt(raw.slice(2).replace(/_/g, ''), 8);
+        if (/^0b[01_]+$/.test(raw)) return parseInt(raw.slice(2).replace(/_/g, ''), 2);
+        if (/^[+-]?\d[\d_]*(\.\d[\d_]*)?([eE][+-]?\d+)?$/.test(raw)) return Number(raw.replace(/_/g, ''));
+        if (/^\d{4}-\d{2}-\d{2}|^\d{2}:\d{2}/.test(raw)) return raw;
+        fail(`Invalid value "${raw}"`);
+    }
+
+    function setTOMLKey(target, keyPath, value) {
+        for (const key of keyPath.slice(0, -1)) {
+            if (target[key] === undefined) target[key] = {};
+            target = target[key];
+        }
+        target[keyPath[keyPath.length - 1]] = value;
+    }
+
+    while (true) {
+        skipTrivia();
+        if (pos >= text.length) break;
+        const lineStart = pos;
+
+        if (text[pos] === '[') {
+            const isArray = text[pos + 1] === '[';
+            pos += isArray ? 2 : 1;
+            const tablePath = parseKey();
+            if (!text.startsWith(isArray ? ']]' : ']', pos)) fail('Unterminated table header');
+            pos += isArray ? 2 : 1;
+            const headerEnd = pos;
+            expectEndOfLine();
+
+            // Walk (and create) the table path; arrays of tables descend into their last element
+            let target = data;
+            tablePath.forEach((key, index) => {
+                const isLast = index === tablePath.length - 1;
+                if (isLast && isArray) {
+                    if (!Array.isArray(target[key])) target[key] = [];
+                    target[key].push({});
+                    target = target[key][target[key].length - 1];
+                    return;
+                }
+                if (target[key] === undefined) target[key] = {};
+                target = Array.isArray(target[key]) ? target[key][target[key].length - 1] : target[key];
+            });
+            current = target;
+            tables.push({ path: tablePath, start: lineStart, headerEnd, isArray });
+        } else {
+            const keyPath = parseKey();
+            if (text[pos] !== '=') fail('Expected "=" after key');
+            pos++;
+            setTOMLKey(current, keyPath, parseValue());
+            expectEndOfLine();
+        }
+    }
+
+    return { data, tables };
+}
+
+// Function to parse TOML text into a plain object
+function parseTOML(text) {
+    return parseTOMLDocument(text).data;
+}
+
+// Function to format a TOML key, quoting it when it is not a bare key
+function formatTOMLKey(key) {
+    return /^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key);
+}
+
+// Function to format a value as TOML (objects become inline tables)
+function formatTOMLValue(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(formatTOMLValue).join(', ')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+        if (entries.length === 0) return '{}';
+        return `{ ${entries.map(([k, v]) => `${formatTOMLKey(k)} = ${formatTOMLValue(v)}`).join(', ')} }`;
+    }
+    if (typeof value === 'string') {
+        // JSON string escapes are all valid TOML basic string escapes
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+// Function to format a [table] block with one key per line
+function formatTOMLTable(tablePath, values) {
+    const lines = [`[${tablePath.map(formatTOMLKey).join('.')}]`];
+    for (const [key, value] of Object.entries(values)) {
+        if (value !== undefined) {
+            lines.push(`${formatTOMLKey(key)} = ${formatTOMLValue(value)}`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Function to set (or remove, when values is undefined) one [table] in TOML text,
+// leaving every other table, key and comment in the file untouched
+function setTOMLTable(text, tablePath, values) {
+    const { data, tables } = parseTOMLDocument(text);
+    const samePath = (a, b) => a.length === b.length && a.every((key, i) => key === b[i]);
+    const isWithin = table => table.path.length >= tablePath.length && samePath(table.path.slice(0, tablePath.length), tablePath);
+
+    // Source ranges of the table and its sub-tables ([a.b] and [a.b.c])
+    const ranges = [];
+    tables.forEach((table, index) => {
+        if (!isWithin(table)) return;
+        let end = index + 1 < tables.length ? tables[index + 1].start : text.length;
+
+        // Leave comments and blank lines that lead into the next table with it
+        if (index + 1 < tables.length) {
+            while (end > table.start) {
+                const lineStart = text.lastIndexOf('\n', end - 2) + 1;
+                const line = text.slice(lineStart, end).trim();
+                if (lineStart <= table.start || (line !== '' && !line.startsWith('#'))) break;
+                end = lineStart;
+            }
+        }
+        ranges.push({ start: table.start, end });
+    });
+
+    if (ranges.length === 0) {
+        // Defined through dotted keys or inline tables in a parent table - can't splice safely
+        let existing = data;
+        for (const key of tablePath) existing = existing && existing[key];
+        if (existing !== undefined) {
+            throw new Error(`"${tablePath.join('.')}" is not defined as its own [table] - edit it manually`);
+        }
+        if (values === undefined) return text;
+
+        const trimmed = text.replace(/\s+$/, '');
+        return (trimmed ? trimmed + '\n\n' : '') + formatTOMLTable(tablePath, values);
+    }
+
+    // Remove sub-tables first (from the end), then replace or remove the table itself
+    let result = text;
+    for (const range of ranges.slice(1).reverse()) {
+        result = result.slice(0, range.start) + result.slice(range.end).replace(/^\n+/, '');
+    }
+    let { start, end } = ranges[0];
+    const after = result.slice(end).replace(/^\n+/, '');
+
+    if (values === undefined) {
+        // A comment block directly above the header describes the removed table
+        while (start > 0) {
+            const lineStart = result.lastIndexOf('\n', start - 2) + 1;
+            if (!result.slice(lineStart, start).trim().startsWith('#')) break;
+            start = lineStart;
+        }
+        return result.slice(0, start) + after;
+    }
+
+    return result.slice(0, start) + formatTOMLTable(tablePath, values) + (after ? '\n' + after : '');
+}
+
+// Function to rename a table and its sub-tables in place by rewriting their headers
+function renameTOMLTable(text, tablePath, newTablePath) {
+    const { data, tables } = parseTOMLDocument(text);
+    const isUnder = table => tablePath.every((key, index) => table.path[index] === key);
+    const affected = tables.filter(table => table.path.length >= tablePath.length && isUnder(table));
+
+    const existing = tablePath.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+    if (existing !== undefined && !affected.some(table => table.path.length === tablePath.length)) {
+        throw new Error(`[${tablePath.map(formatTOMLKey).join('.')}] is defined inline - rename it by hand`);
+    }
+
+    // Rewrite from the end so earlier offsets stay valid
+    return affected.reverse().reduce((result, table) => {
+        const header = [...newTablePath, ...table.path.slice(tablePath.length)].map(formatTOMLKey).join('.');
+        const brackets = table.isArray ? ['[[', ']]'] : ['[', ']'];
+        return result.slice(0, table.start) + brackets[0] + header + brackets[1] + result.slice(table.headerEnd);
+    }, text);
+}
+
+// ============================================================================
+// END TOML HELPERS
+// ============================================================================
+
+// ============================================================================
+// YAML HELPERS
+// ============================================================================
+
+// Function to strip a trailing "# comment" from a YAML line (outside quotes)
+function stripYAMLComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quote) {
+            if (ch === quote && !(quote === '"' && line[i - 1] === '\\')) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            if (i === 0 || /[\s:[{,-]/.test(line[i - 1])) quote = ch;
+        } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.slice(0, i).trimEnd();
+        }
+    }
+    return line.trimEnd();
+}
+
+// Function to find the ": " separating a YAML mapping key from its value (-1 if none)
+function findYAMLKeySeparator(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if ((ch === '"' || ch === "'") && i === 0) {
+            quote = ch;
+        } else if (ch === ':' && (i === text.length - 1 || text[i + 1] === ' ' || text[i + 1] === '\t')) {
+            return i;
+        } else if (i === 0 && (ch === '[' || ch === '{')) {
+            return -1;
+        }
+    }
+    return -1;
+}
+
+// Function to parse a YAML scalar or flow collection ([a, b], {a: b})
+function parseYAMLScalar(text) {
+    text = text.trim();
+    let pos = 0;
+
+    function parseFlow(inFlow) {
+        while (text[pos] === ' ') pos++;
+        if (text[pos] === '[' || text[pos] === '{') {
+            const isSeq = text[pos] === '[';
+            const close = isSeq ? ']' : '}';
+            const result = isSeq ? [] : {};
+            pos++;
+            while (true) {
+                while (text[pos] === ' ') pos++;
+                if (text[pos] === close) {
+                    pos++;
+                    return result;
+                }
+                if (pos >= text.length) throw new Error(`Unterminated flow collection: ${text}`);
+                const item = parseFlow(true);
+                while (text[pos] === ' ') pos++;
+                if (!isSeq) {
+                    if (text[pos] !== ':') throw new Error(`Expected ":" in flow mapping: ${text}`);
+                    pos++;
+                    result[item] = parseFlow(true);
+                } else {
+                    result.push(item);
+                }
+                while (text[pos] === ' ') pos++;
+                if (text[pos] === ',') pos++;
+            }
+        }
+
+        if (text[pos] === '"') {
+            let end = pos + 1;
+            while (end < text.length && text[end] !== '"') {
+                if (text[end] === '\\') end++;
+                end++;
+            }
+            const value = JSON.parse(text.slice(pos, end + 1).replace(/\\x([0-9A-Fa-f]{2})/g, '\\u00$1'));
+            pos = end + 1;
+            return value;
+        }
+
+        if (text[pos] === "'") {
+            let value = '';
+            pos++;
+            while (pos < text.length) {
+                if (text[pos] === "'") {
+                    if (text[pos + 1] !== "'") break;
+                    pos++;
+                }
+                value += text[pos++];
+            }
+            pos++;
+            return value;
+        }
+
+        // Plain scalar - runs to the end, or to a flow indicator inside [] / {}
+        const start = pos;
+        while (pos < text.length && !(inFlow && /[,\]}]/.test(text[pos])) &&
+            !(inFlow && text[pos] === ':' && (text[pos + 1] === ' ' || text[pos + 1] === undefined))) {
+            pos++;
+        }
+        const raw = text.slice(start, pos).trim();
+        if (raw === '' || raw === '~' || raw === 'null' || raw === 'Null' || raw === 'NULL') return null;
+        if (/^(true|True|TRUE)$/.test(raw)) return true;
+        if (/^(false|False|FALSE)$/.test(raw)) return false;
+        if (/^[-+]?\d+$/.test(raw)) return parseInt(raw, 10);
+        if (/^0x[0-9A-Fa-f]+$/.test(raw)) return parseInt(raw, 16);
+        if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(raw)) return parseFloat(raw);
+        return raw;
+    }
+
+    return parseFlow(false);
+}
+
+// Function to parse a YAML document (block mappings, block sequences, scalars,
+// flow collections and | / > block scalars - the subset used by agent config files)
+function parseYAML(text) {
+    const lines = text.split(/\r?\n/);
+    let index = 0;
+
+    const indentOf = line => line.length - line.trimStart().length;
+    const isContent = line => {
+        const trimmed = line.trim();
+        return trimmed !== '' && !trimmed.startsWith('#') && trimmed !== '---' && trimmed !== '...';
+    };
+    const skipToContent = () => {
+        while (index < lines.length && !isContent(lines[index])) index++;
+    };
+    const isSequenceItem = line => /^-(\s|$)/.test(line.trimStart());
+
+    function parseBlockScalar(header, parentIndent) {
+        const folded = header.startsWith('>');
+        const keep = header.includes('+');
+        const strip = header.includes('-');
+        const collected = [];
+        let blockIndent = null;
+
+        while (index < lines.length) {
+            const line = lines[index];
+            if (line.trim() === '') {
+                collected.push('');
+                index++;
+                continue;
+            }
+            const lineIndent = indentOf(line);
+            if (lineIndent <= parentIndent) break;
+            if (blockIndent === null) blockIndent = lineIndent;
+            collected.push(line.slice(Math.min(blockIndent, lineIndent)));
+            index++;
+        }
+
+        let trailing = 0;
+        while (collected.length && collected[collected.length - 1] === '') {
+            collected.pop();
+            trailing++;
+        }
+        let value = folded
+            ? collected.reduce((acc, line, i) => acc + (i === 0 ? '' : (line === '' || collected[i - 1] === '' ? '\n' : ' ')) + line, '')
+            : collected.join('\n');
+        if (!strip) value += '\n';
+        if (keep) value += '\n'.repeat(trailing);
+        return value;
+    }
+
+    // Parse the value that follows "key:" or "- " when it continues on the next lines
+    function parseNested(rest, parentIndent, allowSameIndentSequence) {
+        if (rest !== '') {
+            if (/^[|>]/.test(rest)) return parseBlockScalar(rest, parentIndent);
+            return parseYAMLScalar(rest);
+        }
+        skipToContent();
+        if (index >= lines.length) return null;
+        const nextIndent = indentOf(lines[index]);
+        if (nextIndent > parentIndent || (allowSameIndentSequence && nextIndent === parentIndent && isSequenceItem(lines[index]))) {
+            return parseBlock(nextIndent);
+        }
+        return null;
+    }
+
+    function parseBlock(indent) {
+        skipToContent();
+        if (index >= lines.length) return null;
+
+        if (isSequenceItem(lines[index])) {
+            const items = [];
+            while (index < lines.length) {
+                skipToContent();
+                if (index >= lines.length) break;
+                const line = lines[index];
+                if (indentOf(line) !== indent || !isSequenceItem(line)) break;
+
+                const afterDash = line.trimStart().slice(1);
+                const rest = stripYAMLComment(afterDash).trim();
+                if (rest !== '' && (findYAMLKeySeparator(rest) !== -1 || /^-(\s|$)/.test(rest))) {
+                    // "- key: value" (or "- - item") starts a collection indented past the dash
+                    const itemIndent = indent + 1 + (afterDash.length - afterDash.trimStart().length);
+                    lines[index] = ' '.repeat(itemIndent) + afterDash.trimStart();
+                    items.push(parseBlock(itemIndent));
+                } else {
+                    index++;
+                    items.push(parseNested(rest, indent, false));
+                }
+            }
+            return items;
+        }
+
+        const mapping = {};
+        while (index < lines.length) {
+            skipToContent();
+            if (index >= lines.length) break;
+            const line = lines[index];
+            const lineIndent = indentOf(line);
+            if (lineIndent < indent) break;
+            if (lineIndent > indent) throw new Error(`Unexpected indentation (line ${index + 1})`);
+            if (isSequenceItem(line)) break;
+
+            const content = stripYAMLComment(line.trimStart());
+            const separator = findYAMLKeySeparator(content);
+            if (separator === -1) throw new Error(`Expected "key: value" (line ${index + 1})`);
+            const key = String(parseYAMLScalar(content.slice(0, separator)));
+            const rest = content.slice(separator + 1).trim();
+            index++;
+            mapping[key] = parseNested(rest, indent, true);
+        }
+        return mapping;
+    }
+
+    skipToContent();
+    if (index >= lines.length) return {};
+    return parseBlock(indentOf(lines[index]));
+}
+
+// Function to format a YAML scalar, quoting strings that would otherwise change meaning
+function formatYAMLScalar(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+
+    const text = String(value);
+    if (/[\n\r\t\x00-\x08]/.test(text)) return JSON.stringify(text);
+    const needsQuotes = text === '' ||
+        /^[\s?:,[\]{}#&*!|>'"%@`]/.test(text) ||
+        /^-(\s|$)/.test(text) ||
+        /\s$/.test(text) ||
+        /: |:$| #/.test(text) ||
+        /^(~|null|true|false|yes|no|on|off|y|n)$/i.test(text) ||
+        /^[-+]?(\d[\d_]*(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/.test(text) ||
+        /^0x[0-9a-f]+$/i.test(text);
+    return needsQuotes ? `'${text.replace(/'/g, "''")}'` : text;
+}
+
+// Function to format "key: value" as block YAML lines at the given indentation
+function formatYAMLEntry(key, value, indent) {
+    const pad = ' '.repeat(indent);
+    const prefix = `${pad}${formatYAMLScalar(key)}:`;
+
+    if (Array.isArray(value)) {
+        if (value.length === 0) return [`${prefix} []`];
+        return [prefix, ...formatYAMLSequence(value, indent + 2)];
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+        if (entries.length === 0) return [`${prefix} {}`];
+        return [prefix, ...entries.flatMap(([k, v]) => formatYAMLEntry(k, v, indent + 2))];
+    }
+    return [`${prefix} ${formatYAMLScalar(value)}`];
+}
+
+// Function to format a block sequence ("- item" lines) at the given indentation
+function formatYAMLSequence(items, indent) {
+    const pad = ' '.repeat(indent);
+    return items.flatMap(item => {
+        if (item && typeof item === 'object' && !Array.isArray(item) && Object.keys(item).length > 0) {
+            // First key shares the dash line, the rest line up underneath it
+            const itemLines = Object.entries(item).flatMap(([k, v]) => formatYAMLEntry(k, v, indent + 2));
+            return [`${pad}- ${itemLines[0].trimStart()}`, ...itemLines.slice(1)];
+        }
+        if (Array.isArray(item) && item.length > 0) {
+            const itemLines = formatYAMLSequence(item, indent + 2);
+            return [`${pad}- ${itemLines[0].trimStart()}`, ...itemLines.slice(1)];
+        }
+        if (item && typeof item === 'object') {
+            return [`${pad}- ${Array.isArray(item) ? '[]' : '{}'}`];
+        }
+        return [`${pad}- ${formatYAMLScalar(item)}`];
+    });
+}
+
+// Function to format a whole YAML document from an object
+function formatYAML(value) {
+    return Object.entries(value)
+        .filter(([, v]) => v !== undefined)
+        .flatMap(([k, v]) => formatYAMLEntry(k, v, 0))
+        .join('\n') + '\n';
+}
+
+// Function to set (or remove, when value is undefined) a key path in a YAML document,
+// leaving comments, formatting and every other key untouched
+function setYAMLValue(text, keyPath, value) {
+    const lines = text === '' ? [] : text.replace(/\n$/, '').split('\n');
+    const indentOf = line => line.length - line.trimStart().length;
+    const isContent = line => line.trim() !== '' && !line.trim().startsWith('#') && line.trim() !== '---';
+    const nestValue = depth => keyPath.slice(depth + 1).reduceRight((nested, key) => ({ [key]: nested }), value);
+    const finish = result => result.join('\n') + '\n';
+
+    // Key lines at exactly this indentation within [start, end)
+    const keyOf = line => {
+        const content = stripYAMLComment(line.trimStart());
+        const separator = findYAMLKeySeparator(content);
+        return separator === -1 ? null : String(parseYAMLScalar(content.slice(0, separator)));
+    };
+
+    // End of the block that starts at line i (exclusive), without trailing blank/comment lines
+    const blockEnd = (i, indent, end) => {
+        let j = i + 1;
+        while (j < end) {
+            const line = lines[j];
+            if (isContent(line)) {
+                const lineIndent = indentOf(line);
+                const continuesSequence = lineIndent === indent && /^-(\s|$)/.test(line.trimStart());
+                if (lineIndent <= indent && !continuesSequence) break;
+            }
+            j++;
+        }
+        while (j > i + 1 && !isContent(lines[j - 1])) j--;
+        return j;
+    };
+
+    let start = 0;
+    let end = lines.length;
+    let indent = 0;
+    const firstContent = lines.findIndex(isContent);
+    if (firstContent !== -1) indent = indentOf(lines[firstContent]);
+
+    for (let depth = 0; depth < keyPath.length; depth++) {
+        const key = keyPath[depth];
+        let found = -1;
+        for (let i = start; i < end; i++) {
+            if (isContent(lines[i]) && indentOf(lines[i]) === indent && keyOf(lines[i]) === key) {
+                found = i;
+                break;
+            }
+        }
+
+        if (found === -1) {
+            if (value === undefined) return text;
+            // Append after the last content line of this level
+            let insertAt = end;
+            while (insertAt > start && !isContent(lines[insertAt - 1])) insertAt--;
+            lines.splice(insertAt, 0, ...formatYAMLEntry(key, nestValue(depth), indent));
+            return finish(lines);
+        }
+
+        const foundEnd = blockEnd(found, indent, end);
+        const rest = stripYAMLComment(lines[found].trimStart()).slice(findYAMLKeySeparator(stripYAMLComment(lines[found].trimStart())) + 1).trim();
+
+        if (depth === keyPath.length - 1) {
+            if (value === undefined) {
+                // A comment block directly above the key describes the removed entry
+                let removeFrom = found;
+                while (removeFrom > start && lines[removeFrom - 1].trim().startsWith('#') && indentOf(lines[removeFrom - 1]) === indent) removeFrom--;
+                lines.splice(removeFrom, foundEnd - removeFrom);
+            } else {
+                lines.splice(found, foundEnd - found, ...formatYAMLEntry(key, value, indent));
+            }
+            return finish(lines);
+        }
+
+        // Descend into a block mapping; inline values ({}, null, flow maps) are rewritten as blocks
+        const childLine = lines.slice(found + 1, foundEnd).findIndex(isContent);
+        if (rest !== '' || childLine === -1 || /^-(\s|$)/.test(lines[found + 1 + childLine].trimStart())) {
+            if (value === undefined) return text;
+            const existing = rest !== '' ? parseYAMLScalar(rest) : null;
+            const merged = existing && typeof existing === 'object' && !Array.isArray(existing) ? existing : {};
+            let target = merged;
+            for (const k of keyPath.slice(depth + 1, -1)) {
+                if (!target[k] || typeof target[k] !== 'object') target[k] = {};
+                target = target[k];
+            }
+            target[keyPath[keyPath.length - 1]] = value;
+            lines.splice(found, foundEnd - found, ...formatYAMLEntry(key, merged, indent));
+            return finish(lines);
+        }
+
+        start = found + 1;
+        end = foundEnd;
+        indent = indentOf(lines[found + 1 + childLine]);
+    }
+
+    return text;
+}
+
+// Function to rename the mapping key at keyPath in place (value, comments and position are kept)
+function renameYAMLKey(text, keyPath, newKey) {
+    const lines = text.split('\n');
+    const indentOf = line => line.length - line.trimStart().length;
+    const isContent = line => line.trim() !== '' && !line.trim().startsWith('#') && line.trim() !== '---';
+    const keyOf = line => {
+        const content = stripYAMLComment(line.trimStart());
+        const separator = findYAMLKeySeparator(content);
+        return separator === -1 ? null : String(parseYAMLScalar(content.slice(0, separator)));
+    };
+
+    let start = 0;
+    let end = lines.length;
+    const firstContent = lines.findIndex(isContent);
+    let indent = firstContent === -1 ? 0 : indentOf(lines[firstContent]);
+
+    for (let depth = 0; depth < keyPath.length; depth++) {
+        let found = -1;
+        for (let i = start; i < end; i++) {
+            if (isContent(lines[i]) && indentOf(lines[i]) === indent && keyOf(lines[i]) === keyPath[depth]) {
+                found = i;
+                break;
+            }
+        }
+        if (found === -1) {
+            return text;
+        }
+
+        if (depth === keyPath.length - 1) {
+            const content = lines[found].slice(indent);
+            const separator = findYAMLKeySeparator(stripYAMLComment(content));
+            lines[found] = lines[found].slice(0, indent) + formatYAMLScalar(newKey) + content.slice(separator);
+            return lines.join('\n');
+        }
+
+        // Descend into the block below the key
+        let foundEnd = found + 1;
+        while (foundEnd < end && (!isContent(lines[foundEnd]) || indentOf(lines[foundEnd]) > indent)) foundEnd++;
+        const child = lines.slice(found + 1, foundEnd).find(isContent);
+        if (!child) {
+            return text;
+        }
+        start = found + 1;
+        end = foundEnd;
+        indent = indentOf(child);
+    }
+
+    return text;
+}
+
+// ============================================================================
+// END YAML HELPERS
+// ============================================================================
+
+// ============================================================================
+// OPENCODE FUNCTIONS
+// ============================================================================
+
+// Function to detect OpenCode MCP config file location based on scope
+function findOpenCodeMCPConfigPath(scope = 'user') {
+    logVerbose(`🔍 Finding OpenCode MCP config file for scope: ${scope}...`);
+
+    const home = process.env.HOME || process.env.USERPROFILE || '';
+
+    if (scope === 'user') {
+        // User scope: ~/.config/opencode/opencode.json
+        const configDir = path.join(home, '.config', 'opencode');
+        const configPath = path.join(configDir, 'opencode.json');
+        logVerbose(`OpenCode user MCP config will be at: ${configPath}`);
+        return configPath;
+    } else if (scope === 'project') {
+        // Project scope: ./opencode.json in project root
+        const projectPath = path.join(cwd, 'opencode.json');
+        logVerbose(`OpenCode project MCP config will be at: ${projectPath}`);
+        return projectPath;
+    }
+
+    // Default to user scope
+    return path.join(home, '.config', 'opencode', 'opencode.json');
+}
+
+// Function to convert standard MCP config to OpenCode format
+function convertToOpenCodeFormat(config, serverName) {
+    // OpenCode format:
+    // {
+    //   "$schema": "https://opencode.ai/config.json",
+    //   "mcp": {
+    //     "server-name": {
+    //       "type": "local" or "remote",
+    //       "command": ["cmd", "arg1", "arg2"],  // for local
+    //       "url": "https://...",                 // for remote
+    //       "enabled": true,
+    //       "environment": {}
+    //     }
+    //   }
+    // }
+
+    const serverConfig = {
+        enabled: true
+    };
+
+    if (config.url) {
+        // Remote server
+        serverConfig.type = 'remote';
+        serverConfig.url = config.url;
+    } else {
+        // Local server
+        serverConfig.type = 'local';
+        // OpenCode uses 'command' as an array including args
+        const commandArray = [config.command];
+        if (config.args && config.args.length > 0) {
+            commandArray.push(...config.args);
+        }
+        serverConfig.command = commandArray;
+    }
+
+    // Add environment variables if present
+    if (config.env && Object.keys(config.env).length > 0) {
+        serverConfig.environment = config.env;
+    }
+
+    return serverConfig;
+}
+
+// Function to convert an OpenCode entry back to standard config (reverse of convertToOpenCodeFormat)
+function normalizeOpenCodeEntry(entry, serverName) {
+    if (entry.type === 'remote' || entry.url) {
+        return toStandardConfig({ url: entry.url }, serverName);
+    }
+
+    // OpenCode keeps the command and its arguments in one array
+    const [command, ...commandArgs] = Array.isArray(entry.command) ? entry.command : [entry.command];
+    return toStandardConfig({ command, args: commandArgs, env: entry.environment }, serverName);
+}
+
+// Function to convert standard MCP config to Windsurf format
+function convertToWindsurfFormat(config) {
+    // Windsurf format (~/.codeium/windsurf/mcp_config.json):
+    // {
+    //   "mcpServers": {
+    //     "server-name": { "command": "cmd", "args": [...], "env": {} },  // stdio
+    //     "remote-server": { "serverUrl": "https://..." }                // remote uses serverUrl, not url
+    //   }
+    // }
+
+    if (config.url) {
+        return { serverUrl: config.url };
+    }
+
+    const serverConfig = {
+        command: config.command,
+        args: config.args || []
+    };
+    if (config.env && Object.keys(config.env).length > 0) {
+        serverConfig.env = config.env;
+    }
+    return serverConfig;
+}
+
+// Function to convert standard MCP config to Zed format
+function convertToZedFormat(config) {
+    // Zed format (settings.json, JSONC):
+    // {
+    //   "context_servers": {
+    //     "server-name": { "source": "custom", "command": "cmd", "args": [...], "env": {} },  // stdio
+    //     "remote-server": { "url": "https://..." }                                       // remote
+    //   }
+    // }
+
+    if (config.url) {
+        return { url: config.url };
+    }
+
+    const serverConfig = {
+        source: 'custom',
+        command: config.command,
+        args: config.args || []
+    };
+    if (config.env && Object.keys(config.env).length > 0) {
+        serverConfig.env = config.env;
+    }
+    return serverConfig;
+}
+
+// Function to convert a Zed context server back to standard config
+// (older settings nest the command as { "command": { "path", "args", "env" } })
+function normalizeZedEntry(entry, serverName) {
+    if (entry.url) {
+        return toStandardConfig({ url: entry.url }, serverName);
+    }
+    const command = entry.command && typeof entry.command === 'object' ? entry.command : entry;
+    return toStandardConfig({ command: command.path || command.command, args: command.args, env: command.env }, serverName);
+}
+
+// Function to execute OpenCode MCP add (writes directly to config file)
+async function executeOpenCodeMCPAdd(config, serverName, scope = 'user') {
+    const validatedName = validateServerName(serverName);
+    const validatedScope = validateScope(scope, false); // OpenCode supports user, local, project but we'll use user/project
+    const keyPath = ['mcp', validatedName];
+    const openCodeServerConfig = convertToOpenCodeFormat(config, validatedName);
+
+    return addServerToConfigFile(getTarget('opencode'), validatedName, validatedScope, findOpenCodeMCPConfigPath(validatedScope), keyPath, openCodeServerConfig, {
+        // New files also get the schema reference
+        edit: text => modifyJSONC(text.trim() === '' ? modifyJSONC(text, ['$schema'], 'https://opencode.ai/config.json') : text, keyPath, openCodeServerConfig)
+    });
+}
+
+// Function to execute OpenCode MCP add for URL-based servers
+async function executeOpenCodeMCPAddURL(config, serverName, scope = 'user') {
+    // For URL-based servers, use the same function - config will have url property
+    return executeOpenCodeMCPAdd(config, serverName, scope);
+}
+
+// ============================================================================
+// END OPENCODE FUNCTIONS
+// ============================================================================
+
+// ============================================================================
+// VS CODE FUNCTIONS
+// ============================================================================
+
+// Function to get the VS Code user profile directory for the current platform
+function getVSCodeUserDir() {
+    const home = process.env.HOME || process.env.USERPROFILE || '';
+    const { isMacOS, isWindows } = getPlatformInfo();
+
+    if (isMacOS) {
+        return path.join(home, 'Library', 'Application Support', 'Code', 'User');
+    } else if (isWindows) {
+        const appData = process.env.APPDATA || path.join(home, 'AppData', 'Roaming');
+        return path.join(appData, 'Code', 'User');
+    }
+    return path.join(home, '.config', 'Code', 'User');
+}
+
+// Function to detect VS Code MCP config file location based on scope
+function findVSCodeMCPConfigPath(scope = 'user') {
+    logVerbose(`🔍 Finding VS Code MCP config file for scope: ${scope}...`);
+
+    if (scope === 'project') {
+        // Workspace scope: .vscode/mcp.json in project root
+        const workspacePath = path.join(cwd, '.vscode', 'mcp.json');
+        logVerbose(`VS Code workspace MCP config will be at: ${workspacePath}`);
+        return workspacePath;
+    }
+
+    // User scope: mcp.json in the VS Code user profile
+    const userPath = path.join(getVSCodeUserDir(), 'mcp.json');
+    logVerbose(`VS Code user MCP config will be at: ${userPath}`);
+    return userPath;
+}
+
+// Check if an environment variable name looks like it holds a secret
+function isSecretEnvKey(key) {
+    return /(^|_)(KEY|APIKEY|TOKEN|SECRET|PASSWORD|PASSWD|PAT|CREDENTIALS?|AUTH)(_|$)/i.test(key);
+}
+
+// Function to convert standard MCP config to VS Code format
+// Returns the server entry plus any "inputs" needed for prompted secrets
+function convertToVSCodeFormat(config, serverName) {
+    // VS Code format:
+    // {
+    //   "servers": {
+    //     "server-name": {
+    //       "type": "stdio" | "http" | "sse",
+    //       "command": "cmd", "args": [...],     // for stdio
+    //       "url": "https://...",                // for http/sse
+    //       "env": { "API_KEY": "${input:server-name-api-key}" }
+    //     }
+    //   },
+    //   "inputs": [
+    //     { "type": "promptString", "id": "server-name-api-key", "description": "...", "password": true }
+    //   ]
+    // }
+
+    const serverConfig = {};
+    const inputs = [];
+
+    if (config.url) {
+        // Remote server - VS Code only knows http and sse
+        serverConfig.type = config.transport === 'sse' ? 'sse' : 'http';
+        serverConfig.url = config.url;
+    } else {
+        serverConfig.type = 'stdio';
+        serverConfig.command = config.command;
+        serverConfig.args = config.args || [];
+    }
+
+    if (config.env && Object.keys(config.env).length > 0) {
+        serverConfig.env = {};
+        for (const [key, value] of Object.entries(config.env)) {
+            // Keep references (${VAR}, ${input:id}, ${env:VAR}) and empty values as they are
+            const isReference = typeof value === 'string' && /^\$\{[^}]+\}$/.test(value.trim());
+            if (isSecretEnvKey(key) && value && !isReference) {
+                const inputId = `${serverName}-${key.toLowerCase().replace(/_/g, '-')}`;
+                serverConfig.env[key] = `\${input:${inputId}}`;
+                inputs.push({
+                    type: 'promptString',
+                    id: inputId,
+                    description: `${key} for ${serverName}`,
+                    password: true
+                });
+            } else {
+                serverConfig.env[key] = value;
+            }
+        }
+    }
+
+    return { serverConfig, inputs };
+}
+
+// Function to build the "inputs" a VS Code entry refers to through ${input:id} that are not defined yet
+// Entries merged in by sync, update, relocate and undo only carry the references, not the inputs behind them
+function findMissingVSCodeInputs(serverConfig, serverName, existingInputs) {
+    const definedIds = existingInputs.map(input => input && input.id);
+    const inputs = [];
+    for (const [key, value] of Object.entries(serverConfig.env || {})) {
+        const match = typeof value === 'string' && value.trim().match(/^\$\{input:([^}]+)\}$/);
+        if (match && !definedIds.includes(match[1])) {
+            definedIds.push(match[1]);
+            inputs.push({ type: 'promptString', id: match[1], description: `${key} for ${serverName}`, password: true });
+        }
+    }
+    return inputs;
+}
+
+// Function to put "inputs" into VS Code mcp.json text, replacing any input with the same id
+function setVSCodeInputs(text, inputs) {
+    if (inputs.length === 0) {
+        return text;
+    }
+    const inputIds = inputs.map(input => input.id);
+    const { inputs: definedInputs } = parseJSONC(text) || {};
+    const existingInputs = Array.isArray(definedInputs) ? definedInputs.filter(input => !(input && inputIds.includes(input.id))) : [];
+    return modifyJSONC(text, ['inputs'], existingInputs.concat(inputs));
+}
+
+// Function to execute VS Code MCP add (writes directly to mcp.json)
+async function executeVSCodeMCPAdd(config, serverName, scope = 'user') {
+    const validatedName = validateServerName(serverName);
+    const validatedScope = validateScope(scope, false); // VS Code supports user and workspace (project)
+    const { serverConfig, inputs } = convertToVSCodeFormat(config, validatedName);
+
+    return addServerToConfigFile(getTarget('vscode'), validatedName, validatedScope, findVSCodeMCPConfigPath(validatedScope), ['servers', validatedName], serverConfig, {
+        edit: text => setVSCodeInputs(modifyJSONC(text, ['servers', validatedName], serverConfig), inputs),
+        notes: inputs.length > 0 ? [`🔐 ${inputs.length} secret(s) moved to "inputs" - VS Code will prompt for them on first start`] : []
+    });
+}
+
+// Function to execute VS Code MCP add for URL-based servers
+async function executeVSCodeMCPAddURL(config, serverName, scope = 'user') {
+    // For URL-based servers, use the same function - config will have url property
+    return executeVSCodeMCPAdd(config, serverName, scope);
+}
+
+// ============================================================================
+// END VS CODE FUNCTIONS
+// ============================================================================
+
+// ============================================================================
+// CURSOR FUNCTIONS
+// ============================================================================
+
+// Function to detect Cursor MCP config file location based on scope
+function findCursorMCPConfigPath(scope = 'user') {
+    logVerbose(`🔍 Finding Cursor MCP config file for scope: ${scope}...`);
+
+    if (scope === 'project') {
+        // Project scope: .cursor/mcp.json in project root
+        const projectPath = path.join(cwd, '.cursor', 'mcp.json');
+        logVerbose(`Cursor project MCP config will be at: ${projectPath}`);
+        return projectPath;
+    }
+
+    // User scope: ~/.cursor/mcp.json
+    const home = process.env.HOME || process.env.USERPROFILE || '';
+    const userPath = path.join(home, '.cursor', 'mcp.json');
+    logVerbose(`Cursor user MCP config will be at: ${userPath}`);
+    return userPath;
+}
+
+// Function to convert standard MCP config to Cursor format
+function convertToCursorFormat(config) {
+    // Cursor format (same "mcpServers" key as Claude):
+    // {
+    //   "mcpServers": {
+    //     "server-name": { "command": "cmd", "args": [...], "env": {} },  // stdio
+    //     "remote-server": { "url": "https://..." }                       // SSE / streamable HTTP
+    //   }
+    // }
+
+    if (config.url) {
+        // Cursor picks the transport from the server response, so only the URL is stored
+        return { url: config.url };
+    }
+
+    const serverConfig = {
+        command: config.command,
+        args: config.args || []
+    };
+    if (config.env && Object.keys(config.env).length > 0) {
+        serverConfig.env = config.env;
+    }
+    return serverConfig;
+}
+
+// Function to execute Cursor MCP add (writes directly to mcp.json)
+async function executeCursorMCPAdd(config, serverName, scope = 'user') {
+    const validatedName = validateServerName(serverName);
+    const validatedScope = validateScope(scope, false); // Cursor supports user and project
+
+    return addServerToConfigFile(getTarget('cursor'), validatedName, validatedScope, findCursorMCPConfigPath(validatedScope),
+        ['mcpServers', validatedName], convertToCursorFormat(config));
+}
+
+// Function to execute Cursor MCP add for URL-based servers
+async function executeCursorMCPAddURL(config, serverName, scope = 'user') {
+    // For URL-based servers, use the same function - config will have url property
+    return executeCursorMCPAdd(config, serverName, scope);
+}
+
+// ============================================================================
+// END CURSOR FUNCTIONS
+// ============================================================================
+
+// ============================================================================
+// WINDSURF FUNCTIONS
+// ============================================================================
+
+// Function to get the Windsurf MCP config file (user-wide only)
+function findWindsurfMCPConfigPath() {
+    const home = process.env.HOME || process.env.USERPROFILE || '';
+    return path.join(home, '.codeium', 'windsurf', 'mcp_config.json');
+}
+
+// Function to execute Windsurf MCP add (writes directly to mcp_config.json)
+async function executeWindsurfMCPAdd(config, serverName, scope = 'user') {
+    const validatedName = validateServerName(serverName);
+    return addServerToConfigFile(getTarget('windsurf'), validatedName, scope, findWindsurfMCPConfigPath(),
+        ['mcpServers', validatedName], convertToWindsurfFormat(config));
+}
+
+// Function to execute Windsurf MCP add for URL-based servers
+async function executeWindsurfMCPAddURL(config, serverName, scope = 'user') {
+    // For URL-based servers, use the same function - converter writes serverUrl
+    return executeWindsurfMCPAdd(config, serverName, scope);
+}
+
+// ============================================================================
+// END WINDSURF FUNCTIONS
+// ============================================================================
+
+// ============================================================================
+// ZED FUNCTIONS
+// ============================================================================
+
+// Function to get the Zed settings file for the given scope
+function findZedSettingsPath(scope = 'user') {
+    if (scope === 'project') {
+        return path.join(cwd, '.zed', 'settings.json');
+    }
+
+    const home = process.env.HOME || process.env.USERPROFILE || '';
+    if (process.platform === 'win32' && process.env.APPDATA) {
+        return path.join(process.env.APPDATA, 'Zed', 'settings.json');
+    }
+    // Zed uses ~/.config/zed on both Linux and macOS
+    const configHome = process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+    return path.join(configHome, 'zed', 'settings.json');
+}
+
+// Function to execute Zed MCP add (merges one "context_servers" entry into settings.json)
+// Only context_servers.<name> is spliced in, keeping comments and other settings
+async function executeZedMCPAdd(config, serverName, scope = 'user') {
+    const validatedName = validateServerName(serverName);
+    return addServerToConfigFile(getTarget('zed'), validatedName, scope, findZedSettingsPath(scope),
+        ['context_servers', validatedName], convertToZedFormat(config));
+}
+
+// Function to execute Zed MCP add for URL-based servers
+async function executeZedMCPAddURL(config, serverName, scope = 'user') {
+    // For URL-based servers, use the same function - converter writes url
+    return executeZedMCPAdd(config, serverName, scope);
+}
+
+// ============================================================================
+// END ZED FUNCTIONS
+// ============================================================================
+
+// ============================================================================
+// CODEX FUNCTIONS
+// ============================================================================
+
+// Function to get the Codex CLI config file (honours CODEX_HOME)
+function findCodexConfigPath() {
+    const home = process.env.HOME || process.env.USERPROFILE || '';
+    const codexHome = process.env.CODEX_HOME || path.join(home, '.codex');
+    return path.join(codexHome, 'config.toml');
+}
+
+// Function to convert standard MCP config to a Codex [mcp_servers.<name>] table
+function convertToCodexFormat(config) {
+    // Codex format (~/.codex/config.toml):
+    // [mcp_servers.server-name]
+    // command = "npx"
+    // args = ["-y", "package"]
+    // env = { "API_KEY" = "value" }
+    // startup_timeout_sec = 20
+    //
+    // [mcp_servers.remote-server]
+    // url = "https://..."
+
+    const serverConfig = {};
+    if (config.url) {
+        serverConfig.url = config.url;
+    } else {
+        serverConfig.command = config.command;
+        serverConfig.args = config.args || [];
+        if (config.env && Object.keys(config.env).length > 0) {
+            serverConfig.env = config.env;
+        }
+    }
+
+    if (startupTimeoutSec) {
+        serverConfig.startup_timeout_sec = startupTimeoutSec;
+    }
+    return serverConfig;
+}
+
+// Function to convert a Codex [mcp_servers.<name>] table back to standard config (remote servers are streamable HTTP)
+function normalizeCodexEntry(entry, serverName) {
+    if (entry.url) {
+        return toStandardConfig({ url: entry.url, transport: 'http' }, serverName);
+    }
+    return toStandardConfig({ command: entry.command, args: entry.args, env: entry.env, cwd: entry.cwd }, serverName);
+}
+
+// Function to execute Codex MCP add (splices one [mcp_servers.<name>] table into config.toml)
+async function executeCodexMCPAdd(config, serverName, scope = 'user') {
+    const validatedName = validateServerName(serverName);
+    return addServerToConfigFile(getTarget('codex'), validatedName, scope, findCodexConfigPath(),
+        ['mcp_servers', validatedName], convertToCodexFormat(config), { format: 'toml' });
+}
+
+// Function to execute Codex MCP add for URL-based servers
+async function executeCodexMCPAddURL(config, serverName, scope = 'user') {
+    // For URL-based servers, use the same function - converter writes url
+    return executeCodexMCPAdd(config, serverName, scope);
+}
+
+// ============================================================================
+// END CODEX FUNCTIONS
+// ============================================================================
+
+// ============================================================================
+// GOOSE FUNCTIONS
+// ============================================================================
+
+// Function to get the Goose config file (user-wide only)
+function findGooseConfigPath() {
+    const home = process.env.HOME || process.env.USERPROFILE || '';
+    if (process.platform === 'win32' && process.env.APPDATA) {
+        return path.join(process.env.APPDATA, 'Block', 'goose', 'config', 'config.yaml');
+    }
+    const configHome = process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+    return path.join(configHome, 'goose', 'config.yaml');
+}
+
+// Function to convert standard MCP config to a Goose extension entry
+function convertToGooseFormat(config, serverName) {
+    // Goose format (~/.config/goose/config.yaml):
+    // extensions:
+    //   server-name:
+    //     name: server-name
+    //     type: stdio
+    //     cmd: npx
+    //     args:
+    //       - -y
+    //       - package
+    //     envs:
+    //       API_KEY: value
+    //     enabled: true
+    //     timeout: 300
+    //   remote-server:
+    //     name: remote-server
+    //     type: streamable_http   # or sse
+    //     uri: https://...
+
+    const timeout = startupTimeoutSec || 300;
+
+    if (config.url) {
+        return {
+            name: serverName,
+            type: config.transport === 'sse' ? 'sse' : 'streamable_http',
+            uri: config.url,
+            envs: {},
+            enabled: true,
+            timeout
+        };
+    }
+
+    return {
+        name: serverName,
+        type: 'stdio',
+        cmd: config.command,
+        args: config.args || [],
+        envs: config.env || {},
+        enabled: true,
+        timeout
+    };
+}
+
+// Function to convert a Goose extension back to standard config
+function normalizeGooseEntry(entry, serverName) {
+    if (entry.uri || entry.url) {
+        return toStandardConfig({ url: entry.uri || entry.url, transport: normalizeTransport(entry.type) }, serverName);
+    }
+    return toStandardConfig({ command: entry.cmd || entry.command, args: entry.args, env: entry.envs || entry.env }, serverName);
+}
+
+// Function to execute Goose MCP add (merges one extensions.<name> entry into config.yaml)
+async function executeGooseMCPAdd(config, serverName, scope = 'user') {
+    const validatedName = validateServerName(serverName);
+    return addServerToConfigFile(getTarget('goose'), validatedName, scope, findGooseConfigPath(),
+        ['extensions', validatedName], convertToGooseFormat(config, validatedName), { format: 'yaml' });
+}
+
+// Function to execute Goose MCP add for URL-based servers
+async function executeGooseMCPAddURL(config, serverName, scope = 'user') {
+    // For URL-based servers, use the same function - converter writes uri
+    return executeGooseMCPAdd(config, serverName, scope);
+}
+
+// ============================================================================
+// END GOOSE FUNCTIONS
+// ============================================================================
+
+// ============================================================================
+// CONTINUE FUNCTIONS
+// ============================================================================
+
+// Function to get the Continue mcpServers block directory for the given scope
+function findContinueMCPDir(scope = 'user') {
+    if (scope === 'project') {
+        return path.join(cwd, '.continue', 'mcpServers');
+    }
+    const home = process.env.HOME || process.env.USERPROFILE || '';
+    return path.join(home, '.continue', 'mcpServers');
+}
+
+// Function to get the block file Continue reads for one server
+// An existing <name>.yml block is used as is; new blocks are written as <name>.yaml
+function findContinueBlockPath(serverName, scope = 'user') {
+    const dir = findContinueMCPDir(scope);
+    const ymlPath = path.join(dir, `${serverName}.yml`);
+    const yamlPath = path.join(dir, `${serverName}.yaml`);
+    return !fs.existsSync(yamlPath) && fs.existsSync(ymlPath) ? ymlPath : yamlPath;
+}
+
+// Function to list the block files in a Continue mcpServers directory
+function listContinueBlockFiles(scope = 'user') {
+    const dir = findContinueMCPDir(scope);
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir)
+        .filter(file => /\.ya?ml$/.test(file))
+        .map(file => path.join(dir, file));
+}
+
+// Function to convert standard MCP config to a Continue block document
+function convertToContinueBlock(config, serverName) {
+    // Continue format (.continue/mcpServers/<name>.yaml - one block per file):
+    // name: server-name
+    // version: 0.0.1
+    // schema: v1
+    // mcpServers:
+    //   - name: server-name
+    //     command: npx
+    //     args:
+    //       - -y
+    //       - package
+    //     env:
+    //       API_KEY: value
+    //
+    // Remote servers use type: sse or type: streamable-http with url
+
+    const server = { name: serverName };
+    if (config.url) {
+        server.type = config.transport === 'sse' ? 'sse' : 'streamable-http';
+        server.url = config.url;
+    } else {
+        server.command = config.command;
+        server.args = config.args || [];
+        if (config.env && Object.keys(config.env).length > 0) {
+            server.env = config.env;
+        }
+    }
+
+    return {
+        name: serverName,
+        version: '0.0.1',
+        schema: 'v1',
+        mcpServers: [server]
+    };
+}
+
+// Function to execute Continue MCP add (writes a .continue/mcpServers/<name>.yaml block)
+// Each server has its own file, so an existing block means the server already exists and is replaced whole
+async function executeContinueMCPAdd(config, serverName, scope = 'user') {
+    const validatedName = validateServerName(serverName);
+    const block = convertToContinueBlock(config, validatedName);
+    return addServerToConfigFile(getTarget('continue'), validatedName, scope, findContinueBlockPath(validatedName, scope),
+        ['mcpServers'], block.mcpServers, { format: 'yaml', edit: () => formatYAML(block) });
+}
+
+// Function to execute Continue MCP add for URL-based servers
+async function executeContinueMCPAddURL(config, serverName, scope = 'user') {
+    // For URL-based servers, use the same function - converter writes type/url
+    return executeContinueMCPAdd(config, serverName, scope);
+}
+
+// ============================================================================
+// END CONTINUE FUNCTIONS
+// ============================================================================
+
+// ============================================================================
+// CLINE / ROO CODE FUNCTIONS
+// ============================================================================
+
+// VS Code extensions that share the Cline MCP settings format
+const CLINE_VARIANTS = {
+    cline: { name: 'Cline', extensionId: 'saoudrizwan.claude-dev', file: 'cline_mcp_settings.json' },
+    roo: { name: 'Roo Code', extensionId: 'rooveterinaryinc.roo-cline', file: 'mcp_settings.json' }
+};
+
+// Function to get the MCP settings file of Cline or Roo Code (in VS Code globalStorage)
+function findClineMCPConfigPath(variant = 'cline') {
+    const { extensionId, file } = CLINE_VARIANTS[variant];
+    return path.join(getVSCodeUserDir(), 'globalStorage', extensionId, 'settings', file);
+}
+
+// Function to convert standard MCP config to Cline / Roo Code format
+function convertToClineFormat(config, variant = 'cline') {
+    // Cline / Roo Code format (cline_mcp_settings.json / mcp_settings.json):
+    // {
+    //   "mcpServers": {
+    //     "server-name": {
+    //       "command": "cmd", "args": [...], "env": {},
+    //       "disabled": false,
+    //       "alwaysAllow": ["tool_name"],   // tools that run without approval
+    //       "timeout": 60                   // seconds
+    //     },
+    //     "remote-server": { "type": "streamableHttp", "url": "https://...", ... }
+    //   }
+    // }
+
+    const serverConfig = {};
+    if (config.url) {
+        // Cline spells streamable HTTP "streamableHttp", Roo Code "streamable-http"
+        const httpType = variant === 'roo' ? 'streamable-http' : 'streamableHttp';
+        serverConfig.type = config.transport === 'sse' ? 'sse' : httpType;
+        serverConfig.url = config.url;
+    } else {
+        serverConfig.command = config.command;
+        serverConfig.args = config.args || [];
+        if (config.env && Object.keys(config.env).length > 0) {
+            serverConfig.env = config.env;
+        }
+    }
+
+    serverConfig.disabled = startDisabled;
+    serverConfig.alwaysAllow = alwaysAllowTools;
+    serverConfig.timeout = startupTimeoutSec || 60;
+    return serverConfig;
+}
+
+// Function to execute Cline / Roo Code MCP add (merges into the extension's settings file)
+async function executeClineStyleMCPAdd(config, serverName, scope, variant) {
+    const validatedName = validateServerName(serverName);
+    const configPath = findClineMCPConfigPath(variant);
+
+    // The extension only creates its globalStorage folder once it has been opened
+    const targetName = CLINE_VARIANTS[variant].name;
+    if (!fs.existsSync(path.dirname(path.dirname(configPath)))) {
+        log(`⚠️  ${targetName} storage folder not found - creating it (is the extension installed?)`, 'warning');
+    }
+
+    const notes = [];
+    if (alwaysAllowTools.length > 0) {
+        notes.push(`🔓 Auto-approved tools: ${alwaysAllowTools.join(', ')}`);
+    }
+    if (startDisabled) {
+        notes.push(`⏸️  Server is disabled - enable it from the ${targetName} MCP Servers view`);
+    }
+    return addServerToConfigFile(getTarget(variant), validatedName, scope, configPath,
+        ['mcpServers', validatedName], convertToClineFormat(config, variant), { notes });
+}
+
+// Function to execute Cline MCP add
+async function executeClineMCPAdd(config, serverName, scope = 'user') {
+    return executeClineStyleMCPAdd(config, serverName, scope, 'cline');
+}
+
+// Function to execute Cline MCP add for URL-based servers
+async function executeClineMCPAddURL(config, serverName, scope = 'user') {
+    // For URL-based servers, use the same function - converter writes type/url
+    return executeClineStyleMCPAdd(config, serverName, scope, 'cline');
+}
+
+// Function to execute Roo Code MCP add
+async function executeRooMCPAdd(config, serverName, scope = 'user') {
+    return executeClineStyleMCPAdd(config, serverName, scope, 'roo');
+}
+
+// Function to execute Roo Code MCP add for URL-based servers
+async function executeRooMCPAddURL(config, serverName, scope = 'user') {
+    // For URL-based servers, use the same function - converter writes type/url
+    return executeClineStyleMCPAdd(config, serverName, scope, 'roo');
+}
+
+// ============================================================================
+// END CLINE / ROO CODE FUNCTIONS
+// ============================================================================
+
+// ============================================================================
+// CLAUDE DESKTOP FUNCTIONS
+// ============================================================================
+
+// Function to get the Claude Desktop config file for the current platform
+function findClaudeDesktopConfigPath() {
+    const home = process.env.HOME || process.env.USERPROFILE || '';
+    const { isMacOS, isWindows } = getPlatformInfo();
+
+    if (isMacOS) {
+        return path.join(home, 'Library', 'Application Support', 'Claude', 'claude_desktop_config.json');
+    } else if (isWindows) {
+        const appData = process.env.APPDATA || path.join(home, 'AppData', 'Roaming');
+        return path.join(appData, 'Claude', 'claude_desktop_config.json');
+    }
+    return path.join(home, '.config', 'Claude', 'claude_desktop_config.json');
+}
+
+// Function to resolve a command to an absolute path
+// Claude Desktop does not inherit the shell PATH, so bare names like "node" or "npx" may not start
+function resolveCommandPath(command) {
+    if (!command || path.isAbsolute(command)) {
+        return command;
+    }
+
+    // Relative paths are resolved against the project directory
+    if (command.includes('/') || command.includes('\\')) {
+        return path.resolve(cwd, command);
+    }
+
+    // Only look up plain executable names (findExecutable runs through the shell)
+    if (/^[a-zA-Z0-9._+-]+$/.test(command)) {
+        const resolved = findExecutable(command);
+        if (resolved && fs.existsSync(resolved)) {
+            logVerbose(`Resolved "${command}" to ${resolved}`);
+            return resolved;
+        }
+    }
+
+    log(`⚠️  Could not resolve "${command}" to an absolute path - Claude Desktop may not find it`, 'warning');
+    return command;
+}
+
+// Function to wrap a remote server in a local mcp-remote bridge (Claude Desktop only runs stdio servers)
+function wrapRemoteForClaudeDesktop(config) {
+    const wrapArgs = ['-y', 'mcp-remote', config.url];
+    // mcp-remote tries HTTP first and falls back to SSE, so only pin the transport for SSE servers
+    if (config.transport === 'sse') {
+        wrapArgs.push('--transport', 'sse-only');
+    }
+
+    return {
+        command: 'npx',
+        args: wrapArgs,
+        env: config.env || {},
+        description: config.description
+    };
+}
+
+// Function to convert standard MCP config to Claude Desktop format
+function convertToClaudeDesktopFormat(config) {
+    // Claude Desktop format (stdio only):
+    // {
+    //   "mcpServers": {
+    //     "server-name": { "command": "/absolute/path/to/cmd", "args": [...], "env": {} }
+    //   }
+    // }
+
+    const serverConfig = {
+        command: resolveCommandPath(config.command),
+        args: config.args || []
+    };
+    if (config.env && Object.keys(config.env).length > 0) {
+        serverConfig.env = config.env;
+    }
+    return serverConfig;
+}
+
+// Function to convert a Claude Desktop entry back to standard config, unwrapping mcp-remote bridges
+function normalizeClaudeDesktopEntry(entry, serverName) {
+    const entryArgs = entry.args || [];
+    const bridgeIndex = entryArgs.indexOf('mcp-remote');
+    if (path.basename(entry.command || '').startsWith('npx') && bridgeIndex !== -1 && /^https?:\/\//.test(entryArgs[bridgeIndex + 1] || '')) {
+        const transportIndex = entryArgs.indexOf('--transport');
+        const transport = transportIndex !== -1 && entryArgs[transportIndex + 1] === 'sse-only' ? 'sse' : undefined;
+        return toStandardConfig({ url: entryArgs[bridgeIndex + 1], transport }, serverName);
+    }
+    return normalizeMCPServersEntry(entry, serverName);
+}
+
+// Function to execute Claude Desktop MCP add (writes directly to claude_desktop_config.json)
+// The converter resolves the command to an absolute path
+async function executeClaudeDesktopMCPAdd(config, serverName, scope = 'user') {
+    const validatedName = validateServerName(serverName);
+    return addServerToConfigFile(getTarget('claude-desktop'), validatedName, scope, findClaudeDesktopConfigPath(),
+        ['mcpServers', validatedName], convertToClaudeDesktopFormat(config));
+}
+
+// Function to execute Claude Desktop MCP add for URL-based servers
+// Claude Desktop only runs stdio servers, so remote servers must be wrapped with mcp-remote
+async function executeClaudeDesktopMCPAddURL(config, serverName, scope = 'user') {
+    log('⚠️  Claude Desktop only supports local (stdio) MCP servers in its config file', 'warning');
+
+    let wrap = wrapRemote;
+    if (!wrap && !isForce) {
+        const { confirmWrap } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'confirmWrap',
+                message: `Wrap ${config.url} with the mcp-remote stdio bridge (npx -y mcp-remote)?`,
+                default: true
+            }
+        ]);
+        wrap = confirmWrap;
+    }
+
+    if (!wrap) {
+        log(`❌ Remote server "${serverName}" cannot be added to Claude Desktop without a stdio bridge`, 'error');
+        log('💡 Re-run with --wrap-remote to wrap it with mcp-remote, or add it as a connector in Claude Desktop settings', 'info');
+        return false;
+    }
+
+    log('🔌 Wrapping remote server with mcp-remote', 'info');
+    return executeClaudeDesktopMCPAdd(wrapRemoteForClaudeDesktop(config), serverName, scope);
+}
+
+// Function to import every server from claude_desktop_config.json into the selected target
+async function handleImportDesktopMode() {
+    log('📥 Import from Claude Desktop', 'title');
+
+    if (target.id === 'claude-desktop') {
+        log('❌ Choose a target to import into, e.g. --gemini, --opencode or no flag for Claude Code', 'error');
+        process.exit(1);
+    }
+
+    const desktopConfigPath = findClaudeDesktopConfigPath();
+    if (!fs.existsSync(desktopConfigPath)) {
+        log(`❌ Claude Desktop config not found: ${desktopConfigPath}`, 'error');
+        process.exit(1);
+    }
+
+    let desktopConfig;
+    try {
+        desktopConfig = readJSONConfigFile(desktopConfigPath);
+    } catch (error) {
+        log(`❌ ${error.message}`, 'error');
+        process.exit(1);
+    }
+
+    const desktopServers = desktopConfig.mcpServers || {};
+    let serverNames = Object.keys(desktopServers);
+    if (serverNames.length === 0) {
+        log('ℹ️  No servers configured in Claude Desktop', 'info');
+        return true;
+    }
+
+    log(`📂 Found ${serverNames.length} server(s) in ${desktopConfigPath}`, 'info');
+
+    const targetName = target.name;
+    let scope = 'user';
+
+    if (!isForce) {
+        const answers = await inquirer.prompt([
+            {
+                type: 'checkbox',
+                name: 'selected',
+                message: `Which servers should be imported into ${targetName}?`,
+                choices: serverNames.map(name => ({ name, value: name, checked: true }))
+            },
+            {
+                type: 'list',
+                name: 'scope',
+                message: 'Choose MCP server scope:',
+                choices: getScopeChoices(),
+                default: 'user'
+            }
+        ]);
+        serverNames = answers.selected;
+        scope = answers.scope;
+    }
+
+    const results = [];
+    for (const name of serverNames) {
+        let serverConfig;
+        try {
+            serverConfig = parseJSONConfig(JSON.stringify(desktopServers[name]), name);
+        } catch (error) {
+            log(`❌ Skipping "${name}": ${error.message}`, 'error');
+            results.push({ name, success: false });
+            continue;
+        }
+
+        const success = await target.execute(serverConfig, name, scope);
+        results.push({ name, success });
+    }
+
+    const imported = results.filter(result => result.success).length;
+    const failed = results.length - imported;
+    log(`🎉 Imported ${imported} of ${results.length} server(s) into ${targetName}`, failed > 0 ? 'warning' : 'success');
+    results.filter(result => !result.success).forEach(result => {
+        log(`  ❌ ${result.name}`, 'error');
+    });
+    log(`🔄 ${target.restartMessage} if needed to see the new servers`, 'info');
+    return failed === 0;
+}
+
+// ============================================================================
+// END CLAUDE DESKTOP FUNCTIONS
+// ============================================================================
+
+// ============================================================================
+// BUILT-IN TARGETS
+// ============================================================================
+
+// Function to list the servers in one config file, given a reader returning { name: entry }
+function listServersFromFile(configPath, scope, readServers) {
+    if (!configPath || !fs.existsSync(configPath)) {
+        return [];
+    }
+    try {
+        const container = readServers(fs.readFileSync(configPath, 'utf8')) || {};
+        return Object.entries(container).map(([name, config]) => ({ name, scope, configPath, config }));
+    } catch (error) {
+        logVerbose(`Could not read servers from ${configPath}: ${error.message}`);
+        return [];
+    }
+}
+
+// Function to list a target's servers across all of its scopes
+function listTargetServers(selected, readServers) {
+    const seen = new Set();
+    return selected.scopes.flatMap(scope => {
+        const configPath = selected.configPath(scope);
+        if (seen.has(configPath)) return [];
+        seen.add(configPath);
+        return listServersFromFile(configPath, scope, readServers);
+    });
+}
+
+// Function to remove a server from a config file through a text edit that keeps the rest of the file
+async function removeServerFromFile(configPath, serverName, editText) {
+    if (!configPath || !fs.existsSync(configPath)) {
+        return false;
+    }
+
+    const content = fs.readFileSync(configPath, 'utf8');
+    const updatedContent = editText(content);
+    if (updatedContent === content) {
+        return false;
+    }
+
+    if (!(await confirmConfigWrite(configPath, content, updatedContent))) {
+        return isDryRun;
+    }
+
+    snapshotConfigFile(configPath, `remove "${serverName}"`);
+    if (await writeConfigFile(configPath, updatedContent, content, editText) === null) {
+        return false;
+    }
+    log(`🗑️  Removed "${serverName}" from ${configPath}`, 'success');
+    return true;
+}
+
+// Function to rename a server inside a config file through a text edit that keeps the rest of the file
+async function renameServerInFile(configPath, oldName, newName, editText) {
+    if (!configPath || !fs.existsSync(configPath)) {
+        return false;
+    }
+
+    const content = fs.readFileSync(configPath, 'utf8');
+    const updatedContent = editText(content);
+    if (updatedContent === content) {
+        return false;
+    }
+
+    if (!(await confirmConfigWrite(configPath, content, updatedContent))) {
+        return isDryRun;
+    }
+
+    snapshotConfigFile(configPath, `rename "${oldName}" to "${newName}"`);
+    if (await writeConfigFile(configPath, updatedContent, content, editText) === null) {
+        return false;
+    }
+    log(`✏️  Renamed "${oldName}" to "${newName}" in ${configPath}`, 'success');
+    return true;
+}
+
+// Function to apply a text edit to a config file, creating it if needed (summary reads like 'disable "x"')
+async function updateConfigFile(configPath, editText, summary) {
+    const content = fs.existsSync(configPath) ? fs.readFileSync(configPath, 'utf8') : '';
+    const updatedContent = editText(content);
+    if (updatedContent === content) {
+        logVerbose(`${configPath} already up to date (${summary})`);
+        return true;
+    }
+
+    if (!(await confirmConfigWrite(configPath, content, updatedContent))) {
+        return isDryRun;
+    }
+
+    snapshotConfigFile(configPath, summary);
+    if (await writeConfigFile(configPath, updatedContent, content, editText) === null) {
+        return false;
+    }
+    log(`✅ Updated ${configPath} (${summary})`, 'success');
+    return true;
+}
+
+// Function to add a name to (or drop it from) a JSONC string-list setting
+function toggleJSONCListEntry(content, keyPath, name, present) {
+    const data = content.trim() === '' ? {} : parseJSONC(content);
+    const current = keyPath.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+    const list = Array.isArray(current) ? current.filter(entry => entry !== name) : [];
+    if (present) {
+        list.push(name);
+    }
+    if (!Array.isArray(current) && list.length === 0) {
+        return content;
+    }
+    return modifyJSONC(content, keyPath, list);
+}
+
+// Function to run a client CLI without a shell (for CLI-managed targets)
+function runTargetCLI(cli, cliArgs) {
+    const displayCommand = `${cli} ${cliArgs.map(arg => shellEscape(arg)).join(' ')}`;
+    if (isDryRun) {
+        log(`🔍 DRY RUN - Would run: ${displayCommand}`, 'info');
+        return true;
+    }
+
+    logVerbose(`Running: ${displayCommand}`);
+    snapshotClientConfigs(cli, `${cli} ${cliArgs.slice(0, 2).join(' ')}`);
+    const result = spawnSync(cli, cliArgs, { encoding: 'utf8', stdio: 'pipe' });
+    if (result.error || result.status !== 0) {
+        const details = (result.stderr || result.stdout || (result.error && result.error.message) || '').trim();
+        log(`❌ ${displayCommand} failed${details ? `: ${details}` : ''}`, 'error');
+        return false;
+    }
+    return true;
+}
+
+// Function to list Claude Code servers: ~/.claude.json (user, and local per project) and .mcp.json
+function listClaudeServers() {
+    const servers = [];
+    const claudeJSONPath = findClaudeConfigPath('user');
+
+    if (fs.existsSync(claudeJSONPath)) {
+        try {
+            const claudeJSON = JSON.parse(fs.readFileSync(claudeJSONPath, 'utf8'));
+            const localServers = ((claudeJSON.projects || {})[cwd] || {}).mcpServers || {};
+            Object.entries(claudeJSON.mcpServers || {}).forEach(([name, config]) => {
+                servers.push({ name, scope: 'user', configPath: claudeJSONPath, config });
+            });
+            Object.entries(localServers).forEach(([name, config]) => {
+                servers.push({ name, scope: 'local', configPath: claudeJSONPath, config });
+            });
+        } catch (error) {
+            logVerbose(`Could not read servers from ${claudeJSONPath}: ${error.message}`);
+        }
+    }
+
+    return servers.concat(listServersFromFile(findClaudeConfigPath('project'), 'project', content => JSON.parse(content).mcpServers));
+}
+
+// Function to convert standard MCP config to a Claude Code / Gemini CLI style entry
+function convertToMCPServersFormat(config) {
+    if (config.url) {
+        return { type: config.transport || 'sse', url: config.url };
+    }
+    const serverConfig = { command: config.command, args: config.args || [] };
+    if (config.env && Object.keys(config.env).length > 0) {
+        serverConfig.env = config.env;
+    }
+    return serverConfig;
+}
+
+// Function to check whether a directory exists (used by target detection)
+function directoryExists(dirPath) {
+    return Boolean(dirPath) && fs.existsSync(dirPath);
+}
+
+// Function to register the targets that ship with mcp-auto-add
+function registerBuiltinTargets() {
+    const home = process.env.HOME || process.env.USERPROFILE || '';
+    const readKey = key => content => parseJSONC(content)[key];
+    const removeKey = key => (configPath, serverName) =>
+        removeServerFromFile(configPath, serverName, content => modifyJSONC(content, [key, serverName], undefined));
+    const renameKey = key => (configPath, oldName, newName) =>
+        renameServerInFile(configPath, oldName, newName, content => renameJSONCMember(content, [key, oldName], newName));
+    const restoreKey = key => (configPath, serverName, entry) =>
+        updateConfigFile(configPath, content => modifyJSONC(content, [key, serverName], entry), `restore "${serverName}"`);
+    const toggleSummary = (serverName, enabled) => `${enabled ? 'enable' : 'disable'} "${serverName}"`;
+
+    registerTarget({
+        id: 'claude',
+        name: 'Claude Code',
+        flags: ['--claude'],
+        cli: 'claude',
+        color: 'magenta',
+        scopes: ['user', 'local', 'project'],
+        transports: ['sse', 'http'],
+        projectConfigFile: '.mcp.json',
+        restartMessage: 'Restart Claude Code',
+        listCommand: 'claude mcp list',
+        notes: ['Claude Code supports scopes: user, local, project', 'Default transport for remote servers: sse'],
+        detect: () => Boolean(findClaudeCodeInstallation()),
+        configPath: scope => findClaudeConfigPath(scope),
+        configKeyPath: (serverName, scope) => scope === 'local'
+            ? ['projects', cwd, 'mcpServers', serverName]
+            : ['mcpServers', serverName],
+        envReference: variable => `\${${variable}}`,
+        convert: config => convertToMCPServersFormat(config),
+        execute: (config, serverName, scope) => config.url
+            ? executeClaudeMCPAddURL(config, serverName, scope)
+            : executeClaudeMCPAdd(config, serverName, scope),
+        command: (config, serverName, scope) => config.url
+            ? `claude mcp add --transport ${config.transport || 'sse'} -s ${scope} ${serverName} ${config.url}`
+            : generateClaudeCommand(config, serverName, scope),
+        list: () => listClaudeServers(),
+        async remove(serverName, scope) {
+            return await confirmCLIConfigChanges(this, scope, [{ name: serverName }]) &&
+                runTargetCLI('claude', ['mcp', 'remove', serverName, '-s', scope]);
+        },
+        // The CLI has no rename - add the identical JSON under the new name, then remove the old one
+        async rename(oldName, newName, scope) {
+            const entry = this.list().find(server => server.name === oldName && server.scope === scope);
+            if (!entry || !(await confirmCLIConfigChanges(this, scope, [{ name: newName, entry: entry.config }, { name: oldName }]))) {
+                return false;
+            }
+            return runTargetCLI('claude', ['mcp', 'add-json', '-s', scope, newName, JSON.stringify(entry.config)]) &&
+                runTargetCLI('claude', ['mcp', 'remove', oldName, '-s', scope]);
+        },
+        // .mcp.json servers are switched with the personal enabled/disabledMcpjsonServers settings
+        async setEnabled(serverName, scope, enabled) {
+            if (scope !== 'project') {
+                return null;
+            }
+            return updateConfigFile(path.join(cwd, '.claude', 'settings.local.json'), content => {
+                const updated = toggleJSONCListEntry(content, ['disabledMcpjsonServers'], serverName, !enabled);
+                return toggleJSONCListEntry(updated, ['enabledMcpjsonServers'], serverName, enabled);
+            }, toggleSummary(serverName, enabled));
+        },
+        async restore(serverName, scope, entry) {
+            return await confirmCLIConfigChanges(this, scope, [{ name: serverName, entry }]) &&
+                runTargetCLI('claude', ['mcp', 'add-json', '-s', scope, serverName, JSON.stringify(entry)]);
+        }
+    });
+
+    registerTarget({
+        id: 'gemini',
+        name: 'Gemini CLI',
+        flags: ['--gemini', '--g'],
+        cli: 'gemini',
+        color: 'blue',
+        scopes: ['user', 'project'],
+        transports: ['http', 'sse'],
+        projectConfigFile: '.gemini/settings.json',
+        restartMessage: 'Restart Gemini CLI',
+        listCommand: 'gemini mcp list',
+        notes: ['Gemini CLI supports scopes: user, project (not local)', 'Default transport for remote servers: http'],
+        detect: () => Boolean(findGeminiCLIInstallation()),
+        configPath: scope => findGeminiMCPConfigPath(scope),
+        configKeyPath: serverName => ['mcpServers', serverName],
+        envReference: variable => `\${${variable}}`,
+        convert: config => {
+            if (config.url) {
+                return config.transport === 'sse' ? { url: config.url } : { httpUrl: config.url };
+            }
+            return { ...convertToMCPServersFormat(config), trust: true };
+        },
+        execute: (config, serverName, scope) => config.url
+            ? executeGeminiMCPAddURL(config, serverName, scope)
+            : executeGeminiMCPAdd(config, serverName, scope),
+        command: (config, serverName, scope) => config.url
+            ? `gemini mcp add --transport ${config.transport || 'http'} --scope ${scope} ${serverName} ${config.url}`
+            : generateGeminiMCPCommand(config, serverName, scope),
+        list() {
+            return listTargetServers(this, readKey('mcpServers'));
+        },
+        async remove(serverName, scope) {
+            return await confirmCLIConfigChanges(this, scope, [{ name: serverName }]) &&
+                runTargetCLI('gemini', ['mcp', 'remove', '--scope', scope, serverName]);
+        },
+        // Gemini reads "httpUrl" as streamable HTTP and "url" as SSE
+        normalize: (entry, serverName) => {
+            if (entry.httpUrl || entry.url) {
+                return toStandardConfig({ url: entry.httpUrl || entry.url, transport: entry.httpUrl ? 'http' : 'sse' }, serverName);
+            }
+            return toStandardConfig({ command: entry.command, args: entry.args, env: entry.env, cwd: entry.cwd }, serverName);
+        },
+        // The CLI has no rename - rename the key in settings.json so every field (cwd, headers, trust, ...) is kept
+        async rename(oldName, newName, scope) {
+            return renameKey('mcpServers')(this.configPath(scope), oldName, newName);
+        },
+        // Settings v2 keep the exclusion list in mcp.excluded, older files in excludeMCPServers
+        async setEnabled(serverName, scope, enabled) {
+            return updateConfigFile(this.configPath(scope), content => {
+                const settings = content.trim() === '' ? {} : parseJSONC(content);
+                if (enabled) {
+                    const updated = toggleJSONCListEntry(content, ['excludeMCPServers'], serverName, false);
+                    return settings.mcp && typeof settings.mcp === 'object'
+                        ? toggleJSONCListEntry(updated, ['mcp', 'excluded'], serverName, false)
+                        : updated;
+                }
+                const keyPath = Array.isArray(settings.excludeMCPServers) ? ['excludeMCPServers'] : ['mcp', 'excluded'];
+                return toggleJSONCListEntry(content, keyPath, serverName, true);
+            }, toggleSummary(serverName, enabled));
+        },
+        async restore(serverName, scope, entry) {
+            return restoreKey('mcpServers')(this.configPath(scope), serverName, entry);
+        }
+    });
+
+    registerTarget({
+        id: 'opencode',
+        name: 'OpenCode',
+        flags: ['--opencode', '--oc'],
+        color: 'green',
+        scopes: ['user', 'project'],
+        projectConfigFile: 'opencode.json',
+        restartMessage: 'Restart OpenCode',
+        notes: ['OpenCode supports scopes: user, project (not local)', 'Config is written directly to opencode.json files'],
+        detect: () => Boolean(findExecutable('opencode')) || directoryExists(path.join(home, '.config', 'opencode')),
+        configPath: scope => findOpenCodeMCPConfigPath(scope),
+        convert: (config, serverName) => convertToOpenCodeFormat(config, serverName),
+        normalize: (entry, serverName) => normalizeOpenCodeEntry(entry, serverName),
+        execute: (config, serverName, scope) => config.url
+            ? executeOpenCodeMCPAddURL(config, serverName, scope)
+            : executeOpenCodeMCPAdd(config, serverName, scope),
+        snippet: (config, serverName) => ({
+            text: JSON.stringify({ [serverName]: convertToOpenCodeFormat(config, serverName) }, null, 2),
+            hint: 'Paste into your opencode.json "mcp" section'
+        }),
+        list() {
+            return listTargetServers(this, readKey('mcp'));
+        },
+        async remove(serverName, scope) {
+            return removeKey('mcp')(this.configPath(scope), serverName);
+        },
+        async rename(oldName, newName, scope) {
+            return renameKey('mcp')(this.configPath(scope), oldName, newName);
+        },
+        async setEnabled(serverName, scope, enabled) {
+            return updateConfigFile(this.configPath(scope),
+                content => modifyJSONC(content, ['mcp', serverName, 'enabled'], enabled), toggleSummary(serverName, enabled));
+        },
+        async restore(serverName, scope, entry) {
+            return restoreKey('mcp')(this.configPath(scope), serverName, entry);
+        }
+    });
+
+    registerTarget({
+        id: 'vscode',
+        name: 'VS Code',
+        scopes: ['user', 'project'],
+        projectConfigFile: '.vscode/mcp.json',
+        restartMessage: 'Reload the VS Code window',
+        notes: ['VS Code supports scopes: user, project (.vscode/mcp.json)', 'Config is written directly to mcp.json files'],
+        detect: () => directoryExists(getVSCodeUserDir()),
+        configPath: scope => findVSCodeMCPConfigPath(scope),
+        convert: (config, serverName) => convertToVSCodeFormat(config, serverName).serverConfig,
+        envReference: variable => `\${env:${variable}}`,
+        execute: (config, serverName, scope) => config.url
+            ? executeVSCodeMCPAddURL(config, serverName, scope)
+            : executeVSCodeMCPAdd(config, serverName, scope),
+        snippet: (config, serverName) => {
+            const { serverConfig, inputs } = convertToVSCodeFormat(config, serverName);
+            const snippet = { servers: { [serverName]: serverConfig } };
+            if (inputs.length > 0) {
+                snippet.inputs = inputs;
+            }
+            return {
+                text: JSON.stringify(snippet, null, 2),
+                hint: 'Merge into your mcp.json "servers" and "inputs" sections'
+            };
+        },
+        list() {
+            return listTargetServers(this, readKey('servers'));
+        },
+        async remove(serverName, scope) {
+            return removeKey('servers')(this.configPath(scope), serverName);
+        },
+        async rename(oldName, newName, scope) {
+            return renameKey('servers')(this.configPath(scope), oldName, newName);
+        },
+        // Secrets in the entry are ${input:id} references, so the inputs they point to are added with it
+        async restore(serverName, scope, entry) {
+            return updateConfigFile(this.configPath(scope), content => {
+                const updated = modifyJSONC(content, ['servers', serverName], entry);
+                const { inputs: definedInputs } = parseJSONC(updated) || {};
+                return setVSCodeInputs(updated, findMissingVSCodeInputs(entry, serverName, Array.isArray(definedInputs) ? definedInputs : []));
+            }, `restore "${serverName}"`);
+        }
+    });
+
+    registerTarget({
+        id: 'cursor',
+        name: 'Cursor',
+        scopes: ['user', 'project'],
+        projectConfigFile: '.cursor/mcp.json',
+        restartMessage: 'Restart Cursor',
+        notes: ['Cursor supports scopes: user, project (.cursor/mcp.json)', 'Config is written directly to mcp.json files'],
+        detect: () => directoryExists(path.join(home, '.cursor')),
+        configPath: scope => findCursorMCPConfigPath(scope),
+        convert: config => convertToCursorFormat(config),
+        envReference: variable => `\${env:${variable}}`,
+        execute: (config, serverName, scope) => config.url
+            ? executeCursorMCPAddURL(config, serverName, scope)
+            : executeCursorMCPAdd(config, serverName, scope),
+        snippet: (config, serverName) => ({
+            text: JSON.stringify({ [serverName]: convertToCursorFormat(config) }, null, 2),
+            hint: 'Paste into your .cursor/mcp.json "mcpServers" section'
+        }),
+        list() {
+            return listTargetServers(this, readKey('mcpServers'));
+        },
+        async remove(serverName, scope) {
+            return removeKey('mcpServers')(this.configPath(scope), serverName);
+        },
+        async rename(oldName, newName, scope) {
+            return renameKey('mcpServers')(this.configPath(scope), oldName, newName);
+        },
+        async restore(serverName, scope, entry) {
+            return restoreKey('mcpServers')(this.configPath(scope), serverName, entry);
+        }
+    });
+
+    registerTarget({
+        id: 'claude-desktop',
+        name: 'Claude Desktop',
+        transports: ['http', 'sse'],
+        projectConfigFile: 'claude_desktop_config.json',
+        restartMessage: 'Quit and reopen Claude Desktop',
+        notes: ['Claude Desktop supports scope: user (stdio servers only)', 'Config is written directly to claude_desktop_config.json'],
+        detect: () => directoryExists(path.dirname(findClaudeDesktopConfigPath())),
+        configPath: () => findClaudeDesktopConfigPath(),
+        convert: config => convertToClaudeDesktopFormat(config.url ? wrapRemoteForClaudeDesktop(config) : config),
+        normalize: (entry, serverName) => normalizeClaudeDesktopEntry(entry, serverName),
+        execute: (config, serverName, scope) => config.url
+            ? executeClaudeDesktopMCPAddURL(config, serverName, scope)
+            : executeClaudeDesktopMCPAdd(config, serverName, scope),
+        snippet: (config, serverName) => ({
+            text: JSON.stringify({ [serverName]: convertToClaudeDesktopFormat(config.url ? wrapRemoteForClaudeDesktop(config) : config) }, null, 2),
+            hint: 'Paste into your claude_desktop_config.json "mcpServers" section'
+        }),
+        list() {
+            return listTargetServers(this, readKey('mcpServers'));
+        },
+        async remove(serverName) {
+            return removeKey('mcpServers')(this.configPath('user'), serverName);
+        },
+        async rename(oldName, newName) {
+            return renameKey('mcpServers')(this.configPath('user'), oldName, newName);
+        },
+        async restore(serverName, scope, entry) {
+            return restoreKey('mcpServers')(this.configPath('user'), serverName, entry);
+        }
+    });
+
+    registerTarget({
+        id: 'windsurf',
+        name: 'Windsurf',
+        projectConfigFile: 'mcp_config.json',
+        restartMessage: 'Refresh the MCP servers in Windsurf (Cascade > MCP)',
+        notes: ['Windsurf supports scope: user (~/.codeium/windsurf/mcp_config.json)', 'Remote servers are written with "serverUrl"'],
+        detect: () => directoryExists(path.dirname(findWindsurfMCPConfigPath())),
+        configPath: () => findWindsurfMCPConfigPath(),
+        convert: config => convertToWindsurfFormat(config),
+        execute: (config, serverName, scope) => config.url
+            ? executeWindsurfMCPAddURL(config, serverName, scope)
+            : executeWindsurfMCPAdd(config, serverName, scope),
+        snippet: (config, serverName) => ({
+            text: JSON.stringify({ [serverName]: convertToWindsurfFormat(config) }, null, 2),
+            hint: 'Paste into your mcp_config.json "mcpServers" section'
+        }),
+        list() {
+            return listTargetServers(this, readKey('mcpServers'));
+        },
+        async remove(serverName) {
+            return removeKey('mcpServers')(this.configPath('user'), serverName);
+        },
+        async rename(oldName, newName) {
+            return renameKey('mcpServers')(this.configPath('user'), oldName, newName);
+        },
+        async setEnabled(serverName, scope, enabled) {
+            return updateConfigFile(this.configPath('user'),
+                content => modifyJSONC(content, ['mcpServers', serverName, 'disabled'], enabled ? undefined : true), toggleSummary(serverName, enabled));
+        },
+        async restore(serverName, scope, entry) {
+            return restoreKey('mcpServers')(this.configPath('user'), serverName, entry);
+        }
+    });
+
+    registerTarget({
+        id: 'zed',
+        name: 'Zed',
+        scopes: ['user', 'project'],
+        projectConfigFile: '.zed/settings.json',
+        restartMessage: 'Open the Agent Panel in Zed',
+        notes: ['Zed supports scopes: user (~/.config/zed/settings.json), project (.zed/settings.json)', 'Only "context_servers" is changed - comments and other settings are kept'],
+        detect: () => directoryExists(path.dirname(findZedSettingsPath('user'))),
+        configPath: scope => findZedSettingsPath(scope),
+        convert: config => convertToZedFormat(config),
+        normalize: (entry, serverName) => normalizeZedEntry(entry, serverName),
+        execute: (config, serverName, scope) => config.url
+            ? executeZedMCPAddURL(config, serverName, scope)
+            : executeZedMCPAdd(config, serverName, scope),
+        snippet: (config, serverName) => ({
+            text: JSON.stringify({ [serverName]: convertToZedFormat(config) }, null, 2),
+            hint: 'Paste into the "context_servers" section of your Zed settings.json'
+        }),
+        list() {
+            return listTargetServers(this, readKey('context_servers'));
+        },
+        async remove(serverName, scope) {
+            return removeKey('context_servers')(this.configPath(scope), serverName);
+        },
+        async rename(oldName, newName, scope) {
+            return renameKey('context_servers')(this.configPath(scope), oldName, newName);
+        },
+        async restore(serverName, scope, entry) {
+            return restoreKey('context_servers')(this.configPath(scope), serverName, entry);
+        }
+    });
+
+    registerTarget({
+        id: 'codex',
+        name: 'Codex',
+        projectConfigFile: 'config.toml',
+        restartMessage: 'Start a new Codex session',
+        notes: ['Codex supports scope: user (~/.codex/config.toml)', 'Only the [mcp_servers.<name>] table is changed - the rest of config.toml is kept'],
+        detect: () => Boolean(findExecutable('codex')) || directoryExists(path.dirname(findCodexConfigPath())),
+        configPath: () => findCodexConfigPath(),
+        convert: config => convertToCodexFormat(config),
+        normalize: (entry, serverName) => normalizeCodexEntry(entry, serverName),
+        execute: (config, serverName, scope) => config.url
+            ? executeCodexMCPAddURL(config, serverName, scope)
+            : executeCodexMCPAdd(config, serverName, scope),
+        snippet: (config, serverName) => ({
+            text: formatTOMLTable(['mcp_servers', serverName], convertToCodexFormat(config)),
+            hint: 'Paste into ~/.codex/config.toml'
+        }),
+        list() {
+            return listTargetServers(this, content => parseTOML(content).mcp_servers);
+        },
+        async remove(serverName) {
+            return removeServerFromFile(this.configPath('user'), serverName,
+                content => setTOMLTable(content, ['mcp_servers', serverName], undefined));
+        },
+        async rename(oldName, newName) {
+            return renameServerInFile(this.configPath('user'), oldName, newName,
+                content => renameTOMLTable(content, ['mcp_servers', oldName], ['mcp_servers', newName]));
+        },
+        async setEnabled(serverName, scope, enabled) {
+            return updateConfigFile(this.configPath('user'), content => {
+                const values = { ...((parseTOML(content).mcp_servers || {})[serverName] || {}) };
+                if (Object.keys(values).length === 0 || (values.enabled === false) === !enabled) {
+                    return content;
+                }
+                delete values.enabled;
+                if (!enabled) {
+                    values.enabled = false;
+                }
+                return setTOMLTable(content, ['mcp_servers', serverName], values);
+            }, toggleSummary(serverName, enabled));
+        },
+        async restore(serverName, scope, entry) {
+            return updateConfigFile(this.configPath('user'),
+                content => setTOMLTable(content, ['mcp_servers', serverName], entry), `restore "${serverName}"`);
+        }
+    });
+
+    registerTarget({
+        id: 'goose',
+        name: 'Goose',
+        transports: ['http', 'sse'],
+        projectConfigFile: 'config.yaml',
+        restartMessage: 'Start a new Goose session',
+        notes: ['Goose supports scope: user (~/.config/goose/config.yaml)', 'Only extensions.<name> is changed - the rest of config.yaml is kept'],
+        detect: () => Boolean(findExecutable('goose')) || directoryExists(path.dirname(findGooseConfigPath())),
+        configPath: () => findGooseConfigPath(),
+        convert: (config, serverName) => convertToGooseFormat(config, serverName),
+        normalize: (entry, serverName) => normalizeGooseEntry(entry, serverName),
+        execute: (config, serverName, scope) => config.url
+            ? executeGooseMCPAddURL(config, serverName, scope)
+            : executeGooseMCPAdd(config, serverName, scope),
+        snippet: (config, serverName) => ({
+            text: formatYAML({ extensions: { [serverName]: convertToGooseFormat(config, serverName) } }),
+            hint: 'Merge into the "extensions" section of ~/.config/goose/config.yaml'
+        }),
+        list() {
+            return listTargetServers(this, content => (parseYAML(content) || {}).extensions);
+        },
+        async remove(serverName) {
+            return removeServerFromFile(this.configPath('user'), serverName,
+                content => setYAMLValue(content, ['extensions', serverName], undefined));
+        },
+        // Goose repeats the key as the extension's "name"
+        async rename(oldName, newName) {
+            return renameServerInFile(this.configPath('user'), oldName, newName, content => {
+                const renamed = renameYAMLKey(content, ['extensions', oldName], newName);
+                const extension = (parseYAML(renamed) || {}).extensions || {};
+                return extension[newName] && extension[newName].name === oldName
+                    ? setYAMLValue(renamed, ['extensions', newName, 'name'], newName)
+                    : renamed;
+            });
+        },
+        async setEnabled(serverName, scope, enabled) {
+            return updateConfigFile(this.configPath('user'),
+                content => setYAMLValue(content, ['extensions', serverName, 'enabled'], enabled), toggleSummary(serverName, enabled));
+        },
+        async restore(serverName, scope, entry) {
+            return updateConfigFile(this.configPath('user'),
+                content => setYAMLValue(content, ['extensions', serverName], entry), `restore "${serverName}"`);
+        }
+    });
+
+    registerTarget({
+        id: 'continue',
+        name: 'Continue',
+        scopes: ['user', 'project'],
+        projectConfigFile: '.continue/mcpServers/<name>.yaml',
+        restartMessage: 'Reload the Continue extension',
+        notes: ['Continue supports scopes: user (~/.continue/mcpServers/), project (.continue/mcpServers/)', 'Each server is written to its own <name>.yaml block file'],
+        detect: () => directoryExists(path.join(home, '.continue')),
+        configPath: scope => findContinueMCPDir(scope),
+        convert: (config, serverName) => convertToContinueBlock(config, serverName).mcpServers[0],
+        execute: (config, serverName, scope) => config.url
+            ? executeContinueMCPAddURL(config, serverName, scope)
+            : executeContinueMCPAdd(config, serverName, scope),
+        snippet: (config, serverName) => ({
+            text: formatYAML(convertToContinueBlock(config, serverName)),
+            hint: `Save as .continue/mcpServers/${serverName}.yaml`
+        }),
+        // Each block file is one entry, named after the file
+        list: () => ['user', 'project'].flatMap(scope => listContinueBlockFiles(scope).flatMap(blockPath =>
+            listServersFromFile(blockPath, scope, content => {
+                const block = parseYAML(content) || {};
+                const server = (block.mcpServers || [])[0] || {};
+                return { [path.basename(blockPath).replace(/\.ya?ml$/, '')]: server };
+            })
+        )),
+        editPaths: () => ['user', 'project'].flatMap(scope =>
+            listContinueBlockFiles(scope).map(blockPath => ({ path: blockPath, scope, label: `Continue (${scope}): ${path.basename(blockPath)}` }))),
+        async remove(serverName, scope) {
+            const blockPath = findContinueBlockPath(serverName, scope);
+            if (!fs.existsSync(blockPath)) {
+                return false;
+            }
+            const content = fs.readFileSync(blockPath, 'utf8');
+            configFileReads.set(blockPath, content);
+            if (!(await confirmConfigWrite(blockPath, content, '', '/dev/null'))) {
+                return isDryRun;
+            }
+            snapshotConfigFile(blockPath, `remove "${serverName}"`);
+            if (!(await deleteConfigFile(blockPath, configFileReads.get(blockPath)))) {
+                return false;
+            }
+            log(`🗑️  Deleted ${blockPath}`, 'success');
+            return true;
+        },
+        // The block file is named after the server, and the block and its server both carry the name
+        async rename(oldName, newName, scope) {
+            const blockPath = findContinueBlockPath(oldName, scope);
+            const newBlockPath = findContinueBlockPath(newName, scope);
+            if (!fs.existsSync(blockPath)) {
+                return false;
+            }
+
+            const original = fs.readFileSync(blockPath, 'utf8');
+            configFileReads.set(blockPath, original);
+            let content = original;
+            if ((parseYAML(content) || {}).name === oldName) {
+                content = setYAMLValue(content, ['name'], newName);
+            }
+            content = content.replace(/^(\s*-\s+name:\s*)(["']?)([^"'\s#]+)\2(\s*(#.*)?)$/m,
+                (line, prefix, quote, name, rest) => (name === oldName ? `${prefix}${newName}${rest}` : line));
+            if (!(await confirmConfigWrite(blockPath, original, content, newBlockPath))) {
+                return isDryRun;
+            }
+            snapshotConfigFile(blockPath, `rename "${oldName}" to "${newName}"`);
+            if (await writeConfigFile(newBlockPath, content, '', () => content) === null) {
+                return false;
+            }
+            if (!(await deleteConfigFile(blockPath, original))) {
+                return false;
+            }
+            log(`✏️  Renamed ${blockPath} to ${path.basename(newBlockPath)}`, 'success');
+            return true;
+        },
+        async restore(serverName, scope, entry) {
+            const block = { name: serverName, version: '0.0.1', schema: 'v1', mcpServers: [entry] };
+            return updateConfigFile(findContinueBlockPath(serverName, scope), () => formatYAML(block), `restore "${serverName}"`);
+        }
+    });
+
+    // Cline and Roo Code share one settings format
+    [
+        { id: 'cline', name: 'Cline', flags: ['--cline'], file: 'cline_mcp_settings.json', extensionId: 'saoudrizwan.claude-dev' },
+        { id: 'roo', name: 'Roo Code', flags: ['--roo', '--roo-code'], file: 'mcp_settings.json', extensionId: 'rooveterinaryinc.roo-cline' }
+    ].forEach(variant => registerTarget({
+        id: variant.id,
+        name: variant.name,
+        flags: variant.flags,
+        projectConfigFile: variant.file,
+        restartMessage: `Open the MCP Servers view in ${variant.name}`,
+        notes: [
+            `${variant.name} supports scope: user (VS Code globalStorage/${variant.extensionId}/settings/${variant.file})`,
+            'Use --always-allow <tools>, --disabled and --timeout <seconds> to set the extra fields'
+        ],
+        detect: () => directoryExists(path.dirname(path.dirname(findClineMCPConfigPath(variant.id)))),
+        configPath: () => findClineMCPConfigPath(variant.id),
+        convert: config => convertToClineFormat(config, variant.id),
+        execute: (config, serverName, scope) => executeClineStyleMCPAdd(config, serverName, scope, variant.id),
+        snippet: (config, serverName) => ({
+            text: JSON.stringify({ [serverName]: convertToClineFormat(config, variant.id) }, null, 2),
+            hint: `Paste into the "mcpServers" section of ${variant.file}`
+        }),
+        list() {
+            return listTargetServers(this, readKey('mcpServers'));
+        },
+        async remove(serverName) {
+            return removeKey('mcpServers')(this.configPath('user'), serverName);
+        },
+        async rename(oldName, newName) {
+            return renameKey('mcpServers')(this.configPath('user'), oldName, newName);
+        },
+        async setEnabled(serverName, scope, enabled) {
+            return updateConfigFile(this.configPath('user'),
+                content => modifyJSONC(content, ['mcpServers', serverName, 'disabled'], !enabled), toggleSummary(serverName, enabled));
+        },
+        async restore(serverName, scope, entry) {
+            return restoreKey('mcpServers')(this.configPath('user'), serverName, entry);
+        }
+    }));
+}
+
+// Function to print the --generate-command output for the selected target
+function outputGeneratedConfig(config, serverName, scope, selected = target) {
+    if (selected.command) {
+        const command = selected.command(config, serverName, scope);
+        log(`📋 Generated ${selected.name} MCP command:`, 'title');
+        console.log('\n' + chalk.green(command) + '\n');
+
+        // Try to copy to clipboard
+        const clipboardTool = copyToClipboard(command);
+        if (clipboardTool) {
+            log(`✅ Command copied to clipboard using ${clipboardTool}`, 'success');
+            log('📌 You can now paste it in your terminal with Ctrl+V', 'info');
+        } else {
+            log('⚠️  Could not copy to clipboard (install xclip, xsel, or pbcopy)', 'warning');
+            log('📋 Please copy the command above manually', 'info');
+        }
+        log('💡 To run: paste the command in your terminal', 'info');
+        return;
+    }
+
+    if (!selected.snippet) {
+        log(`⚠️  ${selected.name} does not support --generate-command`, 'warning');
+        return;
+    }
+
+    // Direct-write targets have no CLI - generate a config snippet instead
+    const snippet = selected.snippet(config, serverName);
+    log(`📋 Generated ${selected.name} MCP config:`, 'title');
+    console.log('\n' + chalk.green(snippet.text) + '\n');
+
+    // Try to copy to clipboard
+    const clipboardTool = copyToClipboard(snippet.text);
+    if (clipboardTool) {
+        log(`✅ Config copied to clipboard using ${clipboardTool}`, 'success');
+        log(`📌 ${snippet.hint}`, 'info');
+    } else {
+        log('⚠️  Could not copy to clipboard (install xclip, xsel, or pbcopy)', 'warning');
+        log('📋 Please copy the config above manually', 'info');
+    }
+}
+
+// ============================================================================
+// END BUILT-IN TARGETS
+// ============================================================================
+
+// Function to check that a command exists and is executable (returns the problem, or null when it is fine)
+function checkExecutablePath(command) {
+    if (command.includes('/')) {
+        // Absolute path - check if file exists and is executable
+        if (!fs.existsSync(command)) {
+            return `Executable not found at path: ${command}`;
+        }
+        
+        const stats = fs.statSync(command);
+        if (!stats.isFile()) {
+            return `Path is not a file: ${command}`;
+        }
+        
+        // Check if executable (approximate check)
+        try {
+            fs.accessSync(command, fs.constants.F_OK | fs.constants.X_OK);
+        } catch (error) {
+            return `File is not executable: ${command}`;
+        }
+    } else {
+        // Command name - check if it's in PATH
+        try {
+            execSync(`which ${shellEscape(command)}`, { stdio: 'ignore' });
+        } catch (error) {
+            return `Command not found in PATH: ${command}`;
+        }
+    }
+    return null;
+}
+
+// Function to test executable path
+async function testExecutablePath(command) {
+    logVerbose(`🧪 Testing executable path: ${command}`);
+    
+    try {
+        // Test if command exists and is executable
+        const problem = checkExecutablePath(command);
+        if (problem) {
+            throw new Error(problem);
+        }
+        
+        // Test command execution with --version or --help
+        const testCommands = ['--version', '--help', '-v', '-h'];
+        let testSuccessful = false;
+        
+        for (const testArg of testCommands) {
+            try {
+                execSync(`${command} ${testArg}`, { 
+                    stdio: 'ignore', 
+                    timeout: 5000 
+                });
+                testSuccessful = true;
+                break;
+            } catch (error) {
+                // Continue to next test argument
+                continue;
+            }
+        }
+        
+        if (!testSuccessful) {
+            log(`⚠️  Warning: Could not test executable with standard flags, but path exists`, 'warning');
+        } else {
+            logVerbose(`✅ Executable test successful: ${command}`);
+        }
+        
+        return true;
+    } catch (error) {
+        log(`❌ Executable test failed: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+// Function to get interactive configuration
+async function getInteractiveConfig(config, jsonMode = false) {
+    // For JSON/clipboard input, prioritize extracted name; for auto-detect, use project name
+    const defaultServerName = config.extractedServerName || config.name || (jsonMode ? 'mcp-server' : projectName) || 'mcp-server';
+    
+    if (isForce) {
+        return { 
+            ...config, 
+            scope: 'user', 
+            serverName: defaultServerName,
+            confirmed: true 
+        };
+    }
+    
+    log('📋 MCP Configuration Summary:', 'title');
+    log(`Server Name: ${defaultServerName}`, 'info');
+    log(`Command: ${config.command}`, 'info');
+    log(`Arguments: ${config.args ? config.args.join(' ') : '(none)'}`, 'info');
+    log(`Description: ${config.description}`, 'info');
+    log(`Environment Variables: ${Object.keys(config.env || {}).length}`, 'info');
+    if (config.cwd) {
+        log(`Working Directory: ${config.cwd}`, 'info');
+    }
+    
+    // Test executable path only if it's not a standard command
+    const shouldTestExecutable = config.command && !['npx', 'npm', 'yarn', 'pnpm', 'bun', 'uvx'].includes(config.command.split('/').pop());
+    
+    if (shouldTestExecutable) {
+        const executableValid = await testExecutablePath(config.command);
+        if (!executableValid) {
+            const { continueAnyway } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'continueAnyway',
+                    message: 'Executable test failed. Continue anyway?',
+                    default: false
+                }
+            ]);
+            
+            if (!continueAnyway) {
+                throw new Error('Cancelled due to executable validation failure');
+            }
+        }
+    }
+    
+    const scopeChoices = getScopeChoices();
+
+    const cliName = target.name;
+
+    const questions = [
+        {
+            type: 'list',
+            name: 'scope',
+            message: 'Choose MCP server scope:',
+            choices: scopeChoices,
+            default: 'user'
+        },
+        {
+            type: 'input',
+            name: 'serverName',
+            message: 'Server name:',
+            default: defaultServerName,
+            validate: (input) => {
+                if (!input || input.trim().length === 0) {
+                    return 'Server name cannot be empty';
+                }
+                if (!/^[a-zA-Z0-9\-_]+$/.test(input.trim())) {
+                    return 'Server name can only contain letters, numbers, hyphens, and underscores';
+                }
+                return true;
+            }
+        },
+        {
+            type: 'confirm',
+            name: 'confirm',
+            message: `Add this MCP server to ${cliName}?`,
+            default: true
+        }
+    ];
+    
+    const answers = await inquirer.prompt(questions);
     
+    return {
+        ...config,
+        scope: answers.scope,
+        serverName: answers.serverName.trim(),
+        confirmed: answers.confirm
+    };
+}
+
+// Function to add one server to every selected target (--targets / --all-installed)
+async function executeMultiTargetAdd(config, jsonMode = false) {
+    // For JSON/clipboard input, prioritize extracted name; for auto-detect, use project name
+    let serverName = config.extractedServerName || config.name || (jsonMode ? 'mcp-server' : projectName) || 'mcp-server';
+    let scope = 'user';
+    let transport = config.url ? config.transport : undefined;
+
+    if (generateCommand) {
+        selectedTargets.forEach(selected => {
+            const targetScope = resolveTargetScope(selected, scope);
+            const targetTransport = transport && selected.transports.includes(transport) ? transport : selected.defaultTransport;
+            outputGeneratedConfig(config.url ? { ...config, transport: targetTransport } : config, serverName, targetScope, selected);
+        });
+        return true;
+    }
+
+    if (!isForce) {
+        log('📋 MCP Configuration Summary:', 'title');
+        log(`Server Name: ${serverName}`, 'info');
+        if (config.url) {
+            log(`URL: ${config.url}`, 'info');
+        } else {
+            log(`Command: ${config.command}`, 'info');
+            log(`Arguments: ${config.args ? config.args.join(' ') : '(none)'}`, 'info');
+        }
+        log(`Targets: ${selectedTargets.map(selected => selected.name).join(', ')}`, 'info');
+
+        // Offer every scope at least one target supports, saying where each one lands
+        const scopeChoices = ['user', 'local', 'project']
+            .filter(candidate => selectedTargets.some(selected => selected.scopes.includes(candidate)))
+            .map(candidate => {
+                const mapped = selectedTargets.filter(selected => resolveTargetScope(selected, candidate) !== candidate);
+                const note = mapped.length > 0
+                    ? ` (${mapped.map(selected => `${selected.name}: ${resolveTargetScope(selected, candidate)}`).join(', ')})`
+                    : '';
+                return { name: `${candidate}${note}`, value: candidate };
+            });
+
+        const questions = [
+            {
+                type: 'list',
+                name: 'scope',
+                message: 'Choose MCP server scope:',
+                choices: scopeChoices,
+                default: 'user'
+            },
+            {
+                type: 'input',
+                name: 'serverName',
+                message: 'Server name:',
+                default: serverName,
+                validate: (input) => {
+                    try {
+                        validateServerName(input);
+                        return true;
+                    } catch (error) {
+                        return error.message;
+                    }
+                }
+            }
+        ];
+        if (config.url) {
+            questions.push({
+                type: 'list',
+                name: 'transport',
+                message: 'Choose transport type (used where the client supports it):',
+                choices: [
+                    { name: 'HTTP', value: 'http' },
+                    { name: 'SSE (Server-Sent Events)', value: 'sse' },
+                    { name: 'Each client\'s default', value: 'default' }
+                ],
+                default: transport || 'default'
+            });
+        }
+        questions.push({
+            type: 'confirm',
+            name: 'confirm',
+            message: `Add this MCP server to ${selectedTargets.length} clients?`,
+            default: true
+        });
+
+        const answers = await inquirer.prompt(questions);
+        if (!answers.confirm) {
+            log('❌ Operation cancelled by user', 'warning');
+            return true;
+        }
+        scope = answers.scope;
+        serverName = answers.serverName.trim();
+        transport = answers.transport === 'default' ? undefined : answers.transport;
+    }
+
+    const results = [];
+    for (const selected of selectedTargets) {
+        const targetScope = resolveTargetScope(selected, scope);
+        const targetConfig = config.url
+            ? { ...config, transport: transport && selected.transports.includes(transport) ? transport : selected.defaultTransport }
+            : config;
+
+        console.log('');
+        log(`➡️  ${selected.name} (${targetScope})`, 'title');
+        let success;
+        try {
+            success = await selected.execute(targetConfig, serverName, targetScope);
+        } catch (error) {
+            log(`❌ ${selected.name}: ${error.message}`, 'error');
+            success = false;
+        }
+        results.push({ selected, scope: targetScope, success });
+    }
+
+    console.log('');
+    log(`📊 Results for "${serverName}":`, 'title');
+    printTable(['Client', 'Scope', 'Result'], results.map(result => [
+        result.selected.name,
+        result.scope === scope ? result.scope : `${result.scope} (from ${scope})`,
+        result.success ? chalk.green(isDryRun ? '🔍 would add' : '✅ added') : chalk.red('❌ failed')
+    ]));
+    console.log('');
+
+    const succeeded = results.filter(result => result.success);
+    succeeded.forEach(result => log(`🔄 ${result.selected.restartMessage} if needed to see the new server`, 'info'));
+    return succeeded.length === results.length;
+}
+
+// Function to find all available MCP config files
+function findAllMCPConfigs() {
+    logVerbose('🔍 Finding all MCP config files...');
+
+    const configs = [];
+
+    // Every registered target contributes the config file of each scope it supports;
+    // targets that spread servers over several files (Continue) list them through editPaths()
+    const candidates = [];
+    for (const registered of getAllTargets()) {
+        if (registered.editPaths) {
+            registered.editPaths().forEach(entry => candidates.push({ ...entry, platform: registered.id }));
+            continue;
+        }
+        for (const scope of registered.scopes) {
+            const configPath = registered.configPath(scope);
+            if (!configPath || candidates.some(candidate => candidate.path === configPath)) {
+                continue;
+            }
+            const label = registered.scopes.length > 1 ? `${registered.name} (${scope})` : registered.name;
+            candidates.push({ path: configPath, scope, label, platform: registered.id });
+        }
+    }
+
+    // Check which files exist
+    for (const config of candidates) {
+        if (fs.existsSync(config.path) && fs.statSync(config.path).isFile()) {
+            logVerbose(`Found config: ${config.path} (${config.platform})`);
+            configs.push(config);
+        }
+    }
+
+    return configs;
+}
+
+// Function to list servers in a config file with line numbers
+function listServersInConfig(configPath) {
+    try {
+        const content = fs.readFileSync(configPath, 'utf8');
+
+        // Codex config is TOML - each server is an [mcp_servers.<name>] table
+        if (configPath.endsWith('.toml')) {
+            const { data, tables } = parseTOMLDocument(content);
+            const codexServers = data.mcp_servers || {};
+            return Object.keys(codexServers).map(serverName => {
+                const header = tables.find(table =>
+                    table.path.length === 2 && table.path[0] === 'mcp_servers' && table.path[1] === serverName);
+                return {
+                    name: serverName,
+                    line: header ? content.slice(0, header.start).split('\n').length : 1,
+                    config: codexServers[serverName]
+                };
+            });
+        }
+
+        // Goose config and Continue blocks are YAML
+        if (/\.ya?ml$/.test(configPath)) {
+            const yamlConfig = parseYAML(content) || {};
+            const yamlLines = content.split('\n');
+
+            // Continue block file - the whole file is one entry, listed from its mcpServers items
+            if (Array.isArray(yamlConfig.mcpServers)) {
+                const itemLine = yamlLines.findIndex(line => /^\s*-\s/.test(line));
+                return yamlConfig.mcpServers.map(server => ({
+                    name: server.name || path.basename(configPath).replace(/\.ya?ml$/, ''),
+                    line: itemLine === -1 ? 1 : itemLine + 1,
+                    config: server
+                }));
+            }
+
+            // Goose config - each server is an extensions.<name> entry
+            const extensions = yamlConfig.extensions || {};
+            const containerLine = Math.max(0, yamlLines.findIndex(line => /^extensions:/.test(line)));
+            const indentOf = line => line.length - line.trimStart().length;
+            const firstChild = yamlLines.find((line, i) => i > containerLine && line.trim() !== '' && !line.trim().startsWith('#'));
+            const childIndent = firstChild ? indentOf(firstChild) : 2;
+            const keyOf = line => {
+                const entry = stripYAMLComment(line.trimStart());
+                const separator = findYAMLKeySeparator(entry);
+                return separator === -1 ? null : String(parseYAMLScalar(entry.slice(0, separator)));
+            };
+            return Object.keys(extensions).map(serverName => {
+                const lineIndex = yamlLines.findIndex((line, i) => i > containerLine && indentOf(line) === childIndent && keyOf(line) === serverName);
+                return {
+                    name: serverName,
+                    line: lineIndex === -1 ? 1 : lineIndex + 1,
+                    config: extensions[serverName]
+                };
+            });
+        }
+
+        // Zed settings are JSONC (comments, trailing commas)
+        const config = parseJSONC(content);
+        const lines = content.split('\n');
+        const servers = [];
+
+        // Handle Claude/Cursor/Gemini format (mcpServers), VS Code format (servers),
+        // OpenCode format (mcp) and Zed format (context_servers)
+        const containerKey = ['mcpServers', 'servers', 'mcp', 'context_servers'].find(key => config[key]);
+        const serverContainer = containerKey ? config[containerKey] : null;
+
+        if (serverContainer) {
+            const serverNames = Object.keys(serverContainer);
+
+            // Start searching at the container key so other settings with the same name are skipped
+            const containerLine = Math.max(0, lines.findIndex(line => line.includes(`"${containerKey}"`)));
+
+            // Find line number for each server
+            serverNames.forEach(serverName => {
+                for (let i = containerLine; i < lines.length; i++) {
+                    // Look for the server name as a JSON key (e.g., "server-name": {)
+                    if (lines[i].includes(`"${serverName}"`) && lines[i].includes(':')) {
+                        servers.push({
+                            name: serverName,
+                            line: i + 1, // Line numbers are 1-based
+                            config: serverContainer[serverName]
+                        });
+                        break;
+                    }
+                }
+            });
+        }
+
+        return servers;
+    } catch (error) {
+        logVerbose(`Error reading config ${configPath}: ${error.message}`);
+        return [];
+    }
+}
+
+// Function to get preferred editor
+function getEditor() {
+    // Check EDITOR environment variable
+    if (process.env.EDITOR) {
+        logVerbose(`Using EDITOR from environment: ${process.env.EDITOR}`);
+        return process.env.EDITOR;
+    }
+
+    // Check for common editors
+    const editors = ['nano', 'vim', 'vi', 'code', 'emacs'];
+
+    for (const editor of editors) {
+        try {
+            execSync(`which ${editor}`, { stdio: 'ignore' });
+            logVerbose(`Found available editor: ${editor}`);
+            return editor;
+        } catch (error) {
+            // Editor not found, continue
+        }
+    }
+
+    // Fallback to nano
+    return 'nano';
+}
+
+// Function to open editor at specific line
+function openEditorAtLine(editor, filePath, lineNumber) {
+    logVerbose(`Opening ${editor} at line ${lineNumber} in ${filePath}`);
+
+    // Different editors have different syntax for jumping to a line
+    let command;
+
+    if (editor.includes('nano')) {
+        command = `${editor} +${lineNumber} "${filePath}"`;
+    } else if (editor.includes('vim') || editor.includes('vi') || editor.includes('nvim')) {
+        command = `${editor} +${lineNumber} "${filePath}"`;
+    } else if (editor.includes('code') || editor.includes('vscode')) {
+        command = `${editor} -g "${filePath}:${lineNumber}"`;
+    } else if (editor.includes('emacs')) {
+        command = `${editor} +${lineNumber} "${filePath}"`;
+    } else if (editor.includes('subl') || editor.includes('sublime')) {
+        command = `${editor} "${filePath}:${lineNumber}"`;
+    } else {
+        // Fallback - just open the file
+        log(`⚠️  Line jump not supported for ${editor}, opening at beginning`, 'warning');
+        command = `${editor} "${filePath}"`;
+    }
+
+    return command;
+}
+
+// Function to handle edit mode
+async function handleEditMode() {
+    log('📝 MCP Configuration Editor', 'title');
+
+    // Find all available config files
+    const availableConfigs = findAllMCPConfigs();
+
+    if (availableConfigs.length === 0) {
+        log('❌ No MCP configuration files found', 'error');
+        log('💡 MCP config files are typically created when you add your first MCP server', 'info');
+        log('💡 Run "mcp-auto-add" to add a server first', 'info');
+        process.exit(1);
+    }
+
+    log(`📁 Found ${availableConfigs.length} MCP configuration file(s)`, 'info');
+
+    let selectedConfig;
+
+    if (availableConfigs.length === 1) {
+        selectedConfig = availableConfigs[0];
+        log(`📂 Using: ${selectedConfig.label}`, 'info');
+    } else {
+        // Let user choose which config to edit
+        const choices = availableConfigs.map(config => {
+            const servers = listServersInConfig(config.path);
+            const serverCount = servers.length;
+            return {
+                name: `${config.label} (${serverCount} server${serverCount !== 1 ? 's' : ''})`,
+                value: config,
+                short: config.label
+            };
+        });
+
+        const { config } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'config',
+                message: 'Which MCP configuration file?',
+                choices: choices
+            }
+        ]);
+
+        selectedConfig = config;
+    }
+
+    // List servers in the selected config
+    const servers = listServersInConfig(selectedConfig.path);
+
+    if (servers.length === 0) {
+        log('ℹ️  No servers configured yet in this file', 'info');
+        log('📝 Opening file for editing...', 'info');
+
+        const editor = getEditor();
+        try {
+            execSync(`${editor} "${selectedConfig.path}"`, { stdio: 'inherit' });
+            log('✅ Editor closed', 'success');
+            log(`🔄 ${getTarget(selectedConfig.platform).restartMessage} to apply changes`, 'info');
+        } catch (error) {
+            log(`❌ Failed to open editor: ${error.message}`, 'error');
+            process.exit(1);
+        }
+        return;
+    }
+
+    // Show server selection menu
+    log(`\n🔧 Found ${servers.length} MCP server${servers.length !== 1 ? 's' : ''}:`, 'info');
+
+    const serverChoices = servers.map(server => {
+        const command = server.config.command || server.config.cmd || server.config.url || server.config.serverUrl || server.config.uri || 'No command';
+        const shortCommand = command.length > 50 ? command.substring(0, 47) + '...' : command;
+
+        return {
+            name: `${chalk.cyan(server.name)} - ${shortCommand}`,
+            value: server,
+            short: server.name
+        };
+    });
+
+    const { selectedServer } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'selectedServer',
+            message: 'Which server would you like to edit?',
+            choices: serverChoices,
+            pageSize: 15
+        }
+    ]);
+
+    // Get editor
+    const editor = getEditor();
+
+    log(`\n📝 Opening ${chalk.cyan(selectedServer.name)} configuration...`, 'info');
+    log(`📍 File: ${selectedConfig.path}`, 'info');
+    log(`📄 Line: ${selectedServer.line}`, 'info');
+    log(`✏️  Editor: ${editor}`, 'info');
+
     try {
-        // Test if command exists and is executable
-        if (command.includes('/')) {
-            // Absolute path - check if file exists and is executable
-            if (!fs.existsSync(command)) {
-                throw new Error(`Executable not found at path: ${command}`);
+        // Open the config file at the specific line
+        const command = openEditorAtLine(editor, selectedConfig.path, selectedServer.line);
+        const editedTarget = getTarget(selectedConfig.platform);
+        const editScope = selectedConfig.scope || 'user';
+        const before = readRawServerEntry(editedTarget, selectedServer.name, editScope);
+        const snapshot = snapshotConfigFile(selectedConfig.path, `edit "${selectedServer.name}"`);
+        execSync(command, { stdio: 'inherit' });
+
+        const after = readRawServerEntry(editedTarget, selectedServer.name, editScope);
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            appendJournal({ operation: 'edit', client: editedTarget.id, scope: editScope, name: selectedServer.name, before, after, snapshot });
+        }
+
+        log('\n✅ Editor closed', 'success');
+        log('💡 Changes are saved when you exit the editor', 'info');
+        // Show platform-appropriate restart message based on the config file being edited
+        log(`🔄 ${getTarget(selectedConfig.platform).restartMessage} to apply changes`, 'info');
+    } catch (error) {
+        log(`❌ Failed to open editor: ${error.message}`, 'error');
+        log(`💡 Try setting EDITOR environment variable`, 'info');
+        log(`   Example: export EDITOR=nano`, 'info');
+        process.exit(1);
+    }
+}
+
+// ============================================================================
+// SERVER MANAGEMENT FUNCTIONS
+// ============================================================================
+
+// Function to summarize a client entry as { transport, endpoint } for display
+function summarizeServerEntry(entry) {
+    const server = entry || {};
+    const url = server.url || server.httpUrl || server.serverUrl || server.uri;
+
+    if (url) {
+        const type = String(server.type || '').toLowerCase().replace(/[-_]/g, '');
+        let transport = 'remote';
+        if (type === 'sse') {
+            transport = 'sse';
+        } else if (type === 'http' || type === 'streamablehttp' || server.httpUrl) {
+            transport = 'http';
+        }
+        return { transport, endpoint: url };
+    }
+
+    // OpenCode keeps the command and its arguments in one array
+    const commandParts = Array.isArray(server.command)
+        ? server.command
+        : [server.command || server.cmd, ...(server.args || [])];
+    return { transport: 'stdio', endpoint: commandParts.filter(Boolean).join(' ') };
+}
+
+// Function to turn a --name glob (* and ?) into a regular expression
+function globToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
+
+// Function to check whether a target matches a --client value (id or display name)
+function matchesClientFilter(selected, client) {
+    const wanted = client.toLowerCase();
+    return selected.id === wanted || selected.name.toLowerCase() === wanted;
+}
+
+// Function to collect every configured server across all registered targets
+function collectConfiguredServers(filters = {}) {
+    if (filters.client && !getAllTargets().some(selected => matchesClientFilter(selected, filters.client))) {
+        throw new Error(`Unknown client "${filters.client}". Available clients: ${getAllTargets().map(selected => selected.id).join(', ')}`);
+    }
+
+    const nameMatcher = filters.name ? globToRegExp(filters.name) : null;
+    const servers = [];
+
+    for (const selected of getAllTargets()) {
+        if (filters.client && !matchesClientFilter(selected, filters.client)) {
+            continue;
+        }
+
+        let entries = [];
+        try {
+            entries = selected.list();
+        } catch (error) {
+            logVerbose(`Could not list ${selected.name} servers: ${error.message}`);
+        }
+
+        for (const entry of entries) {
+            if (filters.scope && entry.scope !== filters.scope) continue;
+            if (nameMatcher && !nameMatcher.test(entry.name)) continue;
+            servers.push({ ...entry, client: selected, ...summarizeServerEntry(entry.config) });
+        }
+    }
+
+    return servers;
+}
+
+// Function to handle the list command
+async function handleListMode() {
+    if (formatFlagIndex !== -1 && !['table', 'json'].includes(outputFormat)) {
+        log('❌ --format takes table or json', 'error');
+        process.exit(1);
+    }
+    if (jsonFlagIndex !== -1) {
+        log('❌ --json provides a server config - use list --format json for JSON output', 'error');
+        process.exit(1);
+    }
+
+    let servers;
+    try {
+        servers = collectConfiguredServers({ client: clientFilter, scope: scopeFilter, name: nameFilter });
+    } catch (error) {
+        log(`❌ ${error.message}`, 'error');
+        process.exit(1);
+    }
+
+    if (jsonOutput) {
+        console.log(JSON.stringify(servers.map(server => ({
+            name: server.name,
+            client: server.client.id,
+            scope: server.scope,
+            transport: server.transport,
+            [server.transport === 'stdio' ? 'command' : 'url']: server.endpoint,
+            configPath: server.configPath
+        })), null, 2));
+        return;
+    }
+
+    if (servers.length === 0) {
+        log('ℹ️  No MCP servers found' + (clientFilter || scopeFilter || nameFilter ? ' matching the filters' : ''), 'info');
+        return;
+    }
+
+    console.log('');
+    printTable(['Name', 'Client', 'Scope', 'Transport', 'Command / URL'], servers.map(server => [
+        chalk.cyan(server.name),
+        server.client.name,
+        server.scope,
+        server.transport,
+        server.endpoint.length > 60 ? server.endpoint.substring(0, 57) + '...' : server.endpoint
+    ]));
+    console.log('');
+    log(`📋 ${servers.length} server${servers.length !== 1 ? 's' : ''} across ${new Set(servers.map(server => server.client.id)).size} client(s)`, 'info');
+    if (isVerbose) {
+        [...new Set(servers.map(server => server.configPath))].forEach(configPath => logVerbose(`📂 ${configPath}`));
+    }
+}
+
+// Function to find the entries that hold a server, honouring --client and --scope
+function findServerEntries(serverName) {
+    return collectConfiguredServers({ client: clientFilter, scope: scopeFilter })
+        .filter(server => server.name === serverName);
+}
+
+// Function to print matched entries as a table
+function printServerEntries(servers) {
+    printTable(['#', 'Client', 'Scope', 'Transport', 'Config file'], servers.map((server, index) => [
+        String(index + 1),
+        server.client.name,
+        server.scope,
+        server.transport,
+        server.configPath
+    ]));
+}
+
+// Function to handle the remove command
+async function handleRemoveMode() {
+    log('🗑️  Remove MCP server', 'title');
+
+    let serverName;
+    let matches;
+    try {
+        serverName = validateServerName(args[1]);
+        matches = findServerEntries(serverName);
+    } catch (error) {
+        log(`❌ ${error.message}`, 'error');
+        log('💡 Usage: mcp-auto-add remove <name> [--client <id>] [--scope <scope>] [--all-clients] [--dry-run]', 'info');
+        process.exit(1);
+    }
+
+    if (matches.length === 0) {
+        log(`⚠️  No client has a server named "${serverName}"`, 'warning');
+        log('📋 Run "mcp-auto-add list" to see all configured servers', 'info');
+        return false;
+    }
+
+    log(`🔍 Found "${serverName}" in ${matches.length} place${matches.length !== 1 ? 's' : ''}:`, 'info');
+    console.log('');
+    printServerEntries(matches);
+    console.log('');
+
+    let selected = matches;
+    if (!allClientsMode && !isForce) {
+        const { chosen } = await inquirer.prompt([
+            {
+                type: 'checkbox',
+                name: 'chosen',
+                message: `Remove "${serverName}" from:`,
+                choices: matches.map(match => ({
+                    name: `${match.client.name} (${match.scope}) - ${match.configPath}`,
+                    value: match,
+                    checked: matches.length === 1
+                }))
             }
-            
-            const stats = fs.statSync(command);
-            if (!stats.isFile()) {
-                throw new Error(`Path is not a file: ${command}`);
+        ]);
+        selected = chosen;
+    } else if (matches.length > 1 && !allClientsMode) {
+        log('❌ The server exists in several places - pick them interactively, narrow with --client/--scope, or pass --all-clients', 'error');
+        return false;
+    }
+
+    if (selected.length === 0) {
+        log('❌ Nothing selected - no changes made', 'warning');
+        return true;
+    }
+
+    const results = [];
+    for (const match of selected) {
+        let success;
+        try {
+            success = await match.client.remove(serverName, match.scope);
+        } catch (error) {
+            log(`❌ ${match.client.name}: ${error.message}`, 'error');
+            success = false;
+        }
+        results.push({ match, success });
+    }
+
+    console.log('');
+    printTable(['Client', 'Scope', 'Result'], results.map(({ match, success }) => [
+        match.client.name,
+        match.scope,
+        success ? chalk.green(isDryRun ? '🔍 would remove' : '✅ removed') : chalk.red('❌ failed')
+    ]));
+    console.log('');
+
+    const removed = results.filter(result => result.success);
+    [...new Set(removed.map(({ match }) => match.client.restartMessage))].forEach(message => {
+        log(`🔄 ${message} to apply changes`, 'info');
+    });
+    return removed.length === results.length;
+}
+
+// Function to handle the rename command
+async function handleRenameMode() {
+    log('✏️  Rename MCP server', 'title');
+
+    let oldName;
+    let newName;
+    let matches;
+    try {
+        oldName = validateServerName(args[1]);
+        newName = validateServerName(args[2]);
+        matches = findServerEntries(oldName);
+    } catch (error) {
+        log(`❌ ${error.message}`, 'error');
+        log('💡 Usage: mcp-auto-add rename <old> <new> [--client <id>] [--scope <scope>] [--dry-run]', 'info');
+        process.exit(1);
+    }
+
+    if (oldName === newName) {
+        log('ℹ️  Old and new names are the same - nothing to do', 'info');
+        return true;
+    }
+
+    if (matches.length === 0) {
+        log(`⚠️  No client has a server named "${oldName}"`, 'warning');
+        log('📋 Run "mcp-auto-add list" to see all configured servers', 'info');
+        return false;
+    }
+
+    log(`🔍 Found "${oldName}" in ${matches.length} place${matches.length !== 1 ? 's' : ''}:`, 'info');
+    console.log('');
+    printServerEntries(matches);
+    console.log('');
+
+    let selected = matches;
+    if (!isForce) {
+        const { chosen } = await inquirer.prompt([
+            {
+                type: 'checkbox',
+                name: 'chosen',
+                message: `Rename "${oldName}" to "${newName}" in:`,
+                choices: matches.map(match => ({
+                    name: `${match.client.name} (${match.scope}) - ${match.configPath}`,
+                    value: match,
+                    checked: true
+                }))
             }
-            
-            // Check if executable (approximate check)
+        ]);
+        selected = chosen;
+    }
+
+    if (selected.length === 0) {
+        log('❌ Nothing selected - no changes made', 'warning');
+        return true;
+    }
+
+    const results = [];
+    for (const match of selected) {
+        let outcome;
+        const taken = match.client.list().some(server => server.name === newName && server.scope === match.scope);
+        if (!match.client.rename) {
+            outcome = `${match.client.name} does not support rename`;
+        } else if (taken) {
+            outcome = `"${newName}" already exists there`;
+        } else {
             try {
-                fs.accessSync(command, fs.constants.F_OK | fs.constants.X_OK);
+                outcome = await match.client.rename(oldName, newName, match.scope) ? true : 'rename failed';
             } catch (error) {
-                throw new Error(`File is not executable: ${command}`);
+                outcome = error.message;
+            }
+        }
+        results.push({ match, outcome });
+    }
+
+    console.log('');
+    printTable(['Client', 'Scope', 'Result'], results.map(({ match, outcome }) => [
+        match.client.name,
+        match.scope,
+        outcome === true ? chalk.green(isDryRun ? '🔍 would rename' : '✅ renamed') : chalk.red(`❌ ${outcome}`)
+    ]));
+    console.log('');
+
+    const renamed = results.filter(result => result.outcome === true);
+    if (renamed.length > 0) {
+        log(`💡 Tools from this server are now exposed as mcp__${newName}__<tool>`, 'info');
+    }
+    [...new Set(renamed.map(({ match }) => match.client.restartMessage))].forEach(message => {
+        log(`🔄 ${message} to apply changes`, 'info');
+    });
+    return renamed.length === results.length;
+}
+
+// Function to get the store that parks servers of clients without an on/off switch
+function getDisabledStorePath() {
+    return path.join(MCP_AUTO_ADD_DIR, 'disabled-servers.json');
+}
+
+// Function to load parked servers: [{ client, scope, name, config, configPath, projectDir, disabledAt }]
+function loadDisabledStore() {
+    try {
+        const storePath = getDisabledStorePath();
+        if (fs.existsSync(storePath)) {
+            return JSON.parse(fs.readFileSync(storePath, 'utf8')).servers || [];
+        }
+    } catch (error) {
+        log(`⚠️  Could not read ${getDisabledStorePath()}: ${error.message}`, 'warning');
+    }
+    return [];
+}
+
+// Function to save parked servers
+// The store holds whole entries, env secrets included, so it is written atomically and readable only by you
+function saveDisabledStore(servers) {
+    const storePath = getDisabledStorePath();
+    ensurePrivateDirectory(path.dirname(storePath));
+    writeFileAtomic(storePath, JSON.stringify({ servers }, null, 2) + '\n', 0o600);
+}
+
+// Function to check whether a parked entry belongs here: user entries always do,
+// project and local entries only in the project they were parked from
+function isParkedInThisProject(server, client) {
+    if (server.scope === 'user') {
+        return true;
+    }
+    if (server.projectDir) {
+        return path.resolve(server.projectDir) === path.resolve(cwd);
+    }
+    return Boolean(server.configPath) && path.resolve(server.configPath) === path.resolve(client.configPath(server.scope) || '');
+}
+
+// Function to disable one entry: the client's own switch, or park it in the store and remove it
+// Resolves to { outcome, how } - outcome is true or the reason it failed
+async function disableServerEntry(entry) {
+    const native = entry.client.setEnabled ? await entry.client.setEnabled(entry.name, entry.scope, false) : null;
+    if (native !== null) {
+        return { outcome: native ? true : 'could not update the config', how: 'client setting' };
+    }
+    if (!entry.client.restore) {
+        return { outcome: `${entry.client.name} has no on/off switch and cannot restore parked servers`, how: 'parked entry' };
+    }
+
+    // Park the entry before it is removed, so a failed removal or a crash never loses it
+    const isSameEntry = server => server.client === entry.client.id && server.scope === entry.scope && server.name === entry.name;
+    const previousStore = loadDisabledStore();
+    if (!isDryRun) {
+        saveDisabledStore(previousStore.filter(server => !isSameEntry(server)).concat({
+            client: entry.client.id,
+            scope: entry.scope,
+            name: entry.name,
+            config: entry.config,
+            configPath: entry.configPath,
+            projectDir: entry.scope === 'user' ? undefined : cwd,
+            disabledAt: new Date().toISOString()
+        }));
+    }
+
+    // Journaled as a disable rather than the remove it runs, so undo also takes the entry out of the store
+    const journaled = journalDepth === 0;
+    journalDepth++;
+    let removed;
+    try {
+        removed = await entry.client.remove(entry.name, entry.scope);
+    } finally {
+        journalDepth--;
+    }
+    if (!removed) {
+        if (!isDryRun) {
+            saveDisabledStore(previousStore);
+        }
+        return { outcome: 'could not remove the entry', how: 'parked entry' };
+    }
+    if (journaled && !isDryRun) {
+        appendJournal({ operation: 'disable', client: entry.client.id, scope: entry.scope, name: entry.name, parked: true, before: entry.config, after: null });
+    }
+    return { outcome: true, how: 'parked entry' };
+}
+
+// Function to drop a parked entry of this project from the store (after it was put back)
+function unparkServerEntry(client, scope, serverName) {
+    if (isDryRun) {
+        return;
+    }
+    saveDisabledStore(loadDisabledStore().filter(server =>
+        !(server.client === client.id && server.scope === scope && server.name === serverName && isParkedInThisProject(server, client))));
+}
+
+// Function to enable one entry: restore it from the store, or flip the client's own switch
+// Resolves to { outcome, how } like disableServerEntry()
+async function enableServerEntry(entry) {
+    if (entry.parked) {
+        // The entry goes back into the file it was parked from, never into another project's config
+        const targetPath = entry.client.configPath(entry.scope);
+        if (entry.configPath && targetPath && path.resolve(targetPath) !== path.resolve(entry.configPath)) {
+            return { outcome: `parked from ${entry.configPath} - run enable in that project`, how: 'parked entry' };
+        }
+        const journaled = journalDepth === 0;
+        journalDepth++;
+        let restored;
+        try {
+            restored = await entry.client.restore(entry.name, entry.scope, entry.config);
+        } finally {
+            journalDepth--;
+        }
+        if (!restored) {
+            return { outcome: 'could not restore the entry', how: 'parked entry' };
+        }
+        unparkServerEntry(entry.client, entry.scope, entry.name);
+        if (journaled && !isDryRun) {
+            appendJournal({ operation: 'enable', client: entry.client.id, scope: entry.scope, name: entry.name, parked: true, before: null, after: entry.config });
+        }
+        return { outcome: true, how: 'parked entry' };
+    }
+
+    const native = entry.client.setEnabled ? await entry.client.setEnabled(entry.name, entry.scope, true) : null;
+    if (native === null) {
+        return { outcome: 'already enabled', how: 'client setting' };
+    }
+    return { outcome: native ? true : 'could not update the config', how: 'client setting' };
+}
+
+// Function to handle the enable and disable commands
+async function handleToggleMode(enabled) {
+    const verb = enabled ? 'enable' : 'disable';
+    log(enabled ? '▶️  Enable MCP server' : '⏸️  Disable MCP server', 'title');
+
+    // Parked servers, narrowed the same way as configured ones (project and local ones only in their own project)
+    const parked = loadDisabledStore()
+        .filter(server => getTarget(server.client) && isParkedInThisProject(server, getTarget(server.client)))
+        .filter(server => !clientFilter || matchesClientFilter(getTarget(server.client), clientFilter))
+        .filter(server => !scopeFilter || server.scope === scopeFilter)
+        .map(server => ({ ...server, client: getTarget(server.client), parked: true, ...summarizeServerEntry(server.config) }));
+
+    if (enabled && !args[1]) {
+        if (parked.length === 0) {
+            log('ℹ️  No servers are parked by "mcp-auto-add disable"', 'info');
+            return true;
+        }
+        console.log('');
+        printTable(['Name', 'Client', 'Scope', 'Disabled at'], parked.map(server => [
+            chalk.cyan(server.name), server.client.name, server.scope, server.disabledAt
+        ]));
+        console.log('');
+        return true;
+    }
+
+    let serverName;
+    let matches;
+    try {
+        serverName = validateServerName(args[1]);
+        matches = findServerEntries(serverName);
+    } catch (error) {
+        log(`❌ ${error.message}`, 'error');
+        log(`💡 Usage: mcp-auto-add ${verb} <name> [--client <id>] [--scope <scope>] [--dry-run]`, 'info');
+        process.exit(1);
+    }
+
+    if (enabled) {
+        matches = matches.concat(parked.filter(server => server.name === serverName));
+    }
+    if (matches.length === 0) {
+        log(`⚠️  No client has a server named "${serverName}"`, 'warning');
+        log('📋 Run "mcp-auto-add list" to see all configured servers', 'info');
+        return false;
+    }
+
+    log(`🔍 Found "${serverName}" in ${matches.length} place${matches.length !== 1 ? 's' : ''}:`, 'info');
+    console.log('');
+    printServerEntries(matches.map(match => (match.parked ? { ...match, configPath: `${match.configPath} (parked)` } : match)));
+    console.log('');
+
+    let selected = matches;
+    if (!isForce && matches.length > 1) {
+        const { chosen } = await inquirer.prompt([
+            {
+                type: 'checkbox',
+                name: 'chosen',
+                message: `${enabled ? 'Enable' : 'Disable'} "${serverName}" in:`,
+                choices: matches.map(match => ({
+                    name: `${match.client.name} (${match.scope})${match.parked ? ' - parked' : ''}`,
+                    value: match,
+                    checked: true
+                }))
             }
+        ]);
+        selected = chosen;
+    }
+
+    const results = [];
+    for (const match of selected) {
+        let result;
+        try {
+            result = enabled ? await enableServerEntry(match) : await disableServerEntry(match);
+        } catch (error) {
+            result = { outcome: error.message, how: match.parked ? 'parked entry' : 'client setting' };
+        }
+        results.push({ match, ...result });
+    }
+
+    console.log('');
+    const doneLabel = isDryRun ? `🔍 would ${verb}` : `✅ ${verb}d`;
+    printTable(['Client', 'Scope', 'How', 'Result'], results.map(({ match, outcome, how }) => [
+        match.client.name,
+        match.scope,
+        how,
+        outcome === true ? chalk.green(doneLabel) : chalk.yellow(`⚠️  ${outcome}`)
+    ]));
+    console.log('');
+
+    const changed = results.filter(result => result.outcome === true);
+    [...new Set(changed.map(({ match }) => match.client.restartMessage))].forEach(message => {
+        log(`🔄 ${message} to apply changes`, 'info');
+    });
+    return results.every(result => result.outcome === true || result.outcome === 'already enabled');
+}
+
+// Function to look up the clients named in a comma-separated --from / --to value
+function parseClientList(input, flag) {
+    const ids = (input || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (ids.length === 0) {
+        throw new Error(`${flag} needs a client id. Available targets: ${getAllTargets().map(candidate => candidate.id).join(', ')}`);
+    }
+    const unknown = ids.filter(id => !getTarget(id));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown target(s) "${unknown.join(', ')}". Available targets: ${getAllTargets().map(candidate => candidate.id).join(', ')}`);
+    }
+    return [...new Set(ids)].map(id => getTarget(id));
+}
+
+// Function to look up the one client a --from / --source value names (a list is an error, not its first item)
+function parseSingleClient(input, flag) {
+    const clients = parseClientList(input, flag);
+    if (clients.length > 1) {
+        throw new Error(`${flag} takes a single client, got ${clients.map(client => client.id).join(', ')} - run the command once per source`);
+    }
+    return clients[0];
+}
+
+// Function to turn a source entry into the standard config a destination client accepts
+function prepareServerCopy(source, entry, destination) {
+    const config = source.normalize(entry.config, entry.name);
+    if (!config.command && !config.url) {
+        throw new Error(`${source.name} entry has neither a command nor a URL`);
+    }
+
+    // Remote servers keep their transport when the destination speaks it
+    if (config.url && !destination.transports.includes(config.transport)) {
+        config.transport = destination.defaultTransport;
+    }
+    return config;
+}
+
+// Function to merge a new standard config into a client's raw entry
+// Only fields the client's converter output changes are touched, so client-only settings
+// (disabled, alwaysAllow, timeout, trust, enabled: false, startup_timeout_sec, ...) are kept
+function mergeServerEntry(selected, entry, config, serverName) {
+    const current = selected.convert(selected.normalize(entry, serverName), serverName);
+    const desired = selected.convert(config, serverName);
+    const merged = { ...entry };
+    for (const key of new Set([...Object.keys(current), ...Object.keys(desired)])) {
+        if (JSON.stringify(current[key]) === JSON.stringify(desired[key])) {
+            continue;
+        }
+        if (desired[key] === undefined) {
+            delete merged[key];
         } else {
-            // Command name - check if it's in PATH
+            merged[key] = desired[key];
+        }
+    }
+    return merged;
+}
+
+// Function to replace a client's entry with a new config
+// Clients that can write a raw entry get the existing one with the changed fields merged in.
+// Otherwise the old entry is removed first (a CLI refuses to add over it) and written back if the add fails
+async function replaceServerEntry(selected, config, serverName, scope, existing) {
+    if (selected.restore && existing && existing.config && typeof existing.config === 'object') {
+        let entry = null;
+        try {
+            entry = mergeServerEntry(selected, existing.config, config, serverName);
+        } catch (error) {
+            logVerbose(`Could not merge into the ${selected.name} entry, replacing it: ${error.message}`);
+        }
+        if (entry) {
+            return rewriteServerEntry(selected, serverName, scope, entry, existing.config);
+        }
+    }
+
+    if (!await selected.remove(serverName, scope)) {
+        return false;
+    }
+    if (await selected.execute(config, serverName, scope)) {
+        return true;
+    }
+    if (selected.restore && !isDryRun) {
+        log(`↩️  Putting the previous "${serverName}" entry back in ${selected.name}`, 'warning');
+        await selected.restore(serverName, scope, existing.config);
+    }
+    return false;
+}
+
+// Function to handle the copy command
+async function handleCopyMode() {
+    log('📦 Copy MCP servers between clients', 'title');
+
+    const serverName = args[1] && !args[1].startsWith('-') ? args[1] : null;
+    let source;
+    let destinations;
+    try {
+        if (!serverName && !copyAllMode) {
+            throw new Error('Name a server to copy, or pass --all');
+        }
+        source = parseSingleClient(fromClientInput, '--from');
+        destinations = parseClientList(toClientsInput, '--to').filter(destination => destination.id !== source.id);
+        if (destinations.length === 0) {
+            throw new Error('--to must name at least one client other than the source');
+        }
+    } catch (error) {
+        log(`❌ ${error.message}`, 'error');
+        log('💡 Usage: mcp-auto-add copy <name>|--all --from <id> --to <id,id> [--scope <scope>] [--force] [--dry-run]', 'info');
+        process.exit(1);
+    }
+
+    const entries = source.list()
+        .filter(entry => copyAllMode || entry.name === serverName)
+        .filter(entry => !scopeFilter || entry.scope === scopeFilter);
+    if (entries.length === 0) {
+        log(serverName && !copyAllMode
+            ? `⚠️  ${source.name} has no server named "${serverName}"`
+            : `⚠️  ${source.name} has no servers configured`, 'warning');
+        return false;
+    }
+
+    // Work out every copy up front so problems show before anything is written
+    const plan = [];
+    for (const entry of entries) {
+        for (const destination of destinations) {
+            const scope = resolveTargetScope(destination, entry.scope);
+            let config = null;
+            let problem = null;
             try {
-                execSync(`which ${command}`, { stdio: 'ignore' });
+                config = prepareServerCopy(source, entry, destination);
             } catch (error) {
-                throw new Error(`Command not found in PATH: ${command}`);
+                problem = error.message;
             }
+            const existing = destination.list().find(server => server.name === entry.name && server.scope === scope);
+            plan.push({ entry, destination, scope, config, problem, existing });
         }
-        
-        // Test command execution with --version or --help
-        const testCommands = ['--version', '--help', '-v', '-h'];
-        let testSuccessful = false;
-        
-        for (const testArg of testCommands) {
+    }
+
+    console.log('');
+    printTable(['Name', 'From', 'To', 'Scope', 'Transport', 'Note'], plan.map(item => [
+        chalk.cyan(item.entry.name),
+        `${source.name} (${item.entry.scope})`,
+        item.destination.name,
+        item.scope,
+        item.config ? (item.config.url ? item.config.transport : 'stdio') : '-',
+        item.problem ? chalk.red(item.problem) : (item.existing ? chalk.yellow('replaces existing entry') : '')
+    ]));
+    console.log('');
+
+    const runnable = plan.filter(item => !item.problem);
+    if (runnable.length === 0) {
+        log('❌ Nothing can be copied', 'error');
+        return false;
+    }
+
+    if (!isForce && !isDryRun) {
+        const { proceed } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'proceed',
+                message: `Copy ${runnable.length} server entr${runnable.length !== 1 ? 'ies' : 'y'}?`,
+                default: true
+            }
+        ]);
+        if (!proceed) {
+            log('❌ Copy cancelled - no changes made', 'warning');
+            return true;
+        }
+    }
+    configWritesConfirmed = true;
+
+    const results = [];
+    for (const item of plan) {
+        let success = false;
+        if (!item.problem) {
+            try {
+                success = item.existing
+                    ? await replaceServerEntry(item.destination, item.config, item.entry.name, item.scope, item.existing)
+                    : await item.destination.execute(item.config, item.entry.name, item.scope);
+            } catch (error) {
+                log(`❌ ${item.destination.name}: ${error.message}`, 'error');
+            }
+        }
+        results.push({ item, success });
+    }
+
+    console.log('');
+    printTable(['Name', 'Client', 'Scope', 'Result'], results.map(({ item, success }) => [
+        chalk.cyan(item.entry.name),
+        item.destination.name,
+        item.scope,
+        success ? chalk.green(isDryRun ? '🔍 would copy' : '✅ copied') : chalk.red(`❌ ${item.problem || 'failed'}`)
+    ]));
+    console.log('');
+
+    const copied = results.filter(result => result.success);
+    [...new Set(copied.map(({ item }) => item.destination.restartMessage))].forEach(message => {
+        log(`🔄 ${message} to apply changes`, 'info');
+    });
+    return copied.length === results.length;
+}
+
+// Function to compare two standard configs field by field: [{ field, before, after }]
+// Env references like ${VAR} or ${input:id} match any value, since clients store placeholders for secrets
+function diffServerConfigs(current, desired) {
+    const isReference = value => typeof value === 'string' && /^\$\{[^}]+\}$/.test(value.trim());
+    const changes = [];
+
+    for (const field of ['command', 'args', 'cwd', 'url', 'transport']) {
+        // A client that does not record the transport keeps whatever it infers
+        if (field === 'transport' && (!current.transport || !desired.transport)) continue;
+        if (JSON.stringify(current[field]) !== JSON.stringify(desired[field])) {
+            changes.push({ field, before: current[field], after: desired[field] });
+        }
+    }
+
+    const currentEnv = current.env || {};
+    const desiredEnv = desired.env || {};
+    for (const key of [...new Set([...Object.keys(currentEnv), ...Object.keys(desiredEnv)])].sort()) {
+        const before = currentEnv[key];
+        const after = desiredEnv[key];
+        if (before === after || (before !== undefined && after !== undefined && (isReference(before) || isReference(after)))) continue;
+        changes.push({ field: `env.${key}`, before, after });
+    }
+
+    return changes;
+}
+
+// Function to work out what a client needs to end up with the desired servers
+// desired: [{ name, scope, config }] in standard config form; returns [{ action, name, scope, client, config, existing, changes }]
+function buildServerPlan(selected, desired, options = {}) {
+    const existingEntries = selected.list();
+    const plan = [];
+
+    for (const server of desired) {
+        const existing = existingEntries.find(entry => entry.name === server.name && entry.scope === server.scope);
+        if (!existing) {
+            plan.push({ action: 'add', ...server, client: selected, existing: null, changes: [] });
+            continue;
+        }
+
+        let changes;
+        try {
+            changes = diffServerConfigs(selected.normalize(existing.config, existing.name), server.config);
+        } catch (error) {
+            changes = [{ field: 'entry', before: `unreadable (${error.message})`, after: 'rewritten' }];
+        }
+        if (changes.length > 0) {
+            plan.push({ action: 'update', ...server, client: selected, existing, changes });
+        }
+    }
+
+    if (options.prune) {
+        for (const existing of existingEntries) {
+            if (options.scope && existing.scope !== options.scope) continue;
+            if (desired.some(server => server.name === existing.name)) continue;
+            plan.push({ action: 'remove', name: existing.name, scope: existing.scope, client: selected, config: null, existing, changes: [] });
+        }
+    }
+
+    return plan;
+}
+
+// Function to print a plan terraform-style: + add, ~ update (with the changed fields), - remove
+function printServerPlan(plan) {
+    const symbols = {
+        add: chalk.green('+'),
+        update: chalk.yellow('~'),
+        remove: chalk.red('-')
+    };
+    const formatValue = value => value === undefined ? chalk.gray('(none)') : JSON.stringify(value);
+
+    console.log('');
+    for (const item of plan) {
+        console.log(`  ${symbols[item.action]} ${chalk.cyan(item.name)} ${chalk.gray(`${item.client.name} (${item.scope})`)}`);
+        if (item.action === 'add') {
+            const { transport, endpoint } = summarizeServerEntry(item.config);
+            console.log(chalk.green(`      ${item.config.transport || transport}: ${endpoint}`));
+        }
+        for (const change of item.changes) {
+            console.log(`      ${change.field}: ${chalk.red(formatValue(change.before))} → ${chalk.green(formatValue(change.after))}`);
+        }
+    }
+    console.log('');
+
+    const count = action => plan.filter(item => item.action === action).length;
+    log(`Plan: ${count('add')} to add, ${count('update')} to change, ${count('remove')} to remove.`, 'info');
+}
+
+// Function to apply a plan from buildServerPlan and print the results
+async function applyServerPlan(plan) {
+    const results = [];
+    for (const item of plan) {
+        let success = false;
+        try {
+            if (item.action === 'add') {
+                success = await item.client.execute(item.config, item.name, item.scope);
+            } else if (item.action === 'update') {
+                success = await replaceServerEntry(item.client, item.config, item.name, item.scope, item.existing);
+            } else {
+                success = await item.client.remove(item.name, item.scope);
+            }
+        } catch (error) {
+            log(`❌ ${item.client.name}: ${error.message}`, 'error');
+        }
+        results.push({ item, success });
+    }
+
+    const verbs = { add: 'added', update: 'updated', remove: 'removed' };
+    console.log('');
+    printTable(['Name', 'Client', 'Scope', 'Result'], results.map(({ item, success }) => [
+        chalk.cyan(item.name),
+        item.client.name,
+        item.scope,
+        success ? chalk.green(isDryRun ? `🔍 would be ${verbs[item.action]}` : `✅ ${verbs[item.action]}`) : chalk.red('❌ failed')
+    ]));
+    console.log('');
+
+    const applied = results.filter(result => result.success);
+    [...new Set(applied.map(({ item }) => item.client.restartMessage))].forEach(message => {
+        log(`🔄 ${message} to apply changes`, 'info');
+    });
+    return applied.length === results.length;
+}
+
+// Function to handle the sync command
+async function handleSyncMode() {
+    log('🔁 Sync MCP servers from a source client', 'title');
+
+    let source;
+    let destinations;
+    try {
+        source = parseSingleClient(sourceClientInput, '--source');
+        destinations = parseClientList(toClientsInput, '--to').filter(destination => destination.id !== source.id);
+        if (destinations.length === 0) {
+            throw new Error('--to must name at least one client other than the source');
+        }
+    } catch (error) {
+        log(`❌ ${error.message}`, 'error');
+        log('💡 Usage: mcp-auto-add sync --source <id> --to <id,id> [--scope <scope>] [--prune] [--force] [--dry-run]', 'info');
+        process.exit(1);
+    }
+
+    const entries = source.list().filter(entry => !scopeFilter || entry.scope === scopeFilter);
+    log(`📋 ${source.name} has ${entries.length} server${entries.length !== 1 ? 's' : ''}${scopeFilter ? ` in scope "${scopeFilter}"` : ''}`, 'info');
+
+    const plan = [];
+    for (const destination of destinations) {
+        const desired = [];
+        for (const entry of entries) {
+            const scope = resolveTargetScope(destination, entry.scope);
+            // Several source scopes can land in one destination scope; the first one wins
+            if (desired.some(server => server.name === entry.name && server.scope === scope)) {
+                logVerbose(`Skipping ${entry.name} (${entry.scope}) - ${destination.name} ${scope} scope already gets it`);
+                continue;
+            }
             try {
-                execSync(`${command} ${testArg}`, { 
-                    stdio: 'ignore', 
-                    timeout: 5000 
-                });
-                testSuccessful = true;
-                break;
+                desired.push({ name: entry.name, scope, config: prepareServerCopy(source, entry, destination) });
             } catch (error) {
-                // Continue to next test argument
-                continue;
+                log(`⚠️  Skipping "${entry.name}": ${error.message}`, 'warning');
             }
         }
-        
-        if (!testSuccessful) {
-            log(`⚠️  Warning: Could not test executable with standard flags, but path exists`, 'warning');
-        } else {
-            logVerbose(`✅ Executable test successful: ${command}`);
-        }
-        
+        plan.push(...buildServerPlan(destination, desired, {
+            prune: pruneMode,
+            scope: scopeFilter ? resolveTargetScope(destination, scopeFilter) : null
+        }));
+    }
+
+    if (plan.length === 0) {
+        log(`✅ No changes - ${destinations.map(destination => destination.name).join(', ')} already match ${source.name}`, 'success');
         return true;
-    } catch (error) {
-        log(`❌ Executable test failed: ${error.message}`, 'error');
-        return false;
     }
-}
 
-// Function to get interactive configuration
-async function getInteractiveConfig(config, jsonMode = false) {
-    // For JSON/clipboard input, prioritize extracted name; for auto-detect, use project name
-    const defaultServerName = config.extractedServerName || config.name || (jsonMode ? 'mcp-server' : projectName) || 'mcp-server';
-    
-    if (isForce) {
-        return { 
-            ...config, 
-            scope: 'user', 
-            serverName: defaultServerName,
-            confirmed: true 
-        };
+    printServerPlan(plan);
+    if (!pruneMode) {
+        logVerbose('Servers missing from the source are kept (pass --prune to remove them)');
     }
-    
-    log('📋 MCP Configuration Summary:', 'title');
-    log(`Server Name: ${defaultServerName}`, 'info');
-    log(`Command: ${config.command}`, 'info');
-    log(`Arguments: ${config.args ? config.args.join(' ') : '(none)'}`, 'info');
-    log(`Description: ${config.description}`, 'info');
-    log(`Environment Variables: ${Object.keys(config.env || {}).length}`, 'info');
-    if (config.cwd) {
-        log(`Working Directory: ${config.cwd}`, 'info');
+
+    if (isDryRun) {
+        log('🔍 DRY RUN - No changes made', 'warning');
+        return true;
     }
-    
-    // Test executable path only if it's not a standard command
-    const shouldTestExecutable = config.command && !['npx', 'npm', 'yarn', 'pnpm', 'bun', 'uvx'].includes(config.command.split('/').pop());
-    
-    if (shouldTestExecutable) {
-        const executableValid = await testExecutablePath(config.command);
-        if (!executableValid) {
-            const { continueAnyway } = await inquirer.prompt([
-                {
-                    type: 'confirm',
-                    name: 'continueAnyway',
-                    message: 'Executable test failed. Continue anyway?',
-                    default: false
-                }
-            ]);
-            
-            if (!continueAnyway) {
-                throw new Error('Cancelled due to executable validation failure');
+
+    if (!isForce) {
+        const { proceed } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'proceed',
+                message: 'Apply this plan?',
+                default: false
             }
+        ]);
+        if (!proceed) {
+            log('❌ Sync cancelled - no changes made', 'warning');
+            return true;
         }
     }
-    
-    // Gemini CLI and OpenCode don't support 'local' scope
-    const scopeChoices = (useGemini || useOpenCode) ? [
-        { name: 'user - Available to you across all projects (recommended)', value: 'user' },
-        { name: `project - Shared with everyone in the project (requires ${useOpenCode ? 'opencode.json' : '.gemini/settings.json'})`, value: 'project' }
-    ] : [
-        { name: 'user - Available to you across all projects (recommended)', value: 'user' },
-        { name: 'local - Available only in this project', value: 'local' },
-        { name: 'project - Shared with everyone in the project (requires .mcp.json)', value: 'project' }
-    ];
+    configWritesConfirmed = true;
 
-    const cliName = useOpenCode ? 'OpenCode' : (useGemini ? 'Gemini CLI' : 'Claude Code');
+    return applyServerPlan(plan);
+}
 
-    const questions = [
-        {
-            type: 'list',
-            name: 'scope',
-            message: 'Choose MCP server scope:',
-            choices: scopeChoices,
-            default: 'user'
-        },
-        {
-            type: 'input',
-            name: 'serverName',
-            message: 'Server name:',
-            default: defaultServerName,
-            validate: (input) => {
-                if (!input || input.trim().length === 0) {
-                    return 'Server name cannot be empty';
-                }
-                if (!/^[a-zA-Z0-9\-_]+$/.test(input.trim())) {
-                    return 'Server name can only contain letters, numbers, hyphens, and underscores';
-                }
-                return true;
+// Manifest files looked up in the project directory, in order
+const MANIFEST_FILES = ['mcp-servers.json', 'mcp-servers.yaml', 'mcp-servers.yml'];
+
+// Function to find the project manifest (--manifest <path> or mcp-servers.json/.yaml in the working directory)
+function findManifestPath() {
+    if (manifestInput) {
+        return path.resolve(cwd, manifestInput);
+    }
+    const found = MANIFEST_FILES.map(file => path.join(cwd, file)).find(candidate => fs.existsSync(candidate));
+    return found || null;
+}
+
+// Function to fill in a manifest's ${VAR} placeholders for one client
+// A client that expands variables itself gets its own reference syntax, so no value is written. Others get
+// the value from the environment or the project's .env (listed in report.resolved); unset ones keep the placeholder
+function resolveManifestEnv(env, client, envSources, report) {
+    const resolved = {};
+    for (const [key, value] of Object.entries(env || {})) {
+        resolved[key] = value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (placeholder, variable) => {
+            if (client.envReference) {
+                return client.envReference(variable);
             }
-        },
-        {
-            type: 'confirm',
-            name: 'confirm',
-            message: `Add this MCP server to ${cliName}?`,
-            default: true
+            if (envSources[variable] !== undefined) {
+                report.resolved.add(variable);
+                return envSources[variable];
+            }
+            report.unresolved.add(variable);
+            return placeholder;
+        });
+    }
+    return resolved;
+}
+
+// Function to load a manifest: { servers: { name: entry } } (or "mcpServers"), plus optional "targets" and "scope"
+// Entries use the mcpServers shape; ./relative paths in command, args and cwd are resolved against the manifest's folder
+function loadManifest(manifestPath) {
+    const content = fs.readFileSync(manifestPath, 'utf8');
+    const manifest = /\.ya?ml$/i.test(manifestPath) ? parseYAML(content) : parseJSONC(content);
+    if (!manifest || typeof manifest !== 'object') {
+        throw new Error('Manifest must be an object with a "servers" map');
+    }
+
+    const entries = manifest.servers || manifest.mcpServers;
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+        throw new Error('Manifest has no "servers" map');
+    }
+
+    const manifestDir = path.dirname(manifestPath);
+    const resolvePath = value => typeof value === 'string' && /^\.\.?[\\/]/.test(value) ? path.resolve(manifestDir, value) : value;
+
+    const servers = Object.entries(entries).map(([name, entry]) => {
+        validateServerName(name);
+        if (!entry || (!entry.command && !entry.url)) {
+            throw new Error(`Server "${name}" needs a command or a url`);
         }
-    ];
-    
-    const answers = await inquirer.prompt(questions);
-    
+        const config = entry.url
+            ? toStandardConfig({ url: entry.url, transport: normalizeTransport(entry.transport || entry.type) }, name)
+            : toStandardConfig({
+                command: resolvePath(entry.command),
+                args: (entry.args || []).map(arg => resolvePath(String(arg))),
+                // ${VAR} placeholders stay in place until the client is known (resolveManifestEnv)
+                env: Object.fromEntries(Object.entries(entry.env || {}).map(([key, value]) => [key, String(value)])),
+                cwd: entry.cwd ? path.resolve(manifestDir, entry.cwd) : undefined
+            }, name);
+        return { name, config };
+    });
+
     return {
-        ...config,
-        scope: answers.scope,
-        serverName: answers.serverName.trim(),
-        confirmed: answers.confirm
+        servers,
+        targets: Array.isArray(manifest.targets) ? manifest.targets : null,
+        scope: manifest.scope || 'project',
+        envSources: { ...readEnvFile(manifestDir), ...process.env }
     };
 }
 
-// Function to find all available MCP config files
-function findAllMCPConfigs() {
-    logVerbose('🔍 Finding all MCP config files...');
+// Function to handle plan / apply against the project manifest
+// Returns the exit code: 0 in sync (or applied), 1 on errors, 2 when plan finds pending changes
+async function handleManifestMode(apply) {
+    log(apply ? '📜 Apply MCP server manifest' : '📜 Plan MCP server manifest', 'title');
 
-    const home = process.env.HOME || process.env.USERPROFILE || '';
-    const configs = [];
+    const manifestPath = findManifestPath();
+    if (!manifestPath || !fs.existsSync(manifestPath)) {
+        log(`❌ No manifest found - create ${MANIFEST_FILES.join(' or ')} or pass --manifest <path>`, 'error');
+        return 1;
+    }
 
-    // User scope configs - includes Claude/Cursor, Gemini, and OpenCode paths
-    const userPaths = [
-        { path: path.join(home, '.cursor', 'mcp.json'), scope: 'user', label: 'Cursor (user)', platform: 'claude' },
-        { path: path.join(home, '.claude', 'mcp.json'), scope: 'user', label: 'Claude (user)', platform: 'claude' },
-        { path: path.join(home, '.gemini', 'settings.json'), scope: 'user', label: 'Gemini CLI (user)', platform: 'gemini' },
-        { path: path.join(home, '.config', 'gemini', 'settings.json'), scope: 'user', label: 'Gemini CLI (user, XDG)', platform: 'gemini' },
-        { path: path.join(home, '.config', 'opencode', 'opencode.json'), scope: 'user', label: 'OpenCode (user)', platform: 'opencode' }
-    ];
+    let manifest;
+    let clients;
+    try {
+        manifest = loadManifest(manifestPath);
+        // Explicit target flags win over the manifest's own "targets" list
+        const explicitTargets = targetIdsInput || allInstalledMode || args.includes('--target') ||
+            getAllTargets().some(candidate => candidate.flags.some(flag => args.includes(flag)));
+        clients = !explicitTargets && manifest.targets
+            ? parseClientList(manifest.targets.join(','), 'targets')
+            : selectedTargets;
+    } catch (error) {
+        log(`❌ ${manifestPath}: ${error.message}`, 'error');
+        return 1;
+    }
 
-    // Local scope configs - Claude/Cursor only (Gemini and OpenCode don't support local scope)
-    const localPaths = [
-        { path: path.join(cwd, '.cursor', 'mcp.json'), scope: 'local', label: 'Cursor (local)', platform: 'claude' },
-        { path: path.join(cwd, '.vscode', 'mcp.json'), scope: 'local', label: 'VS Code (local)', platform: 'claude' }
-    ];
+    const scope = scopeFilter || manifest.scope;
+    log(`📂 Manifest: ${manifestPath} (${manifest.servers.length} server${manifest.servers.length !== 1 ? 's' : ''})`, 'info');
+    log(`🎯 Clients: ${clients.map(client => `${client.name} (${resolveTargetScope(client, scope)})`).join(', ')}`, 'info');
+
+    const plan = [];
+    const unresolved = new Set();
+    const secretFiles = [];
+    for (const client of clients) {
+        const clientScope = resolveTargetScope(client, scope);
+        const report = { resolved: new Set(), unresolved };
+        const desired = manifest.servers.map(server => {
+            const config = { ...server.config };
+            if (config.env) {
+                config.env = resolveManifestEnv(config.env, client, manifest.envSources, report);
+            }
+            if (config.url && !client.transports.includes(config.transport)) {
+                config.transport = client.defaultTransport;
+            }
+            return { name: server.name, scope: clientScope, config };
+        });
+        // Project-scope files are usually committed, so real values from the environment need an explicit OK
+        if (clientScope === 'project' && report.resolved.size > 0) {
+            secretFiles.push({ client, configPath: client.configPath(clientScope), variables: [...report.resolved] });
+        }
+        plan.push(...buildServerPlan(client, desired, { prune: pruneMode, scope: clientScope }));
+    }
 
-    // Project scope configs - all platforms
-    const projectPaths = [
-        { path: path.join(cwd, '.mcp.json'), scope: 'project', label: 'Project (.mcp.json)', platform: 'claude' },
-        { path: path.join(cwd, '.gemini', 'settings.json'), scope: 'project', label: 'Project (.gemini/settings.json)', platform: 'gemini' },
-        { path: path.join(cwd, 'opencode.json'), scope: 'project', label: 'OpenCode (project)', platform: 'opencode' }
-    ];
+    unresolved.forEach(variable => {
+        log(`⚠️  \${${variable}} is not set - the placeholder is written as-is`, 'warning');
+    });
+    for (const { client, configPath, variables } of secretFiles) {
+        const names = variables.map(variable => `\${${variable}}`).join(', ');
+        if (!allowSecretsMode) {
+            log(`❌ ${client.name} cannot expand ${names} itself, so its value would be written into ${configPath || 'its project config'}`, 'error');
+        } else {
+            log(`⚠️  ${configPath || `${client.name}'s project config`} will contain the values of ${names} - do not commit it`, 'warning');
+        }
+    }
+    if (secretFiles.length > 0 && !allowSecretsMode) {
+        log('💡 Use --scope user for these clients, drop them from "targets", or pass --allow-secrets to write the values anyway', 'info');
+        return 1;
+    }
 
-    // Check which files exist
-    for (const config of [...userPaths, ...localPaths, ...projectPaths]) {
-        if (fs.existsSync(config.path)) {
-            logVerbose(`Found config: ${config.path} (${config.platform})`);
-            configs.push(config);
+    if (plan.length === 0) {
+        log('✅ No changes - every client matches the manifest', 'success');
+        return 0;
+    }
+
+    printServerPlan(plan);
+    if (!apply) {
+        log('💡 Run "mcp-auto-add apply" to make these changes', 'info');
+        return 2;
+    }
+
+    if (isDryRun) {
+        log('🔍 DRY RUN - No changes made', 'warning');
+        return 0;
+    }
+
+    if (!isForce) {
+        const { proceed } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'proceed',
+                message: 'Apply this plan?',
+                default: false
+            }
+        ]);
+        if (!proceed) {
+            log('❌ Apply cancelled - no changes made', 'warning');
+            return 0;
         }
     }
+    configWritesConfirmed = true;
 
-    return configs;
+    return await applyServerPlan(plan) ? 0 : 1;
 }
 
-// Function to list servers in a config file with line numbers
-function listServersInConfig(configPath) {
+// Files that mark the root of a project generateMCPConfig() can detect
+const PROJECT_MARKER_FILES = ['pyproject.toml', 'requirements.txt', 'setup.py', 'package.json'];
+
+// Function to find the project folder a registered server runs from
+// Checks cwd, then absolute script args, then the command itself, walking up to the nearest project marker
+function findServerProjectDir(config) {
+    const home = process.env.HOME || process.env.USERPROFILE || '';
+    const candidates = [
+        config.cwd,
+        ...(config.args || []).filter(arg => path.isAbsolute(arg)),
+        path.isAbsolute(config.command || '') ? config.command : null
+    ].filter(Boolean);
+
+    for (const candidate of candidates) {
+        let dir = candidate === config.cwd ? candidate : path.dirname(candidate);
+        while (dir !== path.dirname(dir) && dir !== home) {
+            if (PROJECT_MARKER_FILES.some(marker => fs.existsSync(path.join(dir, marker)))) {
+                return dir;
+            }
+            dir = path.dirname(dir);
+        }
+    }
+    return null;
+}
+
+// Function to handle the update command
+async function handleUpdateMode() {
+    log('🔄 Update MCP server from its project', 'title');
+
+    let serverName;
+    let matches;
     try {
-        const content = fs.readFileSync(configPath, 'utf8');
-        const config = JSON.parse(content);
-        const lines = content.split('\n');
-        const servers = [];
+        serverName = validateServerName(args[1]);
+        matches = findServerEntries(serverName);
+    } catch (error) {
+        log(`❌ ${error.message}`, 'error');
+        log('💡 Usage: mcp-auto-add update <name> [--client <id>] [--scope <scope>] [--force] [--dry-run]', 'info');
+        process.exit(1);
+    }
 
-        // Handle both Claude/Cursor/Gemini format (mcpServers) and OpenCode format (mcp)
-        const serverContainer = config.mcpServers || config.mcp || null;
+    if (matches.length === 0) {
+        log(`⚠️  No client has a server named "${serverName}"`, 'warning');
+        log('📋 Run "mcp-auto-add list" to see all configured servers', 'info');
+        return false;
+    }
 
-        if (serverContainer) {
-            const serverNames = Object.keys(serverContainer);
+    // Re-detect each project folder once, however many clients point at it
+    const generated = new Map();
+    const plan = [];
+    let allResolved = true;
+    for (const match of matches) {
+        const current = match.client.normalize(match.config, serverName);
+        if (current.url) {
+            log(`ℹ️  ${match.client.name} (${match.scope}): remote server - nothing to re-detect`, 'info');
+            continue;
+        }
 
-            // Find line number for each server
-            serverNames.forEach(serverName => {
-                for (let i = 0; i < lines.length; i++) {
-                    // Look for the server name as a JSON key (e.g., "server-name": {)
-                    if (lines[i].includes(`"${serverName}"`) && lines[i].includes(':')) {
-                        servers.push({
-                            name: serverName,
-                            line: i + 1, // Line numbers are 1-based
-                            config: serverContainer[serverName]
-                        });
-                        break;
-                    }
-                }
-            });
+        const projectDir = findServerProjectDir(current);
+        if (!projectDir) {
+            log(`⚠️  ${match.client.name} (${match.scope}): could not find the project folder from ${summarizeServerEntry(current).endpoint}`, 'warning');
+            allResolved = false;
+            continue;
         }
 
-        return servers;
+        if (!generated.has(projectDir)) {
+            log(`📁 Project folder: ${projectDir}`, 'info');
+            try {
+                generated.set(projectDir, generateMCPConfig(projectDir));
+            } catch (error) {
+                log(`❌ ${error.message}`, 'error');
+                generated.set(projectDir, null);
+            }
+        }
+        const detected = generated.get(projectDir);
+        if (!detected) {
+            allResolved = false;
+            continue;
+        }
+
+        // Env vars added by hand stay; values from the project's .env win
+        const desired = toStandardConfig({
+            command: detected.command,
+            args: detected.args,
+            env: { ...current.env, ...detected.env },
+            cwd: current.cwd
+        }, serverName);
+        desired.description = detected.description;
+
+        const changes = diffServerConfigs(current, desired);
+        if (changes.length > 0) {
+            plan.push({ action: 'update', name: serverName, scope: match.scope, client: match.client, config: desired, existing: match, changes });
+        }
+    }
+
+    if (plan.length === 0) {
+        log(allResolved ? `✅ "${serverName}" is already up to date` : '⚠️  Nothing to update', allResolved ? 'success' : 'warning');
+        return allResolved;
+    }
+
+    printServerPlan(plan);
+
+    if (isDryRun) {
+        log('🔍 DRY RUN - No changes made', 'warning');
+        return allResolved;
+    }
+
+    if (!isForce) {
+        const { proceed } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'proceed',
+                message: `Update "${serverName}" in ${plan.length} place${plan.length !== 1 ? 's' : ''}?`,
+                default: true
+            }
+        ]);
+        if (!proceed) {
+            log('❌ Update cancelled - no changes made', 'warning');
+            return true;
+        }
+    }
+    configWritesConfirmed = true;
+
+    return await applyServerPlan(plan) && allResolved;
+}
+
+// Files a server is started from - a missing one of these means the server cannot start
+const SCRIPT_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts', '.py', '.sh', '.rb', '.php', '.jar'];
+
+// Function to list why a server can no longer start: missing absolute command, script file or cwd
+// A bare command missing from PATH (npx, uvx, nvm/pyenv shims) and other missing absolute args are only warnings:
+// PATH differs between shells and an arg may be an output path that is created later
+function findStaleReasons(config) {
+    const result = { reasons: [], warnings: [] };
+    if (config.url) {
+        return result;
+    }
+
+    if (config.command) {
+        const problem = checkExecutablePath(config.command);
+        if (problem) {
+            (config.command.includes('/') ? result.reasons : result.warnings).push(problem);
+        }
+    }
+    for (const arg of config.args || []) {
+        if (path.isAbsolute(arg) && !fs.existsSync(arg)) {
+            if (SCRIPT_EXTENSIONS.includes(path.extname(arg).toLowerCase())) {
+                result.reasons.push(`Script not found: ${arg}`);
+            } else {
+                result.warnings.push(`Path not found: ${arg}`);
+            }
+        }
+    }
+    if (config.cwd && !directoryExists(config.cwd)) {
+        result.reasons.push(`cwd not found: ${config.cwd}`);
+    }
+    return result;
+}
+
+// Function to handle the prune command
+async function handlePruneMode() {
+    log('🧹 Prune stale MCP servers', 'title');
+
+    let servers;
+    try {
+        servers = collectConfiguredServers({ client: clientFilter, scope: scopeFilter, name: nameFilter });
     } catch (error) {
-        logVerbose(`Error reading config ${configPath}: ${error.message}`);
-        return [];
+        log(`❌ ${error.message}`, 'error');
+        process.exit(1);
+    }
+
+    const flagged = [];
+    for (const server of servers) {
+        let found;
+        try {
+            found = findStaleReasons(server.client.normalize(server.config, server.name));
+        } catch (error) {
+            logVerbose(`Could not read ${server.name} in ${server.client.name}: ${error.message}`);
+            continue;
+        }
+        if (found.reasons.length > 0 || found.warnings.length > 0) {
+            flagged.push({ ...server, ...found, stale: found.reasons.length > 0 });
+        }
+    }
+
+    const stale = flagged.filter(server => server.stale);
+    log(`🔍 Checked ${servers.length} server entr${servers.length !== 1 ? 'ies' : 'y'}`, 'info');
+    if (flagged.length === 0) {
+        log('✅ No stale servers found', 'success');
+        return true;
+    }
+
+    console.log('');
+    printTable(['Name', 'Client', 'Scope', 'Reason'], flagged.map(server => [
+        chalk.cyan(server.name),
+        server.client.name,
+        server.scope,
+        [...server.reasons.map(reason => chalk.red(reason)), ...server.warnings.map(warning => chalk.yellow(warning))].join('; ')
+    ]));
+    console.log('');
+
+    const warned = flagged.length - stale.length;
+    if (warned > 0) {
+        log(`⚠️  ${warned} entr${warned !== 1 ? 'ies' : 'y'} only have warnings (a command not on this PATH or a missing non-script path) - they may still start, so they are not pre-selected${isForce ? ' and --force keeps them' : ''}`, 'warning');
     }
-}
 
-// Function to get preferred editor
-function getEditor() {
-    // Check EDITOR environment variable
-    if (process.env.EDITOR) {
-        logVerbose(`Using EDITOR from environment: ${process.env.EDITOR}`);
-        return process.env.EDITOR;
+    let selected = stale;
+    if (!isForce) {
+        const { chosen } = await inquirer.prompt([
+            {
+                type: 'checkbox',
+                name: 'chosen',
+                message: 'Remove these servers:',
+                choices: flagged.map(server => ({
+                    name: `${server.name} - ${server.client.name} (${server.scope})`,
+                    value: server,
+                    checked: server.stale
+                }))
+            }
+        ]);
+        selected = chosen;
     }
 
-    // Check for common editors
-    const editors = ['nano', 'vim', 'vi', 'code', 'emacs'];
+    if (selected.length === 0) {
+        log('❌ Nothing selected - no changes made', 'warning');
+        return true;
+    }
 
-    for (const editor of editors) {
+    const results = [];
+    for (const server of selected) {
+        let success;
         try {
-            execSync(`which ${editor}`, { stdio: 'ignore' });
-            logVerbose(`Found available editor: ${editor}`);
-            return editor;
+            success = await server.client.remove(server.name, server.scope);
         } catch (error) {
-            // Editor not found, continue
+            log(`❌ ${server.client.name}: ${error.message}`, 'error');
+            success = false;
         }
+        results.push({ server, success });
     }
 
-    // Fallback to nano
-    return 'nano';
-}
-
-// Function to open editor at specific line
-function openEditorAtLine(editor, filePath, lineNumber) {
-    logVerbose(`Opening ${editor} at line ${lineNumber} in ${filePath}`);
+    console.log('');
+    printTable(['Name', 'Client', 'Scope', 'Result'], results.map(({ server, success }) => [
+        chalk.cyan(server.name),
+        server.client.name,
+        server.scope,
+        success ? chalk.green(isDryRun ? '🔍 would remove' : '✅ removed') : chalk.red('❌ failed')
+    ]));
+    console.log('');
 
-    // Different editors have different syntax for jumping to a line
-    let command;
+    const removed = results.filter(result => result.success);
+    [...new Set(removed.map(({ server }) => server.client.restartMessage))].forEach(message => {
+        log(`🔄 ${message} to apply changes`, 'info');
+    });
+    return removed.length === results.length;
+}
 
-    if (editor.includes('nano')) {
-        command = `${editor} +${lineNumber} "${filePath}"`;
-    } else if (editor.includes('vim') || editor.includes('vi') || editor.includes('nvim')) {
-        command = `${editor} +${lineNumber} "${filePath}"`;
-    } else if (editor.includes('code') || editor.includes('vscode')) {
-        command = `${editor} -g "${filePath}:${lineNumber}"`;
-    } else if (editor.includes('emacs')) {
-        command = `${editor} +${lineNumber} "${filePath}"`;
-    } else if (editor.includes('subl') || editor.includes('sublime')) {
-        command = `${editor} "${filePath}:${lineNumber}"`;
-    } else {
-        // Fallback - just open the file
-        log(`⚠️  Line jump not supported for ${editor}, opening at beginning`, 'warning');
-        command = `${editor} "${filePath}"`;
+// Function to rewrite every string in a raw entry that contains a path under oldDir
+// Collects the rewrites as [{ field, before, after }]; the prefix must start and end at a path boundary
+// (/old-dir never matches /old-dir2 or /x/old-dir)
+function relocateEntryValue(value, oldDir, newDir, field, changes) {
+    if (typeof value === 'string') {
+        const escaped = oldDir.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`(?<=^|[\\s:;,="'])${escaped}(?=$|[\\/:;,"'\\s])`, 'g');
+        const rewritten = value.replace(pattern, () => newDir);
+        if (rewritten !== value) {
+            changes.push({ field, before: value, after: rewritten });
+        }
+        return rewritten;
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, index) => relocateEntryValue(item, oldDir, newDir, `${field}[${index}]`, changes));
     }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+            [key, relocateEntryValue(item, oldDir, newDir, field ? `${field}.${key}` : key, changes)]));
+    }
+    return value;
+}
 
-    return command;
+// Function to write a rewritten raw entry back through the client's restore
+// CLI-backed clients refuse to add over an existing name, so the old entry is removed first and put back on failure
+async function rewriteServerEntry(selected, serverName, scope, entry, previous) {
+    if (!selected.cli) {
+        return selected.restore(serverName, scope, entry);
+    }
+    if (!await selected.remove(serverName, scope)) {
+        return false;
+    }
+    if (await selected.restore(serverName, scope, entry)) {
+        return true;
+    }
+    if (!isDryRun) {
+        log(`↩️  Putting the previous "${serverName}" entry back in ${selected.name}`, 'warning');
+        await selected.restore(serverName, scope, previous);
+    }
+    return false;
 }
 
-// Function to handle edit mode
-async function handleEditMode() {
-    log('📝 MCP Configuration Editor', 'title');
+// Function to map a directory under oldDir to the same place under newDir (null when it is not under oldDir)
+function relocateDirectory(dir, oldDir, newDir) {
+    if (dir === oldDir) {
+        return newDir;
+    }
+    return dir.startsWith(oldDir + path.sep) ? newDir + dir.slice(oldDir.length) : null;
+}
 
-    // Find all available config files
-    const availableConfigs = findAllMCPConfigs();
+// Function to plan relocate for Claude Code's local servers, which live under projects[<dir>] in ~/.claude.json
+// Every project is scanned, not just cwd, and projects under oldDir are re-keyed to newDir (all servers move with them,
+// so re-keying is skipped when --name picks only some)
+function planClaudeProjectRelocation(claude, oldDir, newDir) {
+    const configPath = findClaudeConfigPath('user');
+    const planned = { configPath, moves: [], items: [] };
+    if ((scopeFilter && scopeFilter !== 'local') || !fs.existsSync(configPath)) {
+        return planned;
+    }
 
-    if (availableConfigs.length === 0) {
-        log('❌ No MCP configuration files found', 'error');
-        log('💡 MCP config files are typically created when you add your first MCP server', 'info');
-        log('💡 Run "mcp-auto-add" to add a server first', 'info');
-        process.exit(1);
+    let projects;
+    try {
+        projects = parseJSONC(fs.readFileSync(configPath, 'utf8')).projects || {};
+    } catch (error) {
+        logVerbose(`Could not read projects from ${configPath}: ${error.message}`);
+        return planned;
     }
 
-    log(`📁 Found ${availableConfigs.length} MCP configuration file(s)`, 'info');
+    const nameMatcher = nameFilter ? globToRegExp(nameFilter) : null;
+    for (const [projectDir, project] of Object.entries(projects)) {
+        const movedDir = nameMatcher ? null : relocateDirectory(projectDir, oldDir, newDir);
+        if (movedDir && projects[movedDir]) {
+            log(`⚠️  ${claude.name} already has a project at ${movedDir} - its servers are rewritten under ${projectDir} instead`, 'warning');
+        }
+        const move = movedDir && !projects[movedDir] ? { from: projectDir, to: movedDir } : null;
+        if (move) {
+            planned.moves.push(move);
+        }
 
-    let selectedConfig;
+        for (const [name, config] of Object.entries((project && project.mcpServers) || {})) {
+            if (nameMatcher && !nameMatcher.test(name)) continue;
+            const changes = [];
+            const entry = relocateEntryValue(config, oldDir, newDir, '', changes);
+            if (move) {
+                changes.unshift({ field: 'project', before: move.from, after: move.to });
+            }
+            if (changes.length > 0) {
+                planned.items.push({ action: 'update', name, scope: 'local', client: claude, config: entry, previous: config, projectDir, changes, claudeProject: true });
+            }
+        }
+    }
+    return planned;
+}
 
-    if (availableConfigs.length === 1) {
-        selectedConfig = availableConfigs[0];
-        log(`📂 Using: ${selectedConfig.label}`, 'info');
-    } else {
-        // Let user choose which config to edit
-        const choices = availableConfigs.map(config => {
-            const servers = listServersInConfig(config.path);
-            const serverCount = servers.length;
-            return {
-                name: `${config.label} (${serverCount} server${serverCount !== 1 ? 's' : ''})`,
-                value: config,
-                short: config.label
-            };
+// Function to write Claude Code project entries and moves straight into ~/.claude.json
+// The CLI only edits the project of the directory it runs in, so it cannot move another project's servers.
+// entries ([{ projectDir, name, config }]) are written first, then each { from, to } project is re-keyed
+function writeClaudeProjects(configPath, entries, moves, summary) {
+    return updateConfigFile(configPath, content => {
+        const projects = parseJSONC(content).projects || {};
+        let updated = content;
+        for (const entry of entries) {
+            if (projects[entry.projectDir]) {
+                updated = modifyJSONC(updated, ['projects', entry.projectDir, 'mcpServers', entry.name], entry.config);
+            }
+        }
+        for (const move of moves) {
+            const project = parseJSONC(updated).projects[move.from];
+            if (project && !projects[move.to]) {
+                updated = modifyJSONC(updated, ['projects', move.to], project);
+                updated = modifyJSONC(updated, ['projects', move.from], undefined);
+            }
+        }
+        return updated;
+    }, summary);
+}
+
+// Function to apply a planClaudeProjectRelocation() result and journal it, so undo can move everything back
+async function applyClaudeProjectRelocation(planned, oldDir, newDir) {
+    const entries = planned.items.map(item => ({ projectDir: item.projectDir, name: item.name, config: item.config }));
+    if (!await writeClaudeProjects(planned.configPath, entries, planned.moves, `relocate projects under ${oldDir}`)) {
+        return false;
+    }
+    if (!isDryRun && journalDepth === 0) {
+        const movedTo = projectDir => (planned.moves.find(move => move.from === projectDir) || { to: projectDir }).to;
+        appendJournal({
+            operation: 'relocate',
+            client: 'claude',
+            scope: 'local',
+            name: oldDir,
+            newName: newDir,
+            moves: planned.moves,
+            entries: planned.items.map(item => ({ projectDir: movedTo(item.projectDir), name: item.name, before: item.previous, after: item.config }))
         });
+    }
+    return true;
+}
 
-        const { config } = await inquirer.prompt([
-            {
-                type: 'list',
-                name: 'config',
-                message: 'Which MCP configuration file?',
-                choices: choices
-            }
-        ]);
+// Function to handle the relocate command
+async function handleRelocateMode() {
+    log('🚚 Relocate MCP server paths', 'title');
 
-        selectedConfig = config;
+    if (!args[1] || !args[2]) {
+        log('❌ Both the old and the new directory are required', 'error');
+        log('💡 Usage: mcp-auto-add relocate <old-dir> <new-dir> [--client <id>] [--scope <scope>] [--force] [--dry-run]', 'info');
+        process.exit(1);
+    }
+    const oldDir = path.resolve(cwd, args[1]);
+    const newDir = path.resolve(cwd, args[2]);
+    if (oldDir === newDir) {
+        log('ℹ️  Old and new directories are the same - nothing to do', 'info');
+        return true;
+    }
+    if (!directoryExists(newDir)) {
+        log(`⚠️  ${newDir} does not exist (yet) - the rewritten servers will not start until it does`, 'warning');
     }
 
-    // List servers in the selected config
-    const servers = listServersInConfig(selectedConfig.path);
+    let servers;
+    try {
+        servers = collectConfiguredServers({ client: clientFilter, scope: scopeFilter, name: nameFilter });
+    } catch (error) {
+        log(`❌ ${error.message}`, 'error');
+        process.exit(1);
+    }
 
-    if (servers.length === 0) {
-        log('ℹ️  No servers configured yet in this file', 'info');
-        log('📝 Opening file for editing...', 'info');
+    const claude = getTarget('claude');
+    const claudeProjects = claude && (!clientFilter || matchesClientFilter(claude, clientFilter))
+        ? planClaudeProjectRelocation(claude, oldDir, newDir)
+        : { moves: [], items: [] };
 
-        const editor = getEditor();
-        try {
-            execSync(`${editor} "${selectedConfig.path}"`, { stdio: 'inherit' });
-            log('✅ Editor closed', 'success');
-            const restartMsg = useGemini ? 'Restart Gemini CLI' : 'Restart Claude Code';
-            log(`🔄 ${restartMsg} to apply changes`, 'info');
-        } catch (error) {
-            log(`❌ Failed to open editor: ${error.message}`, 'error');
-            process.exit(1);
+    const plan = [...claudeProjects.items];
+    for (const server of servers) {
+        if (server.client.id === 'claude' && server.scope === 'local') {
+            continue;
+        }
+        const changes = [];
+        const entry = relocateEntryValue(server.config, oldDir, newDir, '', changes);
+        if (changes.length > 0) {
+            plan.push({ action: 'update', name: server.name, scope: server.scope, client: server.client, config: entry, existing: server, changes });
         }
-        return;
     }
 
-    // Show server selection menu
-    log(`\n🔧 Found ${servers.length} MCP server${servers.length !== 1 ? 's' : ''}:`, 'info');
+    if (plan.length === 0 && claudeProjects.moves.length === 0) {
+        log(`✅ No server paths are under ${oldDir}`, 'success');
+        return true;
+    }
 
-    const serverChoices = servers.map(server => {
-        const command = server.config.command || server.config.url || 'No command';
-        const shortCommand = command.length > 50 ? command.substring(0, 47) + '...' : command;
+    log(`📁 ${oldDir} → ${newDir}`, 'info');
+    claudeProjects.moves.forEach(move => {
+        log(`📁 ${claude.name} project ${move.from} → ${move.to}`, 'info');
+    });
+    printServerPlan(plan);
 
-        return {
-            name: `${chalk.cyan(server.name)} - ${shortCommand}`,
-            value: server,
-            short: server.name
-        };
+    const unsupported = plan.filter(item => !item.client.restore);
+    unsupported.forEach(item => {
+        log(`⚠️  ${item.client.name} cannot rewrite entries in place - update "${item.name}" by hand`, 'warning');
     });
+    const runnable = plan.filter(item => item.client.restore);
+    const claudeChanges = claudeProjects.items.length + claudeProjects.moves.length;
+    if (runnable.length === 0 && claudeChanges === 0) {
+        return false;
+    }
 
-    const { selectedServer } = await inquirer.prompt([
-        {
-            type: 'list',
-            name: 'selectedServer',
-            message: 'Which server would you like to edit?',
-            choices: serverChoices,
-            pageSize: 15
+    if (!isForce && !isDryRun) {
+        const { proceed } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'proceed',
+                message: runnable.length > 0
+                    ? `Rewrite ${runnable.length} server entr${runnable.length !== 1 ? 'ies' : 'y'}?`
+                    : `Move ${claudeProjects.moves.length} ${claude.name} project${claudeProjects.moves.length !== 1 ? 's' : ''}?`,
+                default: true
+            }
+        ]);
+        if (!proceed) {
+            log('❌ Relocate cancelled - no changes made', 'warning');
+            return true;
         }
-    ]);
-
-    // Get editor
-    const editor = getEditor();
+    }
+    configWritesConfirmed = true;
 
-    log(`\n📝 Opening ${chalk.cyan(selectedServer.name)} configuration...`, 'info');
-    log(`📍 File: ${selectedConfig.path}`, 'info');
-    log(`📄 Line: ${selectedServer.line}`, 'info');
-    log(`✏️  Editor: ${editor}`, 'info');
+    const results = [];
+    let claudeMoved = true;
+    if (claudeChanges > 0) {
+        try {
+            claudeMoved = await applyClaudeProjectRelocation(claudeProjects, oldDir, newDir);
+        } catch (error) {
+            log(`❌ ${claude.name}: ${error.message}`, 'error');
+            claudeMoved = false;
+        }
+        claudeProjects.items.forEach(item => results.push({ item, success: claudeMoved }));
+    }
+    for (const item of runnable.filter(candidate => !candidate.claudeProject)) {
+        let success;
+        try {
+            success = await rewriteServerEntry(item.client, item.name, item.scope, item.config, item.existing.config);
+        } catch (error) {
+            log(`❌ ${item.client.name}: ${error.message}`, 'error');
+            success = false;
+        }
+        results.push({ item, success });
+    }
 
-    try {
-        // Open the config file at the specific line
-        const command = openEditorAtLine(editor, selectedConfig.path, selectedServer.line);
-        execSync(command, { stdio: 'inherit' });
+    console.log('');
+    printTable(['Name', 'Client', 'Scope', 'Result'], results.map(({ item, success }) => [
+        chalk.cyan(item.name),
+        item.client.name,
+        item.scope,
+        success ? chalk.green(isDryRun ? '🔍 would rewrite' : '✅ rewritten') : chalk.red('❌ failed')
+    ]));
+    console.log('');
 
-        log('\n✅ Editor closed', 'success');
-        log('💡 Changes are saved when you exit the editor', 'info');
-        // Show platform-appropriate restart message based on the config file being edited
-        const platformName = selectedConfig.platform === 'gemini' ? 'Gemini CLI' : 'Claude Code';
-        log(`🔄 Restart ${platformName} to apply changes`, 'info');
-    } catch (error) {
-        log(`❌ Failed to open editor: ${error.message}`, 'error');
-        log(`💡 Try setting EDITOR environment variable`, 'info');
-        log(`   Example: export EDITOR=nano`, 'info');
-        process.exit(1);
-    }
+    const rewritten = results.filter(result => result.success);
+    [...new Set(rewritten.map(({ item }) => item.client.restartMessage))].forEach(message => {
+        log(`🔄 ${message} to apply changes`, 'info');
+    });
+    return unsupported.length === 0 && claudeMoved && rewritten.length === results.length;
 }
 
+// ============================================================================
+// END SERVER MANAGEMENT FUNCTIONS
+// ============================================================================
+
 // Main function
 async function main() {
+    initializeCLI();
+
     try {
         // Handle edit mode
         if (editMode) {
@@ -2826,6 +8926,92 @@ async function main() {
             process.exit(0);
         }
 
+        // Handle list command
+        if (listMode) {
+            await handleListMode();
+            process.exit(0);
+        }
+
+        // Handle remove command
+        if (removeMode) {
+            const allRemoved = await handleRemoveMode();
+            process.exit(allRemoved ? 0 : 1);
+        }
+
+        // Handle rename command
+        if (renameMode) {
+            const allRenamed = await handleRenameMode();
+            process.exit(allRenamed ? 0 : 1);
+        }
+
+        // Handle enable / disable commands
+        if (enableMode || disableMode) {
+            const allToggled = await handleToggleMode(enableMode);
+            process.exit(allToggled ? 0 : 1);
+        }
+
+        // Handle copy command
+        if (copyMode) {
+            const allCopied = await handleCopyMode();
+            process.exit(allCopied ? 0 : 1);
+        }
+
+        // Handle sync command
+        if (syncMode) {
+            const allSynced = await handleSyncMode();
+            process.exit(allSynced ? 0 : 1);
+        }
+
+        // Handle manifest plan / apply (plan exits 2 when changes are pending)
+        if (planMode || applyMode) {
+            const exitCode = await handleManifestMode(applyMode);
+            process.exit(exitCode);
+        }
+
+        // Handle update command
+        if (updateMode) {
+            const allUpdated = await handleUpdateMode();
+            process.exit(allUpdated ? 0 : 1);
+        }
+
+        // Handle prune command
+        if (pruneCommandMode) {
+            const allPruned = await handlePruneMode();
+            process.exit(allPruned ? 0 : 1);
+        }
+
+        // Handle relocate command
+        if (relocateMode) {
+            const allRelocated = await handleRelocateMode();
+            process.exit(allRelocated ? 0 : 1);
+        }
+
+        // Handle snapshot listing and restore
+        if (backupsMode) {
+            await handleBackupsMode();
+            process.exit(0);
+        }
+        if (restoreBackupMode) {
+            const restored = await handleRestoreBackupMode();
+            process.exit(restored ? 0 : 1);
+        }
+
+        // Handle operation journal commands
+        if (historyMode) {
+            await handleHistoryMode();
+            process.exit(0);
+        }
+        if (undoMode) {
+            const allUndone = await handleUndoMode();
+            process.exit(allUndone ? 0 : 1);
+        }
+
+        // Handle import from Claude Desktop
+        if (importDesktopMode) {
+            const allImported = await handleImportDesktopMode();
+            process.exit(allImported ? 0 : 1);
+        }
+
         // Handle --check mode (validate environment only)
         if (checkMode) {
             console.log('');
@@ -2851,6 +9037,22 @@ async function main() {
             } else {
                 console.log(chalk.cyan(`ℹ️  OpenCode: No CLI needed (writes directly to ${openCodeConfigPath})`));
             }
+
+            // Check Claude Desktop config location (no CLI needed)
+            const desktopConfigPath = findClaudeDesktopConfigPath();
+            if (fs.existsSync(desktopConfigPath)) {
+                console.log(chalk.green(`✅ Claude Desktop: Config found at ${desktopConfigPath}`));
+            } else {
+                console.log(chalk.cyan(`ℹ️  Claude Desktop: No config yet (writes directly to ${desktopConfigPath})`));
+            }
+
+            // Check VS Code config location (no CLI needed)
+            const vsCodeConfigPath = path.join(getVSCodeUserDir(), 'mcp.json');
+            if (fs.existsSync(vsCodeConfigPath)) {
+                console.log(chalk.green(`✅ VS Code: Config found at ${vsCodeConfigPath}`));
+            } else {
+                console.log(chalk.cyan(`ℹ️  VS Code: No CLI needed (writes directly to ${vsCodeConfigPath})`));
+            }
             console.log(chalk.dim('──────────────────────────────────────────────────'));
 
             console.log('');
@@ -2951,8 +9153,9 @@ async function main() {
         // Determine which tools we need based on flags
         const validationOptions = {
             requireNode: true, // Always needed
-            requireClaude: !useGemini && !useOpenCode, // Claude Code mode
-            requireGemini: useGemini, // Gemini CLI mode
+            // With several targets a missing CLI only fails that target (shown in the results table)
+            requireClaude: !multiTargetMode && target.cli === 'claude', // Claude Code mode
+            requireGemini: !multiTargetMode && target.cli === 'gemini', // Gemini CLI mode
             requireClipboard: useClipboard // Clipboard mode
         };
 
@@ -3034,23 +9237,19 @@ async function main() {
         // ==========================================
 
         // Display clear platform confirmation banner
-        const cliName = useOpenCode ? 'OpenCode' : (useGemini ? 'Gemini CLI' : 'Claude Code');
-        const cliColor = useOpenCode ? chalk.green : (useGemini ? chalk.blue : chalk.magenta);
+        const cliName = multiTargetMode ? `${selectedTargets.length} clients` : target.name;
+        const cliColor = multiTargetMode ? chalk.cyan : (chalk[target.color] || chalk.cyan);
         console.log('');
         console.log(cliColor('╔════════════════════════════════════════════════════════════╗'));
         console.log(cliColor(`║  🎯 Target Platform: ${chalk.bold(cliName.padEnd(38))} ║`));
         console.log(cliColor('╚════════════════════════════════════════════════════════════╝'));
         console.log('');
 
-        if (useOpenCode) {
-            log('📋 Note: OpenCode supports scopes: user, project (not local)', 'info');
-            log('📋 Config is written directly to opencode.json files', 'info');
-        } else if (useGemini) {
-            log('📋 Note: Gemini CLI supports scopes: user, project (not local)', 'info');
-            log('📋 Default transport for remote servers: http', 'info');
+        if (multiTargetMode) {
+            log(`📋 Targets: ${selectedTargets.map(selected => `${selected.name} (${selected.scopes.join('/')})`).join(', ')}`, 'info');
+            log('📋 Scopes a client does not support are mapped to the nearest one it does', 'info');
         } else {
-            log('📋 Note: Claude Code supports scopes: user, local, project', 'info');
-            log('📋 Default transport for remote servers: sse', 'info');
+            target.notes.forEach((note, index) => log(`📋 ${index === 0 ? 'Note: ' : ''}${note}`, 'info'));
         }
         console.log('');
 
@@ -3239,6 +9438,12 @@ async function main() {
             }
         }
         
+        // Several targets: ask for name and scope once, add to each, report per target
+        if (multiTargetMode) {
+            const allAdded = await executeMultiTargetAdd(config, jsonMode);
+            process.exit(allAdded ? 0 : 1);
+        }
+
         // Handle URL-based configurations specially
         if (config.isUrlBased) {
             log('🌐 URL-based MCP server detected', 'info');
@@ -3249,50 +9454,8 @@ async function main() {
             if (generateCommand) {
                 // For JSON/clipboard input, prioritize extracted name; for auto-detect, use project name
                 const defaultServerName = config.extractedServerName || config.name || (!jsonMode ? projectName : null) || 'mcp-server';
-                const transport = config.transport || ((useGemini || useOpenCode) ? 'http' : 'sse');
-                const cliName = useOpenCode ? 'OpenCode' : (useGemini ? 'Gemini' : 'Claude');
-
-                if (useOpenCode) {
-                    // OpenCode doesn't have CLI - generate JSON config snippet
-                    const openCodeConfig = {
-                        [defaultServerName]: {
-                            type: 'remote',
-                            url: config.url,
-                            enabled: true
-                        }
-                    };
-                    const jsonSnippet = JSON.stringify(openCodeConfig, null, 2);
-                    log(`📋 Generated OpenCode MCP config (add to opencode.json "mcp" section):`, 'title');
-                    console.log('\n' + chalk.green(jsonSnippet) + '\n');
-
-                    // Try to copy to clipboard
-                    const clipboardTool = copyToClipboard(jsonSnippet);
-                    if (clipboardTool) {
-                        log(`✅ Config copied to clipboard using ${clipboardTool}`, 'success');
-                        log('📌 Paste into your opencode.json "mcp" section', 'info');
-                    } else {
-                        log('⚠️  Could not copy to clipboard (install xclip, xsel, or pbcopy)', 'warning');
-                        log('📋 Please copy the config above manually', 'info');
-                    }
-                } else {
-                    const command = useGemini
-                        ? `gemini mcp add --transport ${transport} ${defaultServerName} ${config.url}`
-                        : `claude mcp add --transport ${transport} ${defaultServerName} ${config.url}`;
-
-                    log(`📋 Generated ${cliName} MCP command:`, 'title');
-                    console.log('\n' + chalk.green(command) + '\n');
-
-                    // Try to copy to clipboard
-                    const clipboardTool = copyToClipboard(command);
-                    if (clipboardTool) {
-                        log(`✅ Command copied to clipboard using ${clipboardTool}`, 'success');
-                        log('📌 You can now paste it in your terminal with Ctrl+V', 'info');
-                    } else {
-                        log('⚠️  Could not copy to clipboard (install xclip, xsel, or pbcopy)', 'warning');
-                        log('📋 Please copy the command above manually', 'info');
-                    }
-                    log('💡 To run: paste the command in your terminal', 'info');
-                }
+                const transport = config.transport || target.defaultTransport;
+                outputGeneratedConfig({ ...config, transport }, defaultServerName, 'user');
 
                 log(`🎯 Server: ${defaultServerName}`, 'info');
                 log(`🌐 URL: ${config.url}`, 'info');
@@ -3306,14 +9469,13 @@ async function main() {
             
             if (isForce) {
                 // Force mode - use defaults
-                const executeFn = useOpenCode ? executeOpenCodeMCPAddURL : (useGemini ? executeGeminiMCPAddURL : executeClaudeMCPAddURL);
-                const cliName = useOpenCode ? 'OpenCode' : (useGemini ? 'Gemini CLI' : 'Claude Code');
-                const success = await executeFn(config, defaultServerName, 'user');
+                const cliName = target.name;
+                const success = await target.execute(config, defaultServerName, 'user');
 
                 if (success) {
                     log('🎉 URL-based MCP Auto-Add completed successfully!', 'success');
                     log(`💡 MCP server "${defaultServerName}" is now available in ${cliName}`, 'info');
-                    const restartMsg = useOpenCode ? 'Restart OpenCode' : (useGemini ? 'Restart Gemini CLI' : 'Restart Claude Code');
+                    const restartMsg = target.restartMessage;
                     log(`🔄 ${restartMsg} if needed to see the new server`, 'info');
                 } else {
                     log('❌ URL-based MCP Auto-Add failed', 'error');
@@ -3327,30 +9489,13 @@ async function main() {
                 log(`Transport: ${config.transport}`, 'info');
                 log(`Description: ${config.description}`, 'info');
 
-                // Gemini CLI and OpenCode don't support 'local' scope
-                const urlScopeChoices = (useGemini || useOpenCode) ? [
-                    { name: 'user - Available to you across all projects (recommended)', value: 'user' },
-                    { name: `project - Shared with everyone in the project (requires ${useOpenCode ? 'opencode.json' : '.gemini/settings.json'})`, value: 'project' }
-                ] : [
-                    { name: 'user - Available to you across all projects (recommended)', value: 'user' },
-                    { name: 'local - Available only in this project', value: 'local' },
-                    { name: 'project - Shared with everyone in the project (requires .mcp.json)', value: 'project' }
-                ];
+                const urlScopeChoices = getScopeChoices();
 
-                const urlCliName = useOpenCode ? 'OpenCode' : (useGemini ? 'Gemini CLI' : 'Claude Code');
-
-                // Default transport: sse for Claude, http for Gemini/OpenCode
-                const defaultTransport = config.transport || ((useGemini || useOpenCode) ? 'http' : 'sse');
-                const transportChoices = useOpenCode ? [
-                    { name: 'HTTP - recommended for OpenCode remote servers', value: 'http' },
-                    { name: 'SSE (Server-Sent Events)', value: 'sse' }
-                ] : (useGemini ? [
-                    { name: 'HTTP - recommended for Gemini', value: 'http' },
-                    { name: 'SSE (Server-Sent Events)', value: 'sse' }
-                ] : [
-                    { name: 'SSE (Server-Sent Events) - recommended for Claude', value: 'sse' },
-                    { name: 'HTTP', value: 'http' }
-                ]);
+                const urlCliName = target.name;
+
+                // Default transport comes from the target (sse for Claude, http for most others)
+                const defaultTransport = config.transport || target.defaultTransport;
+                const transportChoices = getTransportChoices();
 
                 const questions = [
                     {
@@ -3401,9 +9546,8 @@ async function main() {
                 config.transport = answers.transport;
                 
                 // Execute MCP add command for URL server
-                const executeFn = useOpenCode ? executeOpenCodeMCPAddURL : (useGemini ? executeGeminiMCPAddURL : executeClaudeMCPAddURL);
-                const cliName = useOpenCode ? 'OpenCode' : (useGemini ? 'Gemini CLI' : 'Claude Code');
-                const success = await executeFn(config, answers.serverName.trim(), answers.scope);
+                const cliName = target.name;
+                const success = await target.execute(config, answers.serverName.trim(), answers.scope);
                 
                 if (success) {
                     log('🎉 URL-based MCP Auto-Add completed successfully!', 'success');
@@ -3420,14 +9564,18 @@ async function main() {
                         log('📁 This server is only available in the current project', 'info');
                     } else if (answers.scope === 'project') {
                         log('👥 This server will be shared with everyone in the project', 'info');
-                        const configFile = useGemini ? '.gemini/settings.json' : '.mcp.json';
+                        const configFile = target.projectConfigFile;
                         log(`📝 Make sure to commit the ${configFile} file to your repository`, 'warning');
                     }
 
-                    const restartMsg = useGemini ? 'Restart Gemini CLI' : 'Restart Claude Code';
-                    const listCmd = useGemini ? 'gemini mcp list' : 'claude mcp list';
+                    const restartMsg = target.restartMessage;
                     log(`🔄 ${restartMsg} if needed to see the new server`, 'info');
-                    log(`📋 Run "${listCmd}" to see all configured servers`, 'info');
+                    if (!usesDirectWrite) {
+                        const listCmd = target.listCommand;
+                        log(`📋 Run "${listCmd}" to see all configured servers`, 'info');
+                    } else {
+                        log(`📋 Check your ${path.basename(target.projectConfigFile || 'config file')} to see configured servers`, 'info');
+                    }
                 } else {
                     log('❌ URL-based MCP Auto-Add failed', 'error');
                     process.exit(1);
@@ -3442,43 +9590,7 @@ async function main() {
             // For JSON/clipboard input, prioritize extracted name; for auto-detect, use project name
             const defaultServerName = config.extractedServerName || config.name || (jsonMode ? 'mcp-server' : projectName) || 'mcp-server';
             const defaultScope = 'user';
-            const cliName = useOpenCode ? 'OpenCode' : (useGemini ? 'Gemini' : 'Claude');
-
-            if (useOpenCode) {
-                // OpenCode doesn't have CLI - generate JSON config snippet
-                const openCodeConfig = convertToOpenCodeFormat(config, defaultServerName);
-                const jsonSnippet = JSON.stringify({ [defaultServerName]: openCodeConfig }, null, 2);
-                log(`📋 Generated OpenCode MCP config (add to opencode.json "mcp" section):`, 'title');
-                console.log('\n' + chalk.green(jsonSnippet) + '\n');
-
-                // Try to copy to clipboard
-                const clipboardTool = copyToClipboard(jsonSnippet);
-                if (clipboardTool) {
-                    log(`✅ Config copied to clipboard using ${clipboardTool}`, 'success');
-                    log('📌 Paste into your opencode.json "mcp" section', 'info');
-                } else {
-                    log('⚠️  Could not copy to clipboard (install xclip, xsel, or pbcopy)', 'warning');
-                    log('📋 Please copy the config above manually', 'info');
-                }
-            } else {
-                const command = useGemini
-                    ? generateGeminiMCPCommand(config, defaultServerName, defaultScope)
-                    : generateClaudeCommand(config, defaultServerName, defaultScope);
-
-                log(`📋 Generated ${cliName} MCP command:`, 'title');
-                console.log('\n' + chalk.green(command) + '\n');
-
-                // Try to copy to clipboard
-                const clipboardTool = copyToClipboard(command);
-                if (clipboardTool) {
-                    log(`✅ Command copied to clipboard using ${clipboardTool}`, 'success');
-                    log('📌 You can now paste it in your terminal with Ctrl+V', 'info');
-                } else {
-                    log('⚠️  Could not copy to clipboard (install xclip, xsel, or pbcopy)', 'warning');
-                    log('📋 Please copy the command above manually', 'info');
-                }
-                log('💡 To run: paste the command in your terminal', 'info');
-            }
+            outputGeneratedConfig(config, defaultServerName, defaultScope);
 
             log(`🎯 Server: ${defaultServerName}`, 'info');
             log(`📍 Scope: ${defaultScope}`, 'info');
@@ -3494,15 +9606,14 @@ async function main() {
         }
         
         // Execute MCP add command with chosen settings
-        const executeFn = useOpenCode ? executeOpenCodeMCPAdd : (useGemini ? executeGeminiMCPAdd : executeClaudeMCPAdd);
-        const success = await executeFn(
+        const success = await target.execute(
             interactiveConfig,
             interactiveConfig.serverName,
             interactiveConfig.scope
         );
 
         if (success) {
-            const successCliName = useOpenCode ? 'OpenCode' : (useGemini ? 'Gemini CLI' : 'Claude Code');
+            const successCliName = target.name;
             log('🎉 MCP Auto-Add completed successfully!', 'success');
             log(`💡 MCP server "${interactiveConfig.serverName}" is now available in ${successCliName}`, 'info');
             log(`📍 Scope: ${interactiveConfig.scope}`, 'info');
@@ -3515,17 +9626,17 @@ async function main() {
                 log('📁 This server is only available in the current project', 'info');
             } else if (interactiveConfig.scope === 'project') {
                 log('👥 This server will be shared with everyone in the project', 'info');
-                const configFile = useOpenCode ? 'opencode.json' : (useGemini ? '.gemini/settings.json' : '.mcp.json');
+                const configFile = target.projectConfigFile;
                 log(`📝 Make sure to commit the ${configFile} file to your repository`, 'warning');
             }
 
-            const restartMsg = useOpenCode ? 'Restart OpenCode' : (useGemini ? 'Restart Gemini CLI' : 'Restart Claude Code');
+            const restartMsg = target.restartMessage;
             log(`🔄 ${restartMsg} if needed to see the new server`, 'info');
-            if (!useOpenCode) {
-                const listCmd = useGemini ? 'gemini mcp list' : 'claude mcp list';
+            if (!usesDirectWrite) {
+                const listCmd = target.listCommand;
                 log(`📋 Run "${listCmd}" to see all configured servers`, 'info');
             } else {
-                log(`📋 Check your opencode.json to see configured servers`, 'info');
+                log(`📋 Check your ${path.basename(target.projectConfigFile || 'config file')} to see configured servers`, 'info');
             }
         } else {
             log('❌ MCP Auto-Add failed', 'error');
@@ -3546,4 +9657,16 @@ if (require.main === module) {
     main();
 }
 
-module.exports = { main, generateMCPConfig }; 
\ No newline at end of file
+module.exports = {
+    main,
+    generateMCPConfig,
+    parseJSONC,
+    modifyJSONC,
+    renameJSONCMember,
+    parseTOML,
+    setTOMLTable,
+    renameTOMLTable,
+    parseYAML,
+    setYAMLValue,
+    renameYAMLKey
+};
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { useSandbox, assertFailsWithoutChanges } = require('./helpers');
+
+const config = JSON.stringify({ command: 'node', args: ['docs.js'], env: { API_KEY: 'secret' } });
+
+test('adding to a file-based client splices the entry in and keeps the rest of the file', t => {
+    const sandbox = useSandbox(t);
+    const codexPath = path.join(sandbox.home, '.codex', 'config.toml');
+    sandbox.write(codexPath, 'model = "o3" # pinned\n');
+
+    const result = sandbox.run('--json', config, '--codex', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    assert.equal(sandbox.read(codexPath),
+        'model = "o3" # pinned\n\n[mcp_servers.mcp-server]\ncommand = "node"\nargs = ["docs.js"]\nenv = { API_KEY = "secret" }\n');
+});
+
+test('adding to VS Code moves secrets into inputs', t => {
+    const sandbox = useSandbox(t);
+
+    const result = sandbox.run('--json', config, '--vscode', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.vscode), {
+        servers: { 'mcp-server': { type: 'stdio', command: 'node', args: ['docs.js'], env: { API_KEY: '${input:mcp-server-api-key}' } } },
+        inputs: [{ type: 'promptString', id: 'mcp-server-api-key', description: 'API_KEY for mcp-server', password: true }]
+    });
+});
+
+test('adding to a client whose config cannot be parsed leaves the file alone', t => {
+    const sandbox = useSandbox(t, { cursor: '{ "mcpServers": ' });
+
+    assertFailsWithoutChanges(sandbox, ['--json', config, '--cursor', '--force'], /Could not parse/, [sandbox.paths.cursor]);
+});
+
+test('adding fails for an unknown target', t => {
+    const sandbox = useSandbox(t, { cursor: { mcpServers: {} } });
+
+    assertFailsWithoutChanges(sandbox, ['--json', config, '--target', 'nope', '--force'], /Unknown target "nope"/, [sandbox.paths.cursor]);
+});
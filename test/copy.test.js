@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useSandbox, assertFailsWithoutChanges } = require('./helpers');
+
+const source = { mcpServers: { docs: { command: 'node', args: ['docs.js'], env: { LEVEL: 'debug' } }, api: { url: 'https://example.com/mcp' } } };
+
+test('copy adds the server to the destination in its own format', t => {
+    const sandbox = useSandbox(t, { cursor: source, cline: { mcpServers: { extra: { command: 'python' } } } });
+
+    const result = sandbox.run('copy', 'docs', '--from', 'cursor', '--to', 'cline', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cline).mcpServers, {
+        extra: { command: 'python' },
+        docs: { command: 'node', args: ['docs.js'], env: { LEVEL: 'debug' }, disabled: false, alwaysAllow: [], timeout: 60 }
+    });
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cursor), source);
+});
+
+test('copy over an existing entry keeps its client-only settings', t => {
+    const sandbox = useSandbox(t, { cursor: source, cline: { mcpServers: { docs: { command: 'node', disabled: true, timeout: 90 } } } });
+
+    const result = sandbox.run('copy', 'docs', '--from', 'cursor', '--to', 'cline', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cline).mcpServers.docs,
+        { command: 'node', args: ['docs.js'], env: { LEVEL: 'debug' }, disabled: true, timeout: 90 });
+});
+
+test('copy fails for a server the source client does not have', t => {
+    const sandbox = useSandbox(t, { cursor: source, cline: { mcpServers: {} } });
+
+    assertFailsWithoutChanges(sandbox, ['copy', 'missing', '--from', 'cursor', '--to', 'cline', '--force'],
+        /Cursor has no server named "missing"/, [sandbox.paths.cursor, sandbox.paths.cline]);
+});
+
+test('copy fails for an unknown destination client', t => {
+    const sandbox = useSandbox(t, { cursor: source });
+
+    assertFailsWithoutChanges(sandbox, ['copy', 'docs', '--from', 'cursor', '--to', 'nope', '--force'],
+        /Unknown target\(s\) "nope"/, [sandbox.paths.cursor]);
+});
+
+test('copy of a remote server fails for Claude Desktop, which only runs local servers', t => {
+    const sandbox = useSandbox(t, { cursor: source, claudeDesktop: { mcpServers: {} } });
+
+    assertFailsWithoutChanges(sandbox, ['copy', 'api', '--from', 'cursor', '--to', 'claude-desktop', '--force'],
+        /cannot be added to Claude Desktop without a stdio bridge/, [sandbox.paths.cursor, sandbox.paths.claudeDesktop]);
+});
@@ -0,0 +1,109 @@
+// Helpers for the behaviour tests: each test runs the CLI against a throwaway HOME directory
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+
+const CLI_PATH = path.join(__dirname, '..', 'index.js');
+
+// Function to get the VS Code user directory inside a test HOME (mirrors getVSCodeUserDir)
+function vscodeUserDir(home) {
+    if (process.platform === 'darwin') {
+        return path.join(home, 'Library', 'Application Support', 'Code', 'User');
+    }
+    if (process.platform === 'win32') {
+        return path.join(home, 'AppData', 'Roaming', 'Code', 'User');
+    }
+    return path.join(home, '.config', 'Code', 'User');
+}
+
+// Function to get the Claude Desktop config inside a test HOME (mirrors findClaudeDesktopConfigPath)
+function claudeDesktopConfigPath(home) {
+    if (process.platform === 'darwin') {
+        return path.join(home, 'Library', 'Application Support', 'Claude', 'claude_desktop_config.json');
+    }
+    if (process.platform === 'win32') {
+        return path.join(home, 'AppData', 'Roaming', 'Claude', 'claude_desktop_config.json');
+    }
+    return path.join(home, '.config', 'Claude', 'claude_desktop_config.json');
+}
+
+// Function to create a temporary HOME with an empty project folder inside it
+// Call cleanup() when done; run() executes the CLI from the project folder with that HOME, runIn() from another folder
+function createSandbox() {
+    const home = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-auto-add-test-')));
+    const project = path.join(home, 'project');
+    fs.mkdirSync(project);
+
+    const paths = {
+        cursor: path.join(home, '.cursor', 'mcp.json'),
+        gemini: path.join(home, '.gemini', 'settings.json'),
+        claude: path.join(home, '.claude.json'),
+        vscode: path.join(vscodeUserDir(home), 'mcp.json'),
+        cline: path.join(vscodeUserDir(home), 'globalStorage', 'saoudrizwan.claude-dev', 'settings', 'cline_mcp_settings.json'),
+        claudeDesktop: claudeDesktopConfigPath(home),
+        continueDir: path.join(home, '.continue', 'mcpServers'),
+        journal: path.join(home, '.mcp-auto-add', 'journal.jsonl'),
+        disabledStore: path.join(home, '.mcp-auto-add', 'disabled-servers.json')
+    };
+
+    return {
+        home,
+        project,
+        paths,
+        run(...cliArgs) {
+            return this.runIn(project, ...cliArgs);
+        },
+        runIn(dir, ...cliArgs) {
+            const env = { ...process.env, HOME: home, USERPROFILE: home, APPDATA: path.join(home, 'AppData', 'Roaming'), FORCE_COLOR: '0', CI: '1' };
+            const result = spawnSync(process.execPath, [CLI_PATH, ...cliArgs], { cwd: dir, env, input: '', encoding: 'utf8', timeout: 60000 });
+            return { status: result.status, output: `${result.stdout}${result.stderr}` };
+        },
+        write(filePath, content) {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+        },
+        read(filePath) {
+            return fs.readFileSync(filePath, 'utf8');
+        },
+        readJSON(filePath) {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        },
+        // Records in ~/.mcp-auto-add/journal.jsonl, oldest first
+        journal() {
+            return fs.existsSync(paths.journal) ? fs.readFileSync(paths.journal, 'utf8').trim().split('\n').map(line => JSON.parse(line)) : [];
+        },
+        // Snapshot directories under ~/.mcp-auto-add/backups, oldest first
+        snapshots() {
+            const backupDir = path.join(home, '.mcp-auto-add', 'backups');
+            return fs.existsSync(backupDir) ? fs.readdirSync(backupDir).sort().map(id => path.join(backupDir, id)) : [];
+        },
+        cleanup() {
+            fs.rmSync(home, { recursive: true, force: true });
+        }
+    };
+}
+
+// Function to create a sandbox that is removed when the test ends, with the given config files already written
+// files maps a name in sandbox.paths (cursor, cline, ...) to its content, a string or a value written as JSON
+function useSandbox(t, files = {}) {
+    const sandbox = createSandbox();
+    t.after(() => sandbox.cleanup());
+    for (const [name, content] of Object.entries(files)) {
+        sandbox.write(sandbox.paths[name], content);
+    }
+    return sandbox;
+}
+
+// Function to run a command that should fail and check that it left every given file exactly as it was
+function assertFailsWithoutChanges(sandbox, cliArgs, message, filePaths) {
+    const before = filePaths.map(filePath => (fs.existsSync(filePath) ? sandbox.read(filePath) : null));
+    const result = sandbox.run(...cliArgs);
+
+    assert.equal(result.status, 1, result.output);
+    assert.match(result.output, message);
+    assert.deepEqual(filePaths.map(filePath => (fs.existsSync(filePath) ? sandbox.read(filePath) : null)), before);
+}
+
+module.exports = { createSandbox, useSandbox, assertFailsWithoutChanges };
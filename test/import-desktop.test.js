@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useSandbox, assertFailsWithoutChanges } = require('./helpers');
+
+test('import-desktop reads a Claude Desktop config with comments and trailing commas', t => {
+    const sandbox = useSandbox(t, { claudeDesktop: `{
+  // added by hand
+  "mcpServers": {
+    "docs": { "command": "node", "args": ["docs.js"], },
+  },
+}
+` });
+
+    const result = sandbox.run('import-desktop', '--cursor', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cursor).mcpServers.docs, { command: 'node', args: ['docs.js'] });
+});
+
+test('import-desktop fails on a Claude Desktop config that is not valid JSON', t => {
+    const sandbox = useSandbox(t, { claudeDesktop: '{ "mcpServers": ' });
+
+    assertFailsWithoutChanges(sandbox, ['import-desktop', '--cursor', '--force'], /is not valid JSON/,
+        [sandbox.paths.claudeDesktop, sandbox.paths.cursor]);
+});
+
+test('import-desktop fails when there is no Claude Desktop config', t => {
+    const sandbox = useSandbox(t);
+
+    assertFailsWithoutChanges(sandbox, ['import-desktop', '--cursor', '--force'], /Claude Desktop config not found/, [sandbox.paths.cursor]);
+});
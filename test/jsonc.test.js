@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseJSONC, modifyJSONC, renameJSONCMember } = require('../index.js');
+
+const settings = `{
+  // Editor settings
+  "editor.fontSize": 14,
+  /* servers managed by hand */
+  "context_servers": {
+    "docs": {
+      "command": { "path": "node", "args": ["docs.js"] }, // keep me
+    },
+  },
+  "theme": "One Dark",
+}
+`;
+
+test('parseJSONC reads comments and trailing commas', () => {
+    assert.deepEqual(parseJSONC(settings), {
+        'editor.fontSize': 14,
+        context_servers: { docs: { command: { path: 'node', args: ['docs.js'] } } },
+        theme: 'One Dark'
+    });
+});
+
+test('parseJSONC keeps comment markers inside strings', () => {
+    assert.deepEqual(parseJSONC('{ "url": "http://host/*x*/", "a": "//b" }'), { url: 'http://host/*x*/', a: '//b' });
+});
+
+test('parseJSONC rejects invalid input', () => {
+    assert.throws(() => parseJSONC('{ "a": }'));
+    assert.throws(() => parseJSONC('{ "a": 1 } trailing'));
+});
+
+test('modifyJSONC adds a member and keeps comments and unrelated keys', () => {
+    const updated = modifyJSONC(settings, ['context_servers', 'api'], { command: { path: 'python', args: [] } });
+
+    assert.match(updated, /\/\/ Editor settings/);
+    assert.match(updated, /\/\* servers managed by hand \*\//);
+    assert.match(updated, /\/\/ keep me/);
+    assert.deepEqual(parseJSONC(updated), {
+        ...parseJSONC(settings),
+        context_servers: {
+            docs: { command: { path: 'node', args: ['docs.js'] } },
+            api: { command: { path: 'python', args: [] } }
+        }
+    });
+});
+
+test('modifyJSONC replaces only the changed value', () => {
+    const updated = modifyJSONC(settings, ['theme'], 'Light');
+    assert.equal(updated, settings.replace('"One Dark"', '"Light"'));
+});
+
+test('modifyJSONC creates missing parents', () => {
+    const updated = modifyJSONC('{\n  // empty\n}\n', ['mcp', 'servers', 'a'], { url: 'https://x' });
+    assert.match(updated, /\/\/ empty/);
+    assert.deepEqual(parseJSONC(updated), { mcp: { servers: { a: { url: 'https://x' } } } });
+});
+
+test('modifyJSONC removes a member and leaves its siblings', () => {
+    const updated = modifyJSONC(settings, ['context_servers', 'docs'], undefined);
+    assert.deepEqual(parseJSONC(updated), { 'editor.fontSize': 14, context_servers: {}, theme: 'One Dark' });
+    assert.match(updated, /\/\/ Editor settings/);
+    assert.equal(modifyJSONC(settings, ['missing', 'key'], undefined), settings);
+});
+
+test('modifyJSONC handles keys that need quoting', () => {
+    const updated = modifyJSONC('{ "a.b": 1 }', ['servers', 'my "quoted" server'], { command: 'x' });
+    assert.deepEqual(parseJSONC(updated), { 'a.b': 1, servers: { 'my "quoted" server': { command: 'x' } } });
+    assert.deepEqual(parseJSONC(modifyJSONC(updated, ['a.b'], 2))['a.b'], 2);
+});
+
+test('modifyJSONC starts a new document from empty text', () => {
+    assert.deepEqual(parseJSONC(modifyJSONC('', ['servers', 'a'], { url: 'u' })), { servers: { a: { url: 'u' } } });
+    assert.equal(modifyJSONC('', ['servers', 'a'], undefined), '');
+});
+
+test('renameJSONCMember renames in place and keeps the value and comments', () => {
+    const updated = renameJSONCMember(settings, ['context_servers', 'docs'], 'documentation');
+    assert.equal(updated, settings.replace('"docs": {', '"documentation": {'));
+    assert.equal(renameJSONCMember(settings, ['context_servers', 'missing'], 'x'), settings);
+});
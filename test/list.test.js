@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useSandbox, assertFailsWithoutChanges } = require('./helpers');
+
+test('list --format json prints only the servers as JSON', t => {
+    const sandbox = useSandbox(t, { cursor: { mcpServers: { docs: { command: 'node', args: ['docs.js'] }, api: { url: 'https://example.com/mcp' } } } });
+
+    const result = sandbox.run('list', '--client', 'cursor', '--format', 'json');
+
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(JSON.parse(result.output), [
+        { name: 'docs', client: 'cursor', scope: 'user', transport: 'stdio', command: 'node docs.js', configPath: sandbox.paths.cursor },
+        { name: 'api', client: 'cursor', scope: 'user', transport: 'remote', url: 'https://example.com/mcp', configPath: sandbox.paths.cursor }
+    ]);
+});
+
+test('list rejects --json, which provides a server config', t => {
+    const sandbox = useSandbox(t, { cursor: { mcpServers: { docs: { command: 'node' } } } });
+
+    assertFailsWithoutChanges(sandbox, ['list', '--json'], /list --format json/, [sandbox.paths.cursor]);
+});
+
+test('list rejects an unknown --format', t => {
+    const sandbox = useSandbox(t, { cursor: { mcpServers: { docs: { command: 'node' } } } });
+
+    assertFailsWithoutChanges(sandbox, ['list', '--format', 'yaml'], /--format takes table or json/, [sandbox.paths.cursor]);
+});
+
+test('list fails for an unknown client', t => {
+    const sandbox = useSandbox(t, { cursor: { mcpServers: { docs: { command: 'node' } } } });
+
+    assertFailsWithoutChanges(sandbox, ['list', '--client', 'nope'], /Unknown client "nope"/, [sandbox.paths.cursor]);
+});
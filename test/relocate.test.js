@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { useSandbox, assertFailsWithoutChanges } = require('./helpers');
+
+test('relocate rewrites paths under the old folder and only at a path boundary', t => {
+    const sandbox = useSandbox(t);
+    const oldDir = path.join(sandbox.home, 'old');
+    const newDir = path.join(sandbox.home, 'new');
+    sandbox.write(sandbox.paths.cursor, {
+        mcpServers: {
+            docs: {
+                command: path.join(oldDir, '.venv', 'bin', 'python'),
+                args: [path.join(oldDir, 'server.py'), `--data=${oldDir}`, `/x${oldDir}/keep`, `${oldDir}2/keep`],
+                env: { LEVEL: 'debug' }
+            },
+            other: { command: 'node', args: ['other.js'] }
+        }
+    });
+
+    const result = sandbox.run('relocate', oldDir, newDir, '--client', 'cursor', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cursor).mcpServers, {
+        docs: {
+            command: path.join(newDir, '.venv', 'bin', 'python'),
+            args: [path.join(newDir, 'server.py'), `--data=${newDir}`, `/x${oldDir}/keep`, `${oldDir}2/keep`],
+            env: { LEVEL: 'debug' }
+        },
+        other: { command: 'node', args: ['other.js'] }
+    });
+});
+
+test('relocate moves Claude Code projects under the old folder and rewrites local servers in every project', t => {
+    const sandbox = useSandbox(t);
+    const oldDir = path.join(sandbox.home, 'old');
+    const newDir = path.join(sandbox.home, 'new');
+    const elsewhere = path.join(sandbox.home, 'elsewhere');
+    sandbox.write(sandbox.paths.claude, {
+        numStartups: 3,
+        projects: {
+            [oldDir]: { allowedTools: ['Bash'], mcpServers: { docs: { command: 'node', args: [path.join(oldDir, 'docs.js')] } } },
+            [path.join(oldDir, 'sub')]: { mcpServers: {} },
+            [elsewhere]: { mcpServers: { shared: { command: 'node', args: [path.join(oldDir, 'shared.js')] } } },
+            [`${oldDir}ish`]: { mcpServers: { keep: { command: 'node', args: [path.join(`${oldDir}ish`, 'keep.js')] } } }
+        }
+    });
+
+    const result = sandbox.run('relocate', oldDir, newDir, '--client', 'claude', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.claude), {
+        numStartups: 3,
+        projects: {
+            [elsewhere]: { mcpServers: { shared: { command: 'node', args: [path.join(newDir, 'shared.js')] } } },
+            [`${oldDir}ish`]: { mcpServers: { keep: { command: 'node', args: [path.join(`${oldDir}ish`, 'keep.js')] } } },
+            [newDir]: { allowedTools: ['Bash'], mcpServers: { docs: { command: 'node', args: [path.join(newDir, 'docs.js')] } } },
+            [path.join(newDir, 'sub')]: { mcpServers: {} }
+        }
+    });
+});
+
+test('relocate --dry-run changes nothing', t => {
+    const sandbox = useSandbox(t);
+    const oldDir = path.join(sandbox.home, 'old');
+    const config = { mcpServers: { docs: { command: 'node', args: [path.join(oldDir, 'docs.js')] } } };
+    sandbox.write(sandbox.paths.cursor, config);
+
+    const result = sandbox.run('relocate', oldDir, path.join(sandbox.home, 'new'), '--client', 'cursor', '--dry-run');
+
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cursor), config);
+});
+
+test('undo moves relocated Claude Code projects back and restores their entries', t => {
+    const sandbox = useSandbox(t);
+    const oldDir = path.join(sandbox.home, 'old');
+    const newDir = path.join(sandbox.home, 'new');
+    const config = {
+        projects: {
+            [oldDir]: { allowedTools: ['Bash'], mcpServers: { docs: { command: 'node', args: [path.join(oldDir, 'docs.js')] } } },
+            [path.join(sandbox.home, 'elsewhere')]: { mcpServers: { shared: { command: 'node', args: [path.join(oldDir, 'shared.js')] } } }
+        }
+    };
+    sandbox.write(sandbox.paths.claude, config);
+    assert.equal(sandbox.run('relocate', oldDir, newDir, '--client', 'claude', '--force').status, 0);
+    assert.ok(sandbox.readJSON(sandbox.paths.claude).projects[newDir]);
+
+    assert.deepEqual(sandbox.journal().map(record => record.operation), ['relocate']);
+
+    const result = sandbox.run('undo', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.claude), config);
+});
+
+test('relocate fails for an unknown client', t => {
+    const sandbox = useSandbox(t);
+    const oldDir = path.join(sandbox.home, 'old');
+    sandbox.write(sandbox.paths.cursor, { mcpServers: { docs: { command: 'node', args: [path.join(oldDir, 'docs.js')] } } });
+
+    assertFailsWithoutChanges(sandbox, ['relocate', oldDir, path.join(sandbox.home, 'new'), '--client', 'nope', '--force'],
+        /Unknown client "nope"/, [sandbox.paths.cursor]);
+});
+
+test('relocate changes nothing when no server path is under the old folder', t => {
+    const sandbox = useSandbox(t, { cursor: { mcpServers: { docs: { command: 'node', args: ['/elsewhere/docs.js'] } } } });
+    const before = sandbox.read(sandbox.paths.cursor);
+
+    const result = sandbox.run('relocate', path.join(sandbox.home, 'old'), path.join(sandbox.home, 'new'), '--client', 'cursor', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    assert.equal(sandbox.read(sandbox.paths.cursor), before);
+    assert.deepEqual(sandbox.snapshots(), []);
+});
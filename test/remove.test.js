@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { useSandbox, assertFailsWithoutChanges } = require('./helpers');
+
+const cursorConfig = `{
+  // my servers
+  "mcpServers": {
+    "docs": { "command": "node", "args": ["docs.js"] },
+    "other": { "command": "node" },
+  }
+}
+`;
+
+test('remove deletes the entry and keeps comments and other servers', t => {
+    const sandbox = useSandbox(t, { cursor: cursorConfig });
+
+    const result = sandbox.run('remove', 'docs', '--client', 'cursor', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    assert.equal(sandbox.read(sandbox.paths.cursor), cursorConfig.replace('    "docs": { "command": "node", "args": ["docs.js"] },\n', ''));
+});
+
+test('remove --all-clients removes the server from every client that has it', t => {
+    const sandbox = useSandbox(t, {
+        cursor: cursorConfig,
+        cline: { mcpServers: { docs: { command: 'node', args: ['docs.js'], disabled: false }, keep: { command: 'x' } } }
+    });
+
+    const result = sandbox.run('remove', 'docs', '--all-clients', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cline), { mcpServers: { keep: { command: 'x' } } });
+    assert.equal(sandbox.read(sandbox.paths.cursor), cursorConfig.replace('    "docs": { "command": "node", "args": ["docs.js"] },\n', ''));
+});
+
+test('remove --dry-run leaves the file untouched', t => {
+    const sandbox = useSandbox(t, { cursor: cursorConfig });
+
+    const result = sandbox.run('remove', 'docs', '--client', 'cursor', '--dry-run', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    assert.equal(sandbox.read(sandbox.paths.cursor), cursorConfig);
+    assert.deepEqual(sandbox.snapshots(), []);
+});
+
+test('remove deletes a Continue .yml block and snapshots it first', t => {
+    const sandbox = useSandbox(t);
+    const block = 'name: docs\nversion: 0.0.1\nschema: v1\nmcpServers:\n  - name: docs\n    command: node\n';
+    const blockPath = path.join(sandbox.paths.continueDir, 'docs.yml');
+    sandbox.write(blockPath, block);
+
+    const result = sandbox.run('remove', 'docs', '--client', 'continue', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    assert.equal(fs.existsSync(blockPath), false);
+    const [snapshotDir] = sandbox.snapshots();
+    assert.equal(sandbox.read(path.join(snapshotDir, 'docs.yml')), block);
+});
+
+test('remove fails for a server no client has', t => {
+    const sandbox = useSandbox(t, { cursor: cursorConfig });
+
+    assertFailsWithoutChanges(sandbox, ['remove', 'missing', '--client', 'cursor', '--force'],
+        /No client has a server named "missing"/, [sandbox.paths.cursor]);
+});
+
+test('remove fails for an unknown client', t => {
+    const sandbox = useSandbox(t, { cursor: cursorConfig });
+
+    assertFailsWithoutChanges(sandbox, ['remove', 'docs', '--client', 'nope', '--force'],
+        /Unknown client "nope"/, [sandbox.paths.cursor]);
+});
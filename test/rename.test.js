@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { useSandbox, assertFailsWithoutChanges } = require('./helpers');
+
+test('rename renames a Cursor entry in place and keeps its fields', t => {
+    const sandbox = useSandbox(t);
+    const config = `{
+  "mcpServers": {
+    // documentation server
+    "docs": { "command": "node", "args": ["docs.js"], "env": { "LEVEL": "debug" } },
+    "other": { "url": "https://example.com/mcp" }
+  }
+}
+`;
+    sandbox.write(sandbox.paths.cursor, config);
+
+    const result = sandbox.run('rename', 'docs', 'documentation', '--client', 'cursor', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    assert.equal(sandbox.read(sandbox.paths.cursor), config.replace('"docs":', '"documentation":'));
+});
+
+test('rename keeps every Gemini field, including ones mcp-auto-add does not manage', t => {
+    const entry = { command: 'node', args: ['docs.js'], trust: false, timeout: 30000, includeTools: ['search'] };
+    const sandbox = useSandbox(t);
+    sandbox.write(sandbox.paths.gemini, { theme: 'Dark', mcpServers: { docs: { ...entry, cwd: sandbox.project } } });
+
+    const result = sandbox.run('rename', 'docs', 'documentation', '--client', 'gemini', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.gemini), { theme: 'Dark', mcpServers: { documentation: { ...entry, cwd: sandbox.project } } });
+});
+
+test('rename moves a Continue .yml block to a file named after the new server', t => {
+    const sandbox = useSandbox(t);
+    const blockPath = path.join(sandbox.paths.continueDir, 'docs.yml');
+    sandbox.write(blockPath, 'name: docs\nversion: 0.0.1\nschema: v1\nmcpServers:\n  - name: docs\n    command: node\n');
+
+    const result = sandbox.run('rename', 'docs', 'documentation', '--client', 'continue', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    assert.equal(fs.existsSync(blockPath), false);
+    assert.equal(sandbox.read(path.join(sandbox.paths.continueDir, 'documentation.yaml')),
+        'name: documentation\nversion: 0.0.1\nschema: v1\nmcpServers:\n  - name: documentation\n    command: node\n');
+});
+
+test('rename refuses to overwrite an existing server', t => {
+    const sandbox = useSandbox(t, { cursor: { mcpServers: { docs: { command: 'node' }, taken: { command: 'python' } } } });
+
+    assertFailsWithoutChanges(sandbox, ['rename', 'docs', 'taken', '--client', 'cursor', '--force'],
+        /"taken" already exists there/, [sandbox.paths.cursor]);
+});
+
+test('rename fails for a server no client has', t => {
+    const sandbox = useSandbox(t, { cursor: { mcpServers: { docs: { command: 'node' } } } });
+
+    assertFailsWithoutChanges(sandbox, ['rename', 'missing', 'other', '--client', 'cursor', '--force'],
+        /No client has a server named "missing"/, [sandbox.paths.cursor]);
+});
+
+test('rename fails for an unknown client', t => {
+    const sandbox = useSandbox(t, { cursor: { mcpServers: { docs: { command: 'node' } } } });
+
+    assertFailsWithoutChanges(sandbox, ['rename', 'docs', 'other', '--client', 'nope', '--force'],
+        /Unknown client "nope"/, [sandbox.paths.cursor]);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { useSandbox, assertFailsWithoutChanges } = require('./helpers');
+
+test('a change snapshots the file privately and restore rolls it back', t => {
+    const config = { mcpServers: { docs: { command: 'node', env: { TOKEN: 'secret' } } } };
+    const sandbox = useSandbox(t, { cursor: config });
+
+    assert.equal(sandbox.run('remove', 'docs', '--client', 'cursor', '--force').status, 0);
+
+    const [snapshotDir] = sandbox.snapshots();
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(snapshotDir, 'mcp.json'), 'utf8')), config);
+    if (process.platform !== 'win32') {
+        assert.equal(fs.statSync(path.dirname(snapshotDir)).mode & 0o777, 0o700);
+        assert.equal(fs.statSync(snapshotDir).mode & 0o777, 0o700);
+        assert.equal(fs.statSync(path.join(snapshotDir, 'mcp.json')).mode & 0o777, 0o600);
+        assert.equal(fs.statSync(path.join(snapshotDir, 'snapshot.json')).mode & 0o777, 0o600);
+    }
+
+    const result = sandbox.run('restore', path.basename(snapshotDir), '--force');
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cursor), config);
+    assert.equal(sandbox.snapshots().length, 2, 'the restore snapshots the current file first');
+});
+
+test('restore fails for an unknown snapshot id', t => {
+    const sandbox = useSandbox(t, { cursor: { mcpServers: { docs: { command: 'node' } } } });
+
+    assertFailsWithoutChanges(sandbox, ['restore', '19990101-000000000-000000000000', '--force'], /No snapshot/i, [sandbox.paths.cursor]);
+    assert.deepEqual(sandbox.snapshots(), []);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useSandbox, assertFailsWithoutChanges } = require('./helpers');
+
+const source = { mcpServers: { docs: { command: 'node', args: ['docs2.js'] }, api: { url: 'https://example.com/mcp' } } };
+
+test('sync updates changed entries in place and keeps client-only settings', t => {
+    const sandbox = useSandbox(t, {
+        cursor: source,
+        cline: {
+            mcpServers: {
+                docs: { command: 'node', args: ['docs.js'], disabled: true, alwaysAllow: ['search'], timeout: 90 },
+                extra: { command: 'python' }
+            }
+        }
+    });
+
+    const result = sandbox.run('sync', '--source', 'cursor', '--to', 'cline', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    const servers = sandbox.readJSON(sandbox.paths.cline).mcpServers;
+    assert.deepEqual(servers.docs, { command: 'node', args: ['docs2.js'], disabled: true, alwaysAllow: ['search'], timeout: 90 });
+    assert.equal(servers.api.url, 'https://example.com/mcp');
+    assert.deepEqual(servers.extra, { command: 'python' }, 'servers missing from the source are kept without --prune');
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cursor), source);
+});
+
+test('sync --prune removes servers the source does not have', t => {
+    const sandbox = useSandbox(t, { cursor: source, cline: { mcpServers: { extra: { command: 'python' } } } });
+
+    const result = sandbox.run('sync', '--source', 'cursor', '--to', 'cline', '--prune', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(Object.keys(sandbox.readJSON(sandbox.paths.cline).mcpServers).sort(), ['api', 'docs']);
+});
+
+test('sync into VS Code moves secrets to inputs and defines every input an entry refers to', t => {
+    const sandbox = useSandbox(t, {
+        cursor: {
+            mcpServers: {
+                docs: { command: 'node', args: ['docs2.js'], env: { API_TOKEN: 'secret', LEVEL: 'debug' } },
+                api: { command: 'node', args: ['api.js'], env: { API_KEY: 'secret' } }
+            }
+        },
+        vscode: { servers: { docs: { type: 'stdio', command: 'node', args: ['docs.js'] } } }
+    });
+
+    const result = sandbox.run('sync', '--source', 'cursor', '--to', 'vscode', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    const config = sandbox.readJSON(sandbox.paths.vscode);
+    assert.deepEqual(config.servers.docs, { type: 'stdio', command: 'node', args: ['docs2.js'], env: { API_TOKEN: '${input:docs-api-token}', LEVEL: 'debug' } });
+    assert.deepEqual(config.servers.api.env, { API_KEY: '${input:api-api-key}' });
+    assert.doesNotMatch(sandbox.read(sandbox.paths.vscode), /secret/);
+    assert.deepEqual(config.inputs.map(input => input.id).sort(), ['api-api-key', 'docs-api-token']);
+    assert.ok(config.inputs.every(input => input.type === 'promptString' && input.password === true));
+});
+
+test('sync rejects more than one source client', t => {
+    const sandbox = useSandbox(t, { cursor: source, cline: { mcpServers: {} } });
+
+    assertFailsWithoutChanges(sandbox, ['sync', '--source', 'cursor,gemini', '--to', 'cline', '--force'],
+        /takes a single client/, [sandbox.paths.cursor, sandbox.paths.cline]);
+});
+
+test('sync fails for an unknown source or destination client', t => {
+    const sandbox = useSandbox(t, { cursor: source, cline: { mcpServers: {} } });
+
+    assertFailsWithoutChanges(sandbox, ['sync', '--source', 'nope', '--to', 'cline', '--force'],
+        /Unknown target\(s\) "nope"/, [sandbox.paths.cursor, sandbox.paths.cline]);
+    assertFailsWithoutChanges(sandbox, ['sync', '--source', 'cursor', '--to', 'nope', '--force'],
+        /Unknown target\(s\) "nope"/, [sandbox.paths.cursor, sandbox.paths.cline]);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { useSandbox, assertFailsWithoutChanges } = require('./helpers');
+
+test('disable and enable flip the native Cline flag and keep the other fields', t => {
+    const entry = { command: 'node', args: ['docs.js'], alwaysAllow: ['search'], timeout: 120 };
+    const sandbox = useSandbox(t, { cline: { mcpServers: { docs: { ...entry, disabled: false } } } });
+
+    let result = sandbox.run('disable', 'docs', '--client', 'cline', '--force');
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cline), { mcpServers: { docs: { ...entry, disabled: true } } });
+
+    result = sandbox.run('enable', 'docs', '--client', 'cline', '--force');
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cline), { mcpServers: { docs: { ...entry, disabled: false } } });
+});
+
+test('disable adds Gemini servers to excludeMCPServers', t => {
+    const sandbox = useSandbox(t, { gemini: { excludeMCPServers: ['old'], mcpServers: { docs: { command: 'node' } } } });
+
+    let result = sandbox.run('disable', 'docs', '--client', 'gemini', '--force');
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.gemini), { excludeMCPServers: ['old', 'docs'], mcpServers: { docs: { command: 'node' } } });
+
+    result = sandbox.run('enable', 'docs', '--client', 'gemini', '--force');
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.gemini), { excludeMCPServers: ['old'], mcpServers: { docs: { command: 'node' } } });
+});
+
+test('disable parks Cursor entries in a private store and enable puts them back', t => {
+    const entry = { command: 'node', args: ['docs.js'], env: { TOKEN: 'secret' } };
+    const sandbox = useSandbox(t, { cursor: { mcpServers: { docs: entry, other: { command: 'python' } } } });
+
+    let result = sandbox.run('disable', 'docs', '--client', 'cursor', '--force');
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cursor).mcpServers, { other: { command: 'python' } });
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.disabledStore).servers.map(server => server.config), [entry]);
+    if (process.platform !== 'win32') {
+        assert.equal(fs.statSync(sandbox.paths.disabledStore).mode & 0o777, 0o600);
+    }
+
+    result = sandbox.run('enable', 'docs', '--client', 'cursor', '--force');
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cursor).mcpServers, { other: { command: 'python' }, docs: entry });
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.disabledStore).servers, []);
+});
+
+test('a parked project entry is only restored into its own project', t => {
+    const sandbox = useSandbox(t);
+    const projectConfig = path.join(sandbox.project, '.cursor', 'mcp.json');
+    const otherProject = path.join(sandbox.home, 'other');
+    fs.mkdirSync(otherProject);
+    sandbox.write(projectConfig, { mcpServers: { docs: { command: 'node' } } });
+
+    let result = sandbox.run('disable', 'docs', '--client', 'cursor', '--scope', 'project', '--force');
+    assert.equal(result.status, 0, result.output);
+
+    result = sandbox.runIn(otherProject, 'enable', 'docs', '--client', 'cursor', '--force');
+    assert.equal(result.status, 1);
+    assert.equal(fs.existsSync(path.join(otherProject, '.cursor', 'mcp.json')), false);
+    assert.equal(sandbox.readJSON(sandbox.paths.disabledStore).servers.length, 1, 'the entry stays parked');
+
+    result = sandbox.run('enable', 'docs', '--client', 'cursor', '--force');
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(projectConfig).mcpServers, { docs: { command: 'node' } });
+});
+
+for (const command of ['disable', 'enable']) {
+    test(`${command} fails for a server no client has`, t => {
+        const sandbox = useSandbox(t, { cursor: { mcpServers: { docs: { command: 'node' } } } });
+
+        assertFailsWithoutChanges(sandbox, [command, 'missing', '--client', 'cursor', '--force'],
+            /No client has a server named "missing"/, [sandbox.paths.cursor, sandbox.paths.disabledStore]);
+    });
+
+    test(`${command} fails for an unknown client`, t => {
+        const sandbox = useSandbox(t, { cursor: { mcpServers: { docs: { command: 'node' } } } });
+
+        assertFailsWithoutChanges(sandbox, [command, 'docs', '--client', 'nope', '--force'],
+            /Unknown client "nope"/, [sandbox.paths.cursor, sandbox.paths.disabledStore]);
+    });
+}
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseTOML, setTOMLTable, renameTOMLTable } = require('../index.js');
+
+const config = `# Codex config
+model = "o3"
+
+[mcp_servers.docs]
+command = "node" # inline comment
+args = ["docs.js"]
+
+[mcp_servers.docs.env]
+TOKEN = "x"
+
+# next table
+[mcp_servers."my server"]
+command = "py"
+
+[profiles.fast]
+model = "o4"
+`;
+
+test('parseTOML reads tables, sub-tables and quoted keys', () => {
+    assert.deepEqual(parseTOML(config), {
+        model: 'o3',
+        mcp_servers: {
+            docs: { command: 'node', args: ['docs.js'], env: { TOKEN: 'x' } },
+            'my server': { command: 'py' }
+        },
+        profiles: { fast: { model: 'o4' } }
+    });
+});
+
+test('setTOMLTable replaces a table with its sub-tables and keeps the rest', () => {
+    const updated = setTOMLTable(config, ['mcp_servers', 'docs'], { command: 'node', args: ['docs2.js'], env: { TOKEN: 'y' } });
+
+    assert.match(updated, /^# Codex config\nmodel = "o3"\n/);
+    assert.match(updated, /# next table\n\[mcp_servers\."my server"\]/);
+    assert.doesNotMatch(updated, /\[mcp_servers\.docs\.env\]/);
+    assert.deepEqual(parseTOML(updated), {
+        ...parseTOML(config),
+        mcp_servers: {
+            docs: { command: 'node', args: ['docs2.js'], env: { TOKEN: 'y' } },
+            'my server': { command: 'py' }
+        }
+    });
+});
+
+test('setTOMLTable appends a new table with a quoted key', () => {
+    const updated = setTOMLTable(config, ['mcp_servers', 'new.server'], { command: 'uvx', args: ['tool'] });
+    assert.ok(updated.startsWith(config.trimEnd()));
+    assert.match(updated, /\[mcp_servers\."new\.server"\]\ncommand = "uvx"\nargs = \["tool"\]\n$/);
+    assert.deepEqual(parseTOML(updated).mcp_servers['new.server'], { command: 'uvx', args: ['tool'] });
+});
+
+test('setTOMLTable removes a table and its sub-tables only', () => {
+    const updated = setTOMLTable(config, ['mcp_servers', 'docs'], undefined);
+    assert.equal(updated, `# Codex config
+model = "o3"
+
+# next table
+[mcp_servers."my server"]
+command = "py"
+
+[profiles.fast]
+model = "o4"
+`);
+    assert.equal(setTOMLTable(config, ['mcp_servers', 'missing'], undefined), config);
+});
+
+test('setTOMLTable refuses tables defined inline', () => {
+    assert.throws(() => setTOMLTable('mcp_servers = { a = { command = "x" } }\n', ['mcp_servers', 'a'], { command: 'y' }),
+        /not defined as its own \[table\]/);
+});
+
+test('renameTOMLTable rewrites the headers of a table and its sub-tables', () => {
+    const updated = renameTOMLTable(config, ['mcp_servers', 'docs'], ['mcp_servers', 'documentation']);
+    assert.equal(updated, config
+        .replace('[mcp_servers.docs]', '[mcp_servers.documentation]')
+        .replace('[mcp_servers.docs.env]', '[mcp_servers.documentation.env]'));
+});
+
+test('renameTOMLTable quotes new keys that are not bare', () => {
+    const updated = renameTOMLTable(config, ['mcp_servers', 'my server'], ['mcp_servers', 'my.server']);
+    assert.match(updated, /\[mcp_servers\."my\.server"\]/);
+    assert.deepEqual(parseTOML(updated).mcp_servers['my.server'], { command: 'py' });
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { useSandbox, assertFailsWithoutChanges } = require('./helpers');
+
+test('undo reverses the last operations, newest first', t => {
+    const config = { mcpServers: { docs: { command: 'node', env: { TOKEN: 'secret' } }, other: { command: 'python' } } };
+    const sandbox = useSandbox(t, { cursor: config });
+
+    assert.equal(sandbox.run('remove', 'docs', '--client', 'cursor', '--force').status, 0);
+    assert.equal(sandbox.run('rename', 'other', 'renamed', '--client', 'cursor', '--force').status, 0);
+    assert.deepEqual(Object.keys(sandbox.readJSON(sandbox.paths.cursor).mcpServers), ['renamed']);
+
+    let result = sandbox.run('undo', '2', '--force');
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cursor).mcpServers, config.mcpServers);
+
+    const journal = sandbox.read(sandbox.paths.journal);
+    result = sandbox.run('undo', '--force');
+    assert.equal(result.status, 0, result.output);
+    assert.match(result.output, /Nothing to undo/);
+    assert.equal(sandbox.read(sandbox.paths.journal), journal);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cursor).mcpServers, config.mcpServers);
+});
+
+test('undo --dry-run lists the operation without reversing it', t => {
+    const sandbox = useSandbox(t, { cursor: { mcpServers: { docs: { command: 'node' } } } });
+    assert.equal(sandbox.run('remove', 'docs', '--client', 'cursor', '--force').status, 0);
+
+    const result = sandbox.run('undo', '--dry-run');
+
+    assert.equal(result.status, 0, result.output);
+    assert.match(result.output, /remove docs in Cursor \(user\)/);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cursor).mcpServers, {});
+});
+
+test('undo of a parked disable puts the entry back and clears the parked copy', t => {
+    const config = { mcpServers: { docs: { command: 'node', args: ['docs.js'] } } };
+    const sandbox = useSandbox(t, { cursor: config });
+    assert.equal(sandbox.run('disable', 'docs', '--client', 'cursor', '--force').status, 0);
+
+    let result = sandbox.run('undo', '--force');
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cursor), config);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.disabledStore).servers, []);
+
+    result = sandbox.run('enable', 'docs', '--client', 'cursor', '--force');
+    assert.match(result.output, /already enabled/, 'nothing is left parked to enable');
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cursor), config);
+});
+
+test('undo of a parked enable parks the entry again', t => {
+    const sandbox = useSandbox(t, { cursor: { mcpServers: { docs: { command: 'node' } } } });
+    assert.equal(sandbox.run('disable', 'docs', '--client', 'cursor', '--force').status, 0);
+    assert.equal(sandbox.run('enable', 'docs', '--client', 'cursor', '--force').status, 0);
+
+    const result = sandbox.run('undo', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cursor).mcpServers, {});
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.disabledStore).servers.map(server => server.config), [{ command: 'node' }]);
+});
+
+test('the journal is only readable by the user', { skip: process.platform === 'win32' }, t => {
+    const sandbox = useSandbox(t, { cursor: { mcpServers: { docs: { command: 'node', env: { TOKEN: 'secret' } } } } });
+
+    assert.equal(sandbox.run('remove', 'docs', '--client', 'cursor', '--force').status, 0);
+
+    assert.equal(fs.statSync(sandbox.paths.journal).mode & 0o777, 0o600);
+    assert.equal(fs.statSync(path.dirname(sandbox.paths.journal)).mode & 0o777, 0o700);
+});
+
+test('undo fails for a count that is not a positive number', t => {
+    const sandbox = useSandbox(t, { cursor: { mcpServers: { docs: { command: 'node' } } } });
+    assert.equal(sandbox.run('remove', 'docs', '--client', 'cursor', '--force').status, 0);
+
+    assertFailsWithoutChanges(sandbox, ['undo', 'abc', '--force'], /Usage: mcp-auto-add undo/, [sandbox.paths.cursor, sandbox.paths.journal]);
+    assertFailsWithoutChanges(sandbox, ['undo', '0', '--force'], /Usage: mcp-auto-add undo/, [sandbox.paths.cursor, sandbox.paths.journal]);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { useSandbox, assertFailsWithoutChanges } = require('./helpers');
+
+// Function to lay out a Node MCP server project that auto-detection resolves to build/index.js
+function writeNodeProject(sandbox) {
+    sandbox.write(path.join(sandbox.project, 'package.json'), {
+        name: 'docs-server',
+        main: 'build/index.js',
+        dependencies: { '@modelcontextprotocol/sdk': '^1.0.0' }
+    });
+    sandbox.write(path.join(sandbox.project, 'build', 'index.js'), '');
+}
+
+test('update keeps a disabled Cline entry disabled', t => {
+    const sandbox = useSandbox(t);
+    writeNodeProject(sandbox);
+    sandbox.write(sandbox.paths.cline, {
+        mcpServers: {
+            docs: {
+                command: 'node',
+                args: [path.join(sandbox.project, 'dist', 'old.js')],
+                disabled: true,
+                alwaysAllow: ['search'],
+                timeout: 90,
+                env: { LEVEL: 'debug' }
+            }
+        }
+    });
+
+    const result = sandbox.run('update', 'docs', '--client', 'cline', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cline).mcpServers.docs, {
+        command: 'node',
+        args: [path.join(sandbox.project, 'build', 'index.js')],
+        disabled: true,
+        alwaysAllow: ['search'],
+        timeout: 90,
+        env: { LEVEL: 'debug' }
+    });
+});
+
+test('update takes env values from the project .env over the registered ones', t => {
+    const sandbox = useSandbox(t);
+    writeNodeProject(sandbox);
+    sandbox.write(path.join(sandbox.project, '.env'), 'API_KEY=new\n');
+    sandbox.write(sandbox.paths.cursor, {
+        mcpServers: { docs: { command: 'node', args: [path.join(sandbox.project, 'build', 'index.js')], env: { API_KEY: 'old', LEVEL: 'debug' } } }
+    });
+
+    const result = sandbox.run('update', 'docs', '--client', 'cursor', '--force');
+
+    assert.equal(result.status, 0, result.output);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cursor).mcpServers.docs,
+        { command: 'node', args: [path.join(sandbox.project, 'build', 'index.js')], env: { API_KEY: 'new', LEVEL: 'debug' } });
+});
+
+test('update --dry-run shows the change without writing it', t => {
+    const sandbox = useSandbox(t);
+    writeNodeProject(sandbox);
+    const config = { mcpServers: { docs: { command: 'node', args: [path.join(sandbox.project, 'dist', 'old.js')] } } };
+    sandbox.write(sandbox.paths.cursor, config);
+
+    const result = sandbox.run('update', 'docs', '--client', 'cursor', '--dry-run');
+
+    assert.equal(result.status, 0, result.output);
+    assert.match(result.output, /build.{1,2}index\.js/);
+    assert.deepEqual(sandbox.readJSON(sandbox.paths.cursor), config);
+});
+
+test('update fails for a server no client has', t => {
+    const sandbox = useSandbox(t, { cursor: { mcpServers: { docs: { command: 'node' } } } });
+    writeNodeProject(sandbox);
+
+    assertFailsWithoutChanges(sandbox, ['update', 'missing', '--client', 'cursor', '--force'],
+        /No client has a server named "missing"/, [sandbox.paths.cursor]);
+});
+
+test('update fails for an unknown client', t => {
+    const sandbox = useSandbox(t, { cursor: { mcpServers: { docs: { command: 'node' } } } });
+    writeNodeProject(sandbox);
+
+    assertFailsWithoutChanges(sandbox, ['update', 'docs', '--client', 'nope', '--force'],
+        /Unknown client "nope"/, [sandbox.paths.cursor]);
+});
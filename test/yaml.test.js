@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseYAML, setYAMLValue, renameYAMLKey } = require('../index.js');
+
+const config = `# Goose config
+GOOSE_PROVIDER: openai
+extensions:
+  # developer tools
+  developer:
+    enabled: true
+    type: builtin
+  docs:
+    cmd: node
+    args:
+      - docs.js
+    envs: {}
+    enabled: true # on
+  "my server": {cmd: py, args: [a, b], enabled: false}
+GOOSE_MODEL: gpt-4o
+`;
+
+test('parseYAML reads block and flow collections', () => {
+    assert.deepEqual(parseYAML(config), {
+        GOOSE_PROVIDER: 'openai',
+        extensions: {
+            developer: { enabled: true, type: 'builtin' },
+            docs: { cmd: 'node', args: ['docs.js'], envs: {}, enabled: true },
+            'my server': { cmd: 'py', args: ['a', 'b'], enabled: false }
+        },
+        GOOSE_MODEL: 'gpt-4o'
+    });
+});
+
+test('setYAMLValue adds a block entry and keeps comments and unrelated keys', () => {
+    const updated = setYAMLValue(config, ['extensions', 'api'], { cmd: 'uvx', args: ['tool'], enabled: true });
+
+    assert.ok(updated.startsWith(config.slice(0, config.indexOf('GOOSE_MODEL'))));
+    assert.match(updated, /  api:\n    cmd: uvx\n    args:\n      - tool\n    enabled: true\nGOOSE_MODEL: gpt-4o\n$/);
+    assert.deepEqual(parseYAML(updated).extensions.api, { cmd: 'uvx', args: ['tool'], enabled: true });
+});
+
+test('setYAMLValue changes one nested value in a block mapping', () => {
+    const updated = setYAMLValue(config, ['extensions', 'docs', 'enabled'], false);
+    assert.equal(updated, config.replace('    enabled: true # on', '    enabled: false'));
+});
+
+test('setYAMLValue rewrites a flow mapping as a block when descending into it', () => {
+    const updated = setYAMLValue(config, ['extensions', 'my server', 'enabled'], true);
+    assert.match(updated, /# developer tools/);
+    assert.deepEqual(parseYAML(updated), {
+        ...parseYAML(config),
+        extensions: { ...parseYAML(config).extensions, 'my server': { cmd: 'py', args: ['a', 'b'], enabled: true } }
+    });
+});
+
+test('setYAMLValue removes an entry with the comment above it', () => {
+    const updated = setYAMLValue(config, ['extensions', 'developer'], undefined);
+    assert.equal(updated, config.replace('  # developer tools\n  developer:\n    enabled: true\n    type: builtin\n', ''));
+    assert.equal(setYAMLValue(config, ['extensions', 'missing'], undefined), config);
+});
+
+test('setYAMLValue starts a new document from empty text', () => {
+    const updated = setYAMLValue('', ['extensions', 'x'], { cmd: 'y' });
+    assert.deepEqual(parseYAML(updated), { extensions: { x: { cmd: 'y' } } });
+});
+
+test('renameYAMLKey renames a block key in place', () => {
+    const updated = renameYAMLKey(config, ['extensions', 'docs'], 'documentation');
+    assert.equal(updated, config.replace('  docs:\n', '  documentation:\n'));
+});
+
+test('renameYAMLKey renames a quoted flow entry and quotes keys that need it', () => {
+    const updated = renameYAMLKey(config, ['extensions', 'my server'], 'a: b');
+    assert.match(updated, /  'a: b': \{cmd: py, args: \[a, b\], enabled: false\}\n/);
+    assert.deepEqual(parseYAML(updated).extensions['a: b'], { cmd: 'py', args: ['a', 'b'], enabled: false });
+    assert.equal(renameYAMLKey(config, ['extensions', 'missing'], 'x'), config);
+});